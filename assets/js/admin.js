@@ -1,67 +1,829 @@
-/**
- * Admin JavaScript for Odds Comparison
- *
- * @package OddsComparison
- * @since 1.0.0
- */
-
-(function ($) {
-    'use strict';
-
-    const OddsComparisonAdmin = {
-        /**
-         * Initialize admin functionality.
-         */
-        init: function () {
-            this.initColorPickers();
-            this.initTooltips();
-            this.initConfirmations();
-        },
-
-        /**
-         * Initialize color pickers.
-         */
-        initColorPickers: function () {
-            if ($.fn.wpColorPicker) {
-                $('.color-picker').wpColorPicker();
-            }
-        },
-
-        /**
-         * Initialize tooltips.
-         */
-        initTooltips: function () {
-            $('[data-tooltip]').each(function () {
-                $(this).attr('title', $(this).data('tooltip'));
-            });
-        },
-
-        /**
-         * Initialize confirmation dialogs.
-         */
-        initConfirmations: function () {
-            $('.needs-confirmation').on('click', function (e) {
-                const message = $(this).data('confirm-message') || 
-                               'Are you sure you want to perform this action?';
-                
-                if (!confirm(message)) {
-                    e.preventDefault();
-                    return false;
-                }
-            });
-        },
-    };
-
-    /**
-     * Initialize on document ready.
-     */
-    $(document).ready(function () {
-        OddsComparisonAdmin.init();
-    });
-
-})(jQuery);
-
-
-
-
-
+/**
+ * Admin JavaScript for Odds Comparison
+ *
+ * @package OddsComparison
+ * @since 1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const { __, _n, sprintf } = wp.i18n;
+
+    /**
+     * Bookmakers screen: ordering, visibility, affiliate links and preview.
+     */
+    const BookmakerEditor = {
+        /**
+         * Sample match winner prices for the preview table.
+         */
+        samplePrices: [2.1, 3.4, 3.6],
+
+        /**
+         * Sample event used to fill deep-link templates in the preview.
+         */
+        sampleEvent: {
+            event: 'Arsenal vs Chelsea',
+            event_id: 'sample-event',
+            sport: 'soccer_epl',
+            market: 'match_winner',
+            outcome: 'home'
+        },
+
+        /**
+         * Initialize the bookmakers screen.
+         */
+        init: function () {
+            const $form = $('#bookmaker-list-form');
+
+            if (!$form.length) {
+                return;
+            }
+
+            if ($.fn.sortable) {
+                $form.find('.bookmaker-list').sortable({
+                    handle: '.bookmaker-drag-handle',
+                    items: '.bookmaker-item',
+                    placeholder: 'bookmaker-item bookmaker-placeholder',
+                    update: BookmakerEditor.renderPreview
+                });
+            }
+
+            $('#show-all-bookmakers, #hide-all-bookmakers').on('click', function () {
+                $('.bookmaker-toggle-checkbox').prop('checked', this.id === 'show-all-bookmakers');
+                BookmakerEditor.refresh();
+            });
+
+            $form.on('change', '.bookmaker-toggle-checkbox', BookmakerEditor.refresh);
+            $form.on('input', '.bookmaker-affiliate-url, .bookmaker-link-template, .bookmaker-tracking, #default-affiliate-tracking', function () {
+                BookmakerEditor.validate();
+                BookmakerEditor.renderPreview();
+            });
+
+            $('#toggle-bulk-links').on('click', function () {
+                const $bulk = $('.bookmaker-bulk-links');
+                $bulk.prop('hidden', !$bulk.prop('hidden'));
+            });
+            $('#apply-bulk-links').on('click', BookmakerEditor.applyBulkLinks);
+
+            $form.on('submit', BookmakerEditor.save);
+
+            BookmakerEditor.refresh();
+        },
+
+        /**
+         * Update status badges and the preview.
+         */
+        refresh: function () {
+            $('.bookmaker-toggle-checkbox').each(function () {
+                const $badge = $(this).closest('.bookmaker-item').find('.status-badge');
+
+                if ($(this).is(':checked')) {
+                    $badge.removeClass('hidden').addClass('visible').text('✅ Visible');
+                } else {
+                    $badge.removeClass('visible').addClass('hidden').text('❌ Hidden');
+                }
+            });
+
+            BookmakerEditor.renderPreview();
+        },
+
+        /**
+         * Check an affiliate URL. Empty is allowed.
+         */
+        isValidUrl: function (url) {
+            if (url === '') {
+                return true;
+            }
+
+            try {
+                const parsed = new URL(url);
+                return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Check tracking parameters look like a query string (name=value&name=value).
+         */
+        isValidTracking: function (params) {
+            params = params.trim().replace(/^\?/, '');
+
+            if (params === '') {
+                return true;
+            }
+
+            if (/\s/.test(params)) {
+                return false;
+            }
+
+            return params.split('&').every(function (pair) {
+                return /^[^=]+=.*$/.test(pair);
+            });
+        },
+
+        /**
+         * Check a deep-link template becomes a valid URL once its placeholders are filled.
+         */
+        isValidTemplate: function (template) {
+            return template === '' || BookmakerEditor.isValidUrl(BookmakerEditor.fillTemplate(template, BookmakerEditor.sampleEvent));
+        },
+
+        /**
+         * Replace {event}, {market} etc. in a deep-link template.
+         */
+        fillTemplate: function (template, context) {
+            return template.replace(/\{(event|event_id|sport|market|outcome)\}/g, function (match, key) {
+                return encodeURIComponent(context[key] || '');
+            });
+        },
+
+        /**
+         * Build a bookmaker link the same way the server does.
+         */
+        buildLink: function (bookmaker, defaultTracking) {
+            const link = bookmaker.link_template ?
+                BookmakerEditor.fillTemplate(bookmaker.link_template, BookmakerEditor.sampleEvent) :
+                bookmaker.affiliate_url || bookmaker.url;
+            const params = (bookmaker.tracking || defaultTracking).trim().replace(/^\?/, '');
+
+            if (!link || link === '#' || !params) {
+                return link;
+            }
+
+            return link + (link.indexOf('?') === -1 ? '?' : '&') + params;
+        },
+
+        /**
+         * Read every bookmaker in display order.
+         */
+        collect: function () {
+            return $('.bookmaker-list .bookmaker-item').map(function () {
+                const $item = $(this);
+
+                return {
+                    id: $item.data('bookmaker-id'),
+                    name: $item.data('bookmaker-name'),
+                    url: $item.data('bookmaker-url'),
+                    visible: $item.find('.bookmaker-toggle-checkbox').is(':checked'),
+                    affiliate_url: $item.find('.bookmaker-affiliate-url').val().trim(),
+                    link_template: $item.find('.bookmaker-link-template').val().trim(),
+                    tracking: $item.find('.bookmaker-tracking').val().trim()
+                };
+            }).get();
+        },
+
+        /**
+         * Flag invalid links next to their fields.
+         */
+        validate: function () {
+            let valid = true;
+            const $default = $('#default-affiliate-tracking');
+            const defaultValid = BookmakerEditor.isValidTracking($default.val());
+
+            $default.toggleClass('invalid', !defaultValid);
+            $('[data-error-for="default"]').text(defaultValid ? '' : __('Tracking parameters must look like utm_source=site&ref=123', 'odds-comparison'));
+            valid = valid && defaultValid;
+
+            $('.bookmaker-list .bookmaker-item').each(function () {
+                const $item = $(this);
+                const $url = $item.find('.bookmaker-affiliate-url');
+                const $template = $item.find('.bookmaker-link-template');
+                const $tracking = $item.find('.bookmaker-tracking');
+                const urlValid = BookmakerEditor.isValidUrl($url.val().trim());
+                const templateValid = BookmakerEditor.isValidTemplate($template.val().trim());
+                const trackingValid = BookmakerEditor.isValidTracking($tracking.val());
+                let message = '';
+
+                if (!urlValid) {
+                    message = __('Affiliate URL must be a full http(s) URL', 'odds-comparison');
+                } else if (!templateValid) {
+                    message = __('Deep-link template must be a full http(s) URL', 'odds-comparison');
+                } else if (!trackingValid) {
+                    message = __('Tracking parameters must look like utm_source=site&ref=123', 'odds-comparison');
+                }
+
+                $url.toggleClass('invalid', !urlValid);
+                $template.toggleClass('invalid', !templateValid);
+                $tracking.toggleClass('invalid', !trackingValid);
+                $item.find('.field-error').text(message);
+                valid = valid && urlValid && templateValid && trackingValid;
+            });
+
+            return valid;
+        },
+
+        /**
+         * Render a sample odds table with the visible bookmakers in their current order.
+         */
+        renderPreview: function () {
+            const defaultTracking = $('#default-affiliate-tracking').val() || '';
+            const bookmakers = BookmakerEditor.collect().filter(function (bookmaker) {
+                return bookmaker.visible;
+            });
+            const $container = $('.bookmaker-preview-table').empty();
+
+            if (!bookmakers.length) {
+                $container.append($('<p>').text(__('All bookmakers are hidden, so odds tables will be empty.', 'odds-comparison')));
+                return;
+            }
+
+            // Vary the sample prices a little per bookmaker so the best price stands out
+            const rows = bookmakers.map(function (bookmaker, index) {
+                return {
+                    bookmaker: bookmaker,
+                    prices: BookmakerEditor.samplePrices.map(function (price, outcome) {
+                        return Math.round((price + (((index + outcome) * 7) % 5 - 2) * 0.05) * 100) / 100;
+                    })
+                };
+            });
+            const best = BookmakerEditor.samplePrices.map(function (price, outcome) {
+                return Math.max.apply(null, rows.map(function (row) {
+                    return row.prices[outcome];
+                }));
+            });
+
+            const $table = $('<table class="widefat striped"><thead><tr></tr></thead><tbody></tbody></table>');
+
+            [
+                __('Bookmaker', 'odds-comparison'),
+                __('Home', 'odds-comparison'),
+                __('Draw', 'odds-comparison'),
+                __('Away', 'odds-comparison'),
+                __('Link', 'odds-comparison')
+            ].forEach(function (header) {
+                $table.find('thead tr').append($('<th>').text(header));
+            });
+
+            rows.forEach(function (row) {
+                const bookmaker = row.bookmaker;
+                const link = BookmakerEditor.buildLink(bookmaker, defaultTracking);
+                const $row = $('<tr>').append($('<td>').append($('<strong>').text(bookmaker.name)));
+
+                row.prices.forEach(function (price, outcome) {
+                    $row.append($('<td>').text(price.toFixed(2)).toggleClass('best-odds', price === best[outcome]));
+                });
+
+                $row.append($('<td>').append(
+                    $('<a class="preview-link" target="_blank" rel="nofollow noopener">').attr('href', link).text(link)
+                ));
+
+                $table.find('tbody').append($row);
+            });
+
+            $container.append($table);
+        },
+
+        /**
+         * Fill affiliate links from the bulk edit box ("name or ID | URL | tracking" per line).
+         */
+        applyBulkLinks: function () {
+            const notFound = [];
+            let updated = 0;
+
+            $('#bulk-affiliate-links').val().split(/\r?\n/).forEach(function (line) {
+                const parts = line.split('|').map(function (part) {
+                    return part.trim();
+                });
+                const key = parts[0].toLowerCase();
+
+                if (!key) {
+                    return;
+                }
+
+                const $item = $('.bookmaker-list .bookmaker-item').filter(function () {
+                    return String($(this).data('bookmaker-id')) === key ||
+                        String($(this).data('bookmaker-name')).toLowerCase() === key;
+                }).first();
+
+                if (!$item.length) {
+                    notFound.push(parts[0]);
+                    return;
+                }
+
+                $item.find('.bookmaker-affiliate-url').val(parts[1] || '');
+
+                if (parts.length > 2) {
+                    $item.find('.bookmaker-tracking').val(parts[2]);
+                }
+
+                updated++;
+            });
+
+            /* translators: %d: number of bookmakers updated */
+            let summary = sprintf(_n('Updated %d bookmaker.', 'Updated %d bookmakers.', updated, 'odds-comparison'), updated);
+
+            if (notFound.length) {
+                /* translators: %s: comma-separated bookmaker names */
+                summary += ' ' + sprintf(__('Not found: %s', 'odds-comparison'), notFound.join(', '));
+            }
+
+            $('.bulk-links-result').text(summary);
+
+            BookmakerEditor.validate();
+            BookmakerEditor.renderPreview();
+        },
+
+        /**
+         * Save visibility, order and links over AJAX.
+         */
+        save: function (e) {
+            const $result = $('#bookmaker-save-result');
+            const notice = function (type, message) {
+                $result.empty().append(
+                    $('<div class="notice inline">').addClass('notice-' + type).append($('<p>').text(message))
+                );
+            };
+
+            e.preventDefault();
+
+            if (!BookmakerEditor.validate()) {
+                notice('error', __('Fix the highlighted links before saving.', 'odds-comparison'));
+                return;
+            }
+
+            const $button = $('#save-bookmakers').prop('disabled', true);
+            const $spinner = $button.next('.spinner').addClass('is-active');
+
+            $.post(oddsComparisonAdmin.ajaxUrl, {
+                action: 'odds_comparison_save_bookmakers',
+                nonce: oddsComparisonAdmin.ajaxNonce,
+                default_tracking: $('#default-affiliate-tracking').val(),
+                bookmakers: BookmakerEditor.collect()
+            }).done(function (response) {
+                if (response.success) {
+                    notice('success', response.data.message);
+                    return;
+                }
+
+                $.each(response.data.errors || {}, function (id, message) {
+                    $('[data-error-for="' + id + '"]').text(message);
+                });
+                notice('error', response.data.message);
+            }).fail(function () {
+                notice('error', __('An error occurred', 'odds-comparison'));
+            }).always(function () {
+                $button.prop('disabled', false);
+                $spinner.removeClass('is-active');
+            });
+        }
+    };
+
+    const OddsComparisonAdmin = {
+        /**
+         * Initialize admin functionality.
+         */
+        init: function () {
+            this.initColorPickers();
+            this.initTooltips();
+            this.initConfirmations();
+            this.initTools();
+            BookmakerEditor.init();
+        },
+
+        /**
+         * Initialize color pickers.
+         */
+        initColorPickers: function () {
+            if ($.fn.wpColorPicker) {
+                $('.color-picker').wpColorPicker();
+            }
+        },
+
+        /**
+         * Initialize tooltips.
+         */
+        initTooltips: function () {
+            $('[data-tooltip]').each(function () {
+                $(this).attr('title', $(this).data('tooltip'));
+            });
+        },
+
+        /**
+         * Initialize confirmation dialogs.
+         */
+        initConfirmations: function () {
+            $('.needs-confirmation').on('click', function (e) {
+                const message = $(this).data('confirm-message') || 
+                               __('Are you sure you want to perform this action?', 'odds-comparison');
+                
+                if (!confirm(message)) {
+                    e.preventDefault();
+                    return false;
+                }
+            });
+        },
+
+        /**
+         * Initialize the Tools page.
+         */
+        initTools: function () {
+            if (!$('.odds-comparison-tools').length) {
+                return;
+            }
+
+            $('#clear-cache-btn').on('click', this.clearCache);
+            $('#test-scraper-btn').on('click', this.testScraper);
+            $('#convert-odds-btn').on('click', this.convertOdds);
+            $('#inspector-sport').on('change', this.loadInspectorEvents);
+            $('#inspector-event').on('change', function () {
+                $('#inspect-event-btn').prop('disabled', $(this).val() === '');
+            });
+            $('#inspect-event-btn').on('click', this.inspectEvent);
+
+            this.loadInspectorSports();
+        },
+
+        /**
+         * Disable a tool button and show its spinner until the request finishes.
+         */
+        runTool: function ($btn, $result, request) {
+            const $spinner = $btn.nextAll('.spinner').first();
+
+            $btn.prop('disabled', true);
+            $spinner.addClass('is-active');
+            $result.removeClass('success error').hide();
+
+            return request.always(function () {
+                $btn.prop('disabled', false);
+                $spinner.removeClass('is-active');
+            });
+        },
+
+        /**
+         * Show a tool result message.
+         */
+        showResult: function ($result, type, content) {
+            $result.removeClass('success error').addClass(type);
+
+            if (typeof content === 'string') {
+                $result.text(content);
+            } else {
+                $result.empty().append(content);
+            }
+
+            $result.show();
+        },
+
+        /**
+         * Send a request to the plugin REST API.
+         */
+        restRequest: function (method, route, data) {
+            return $.ajax({
+                url: oddsComparisonAdmin.restUrl + route,
+                method: method,
+                data: data,
+                beforeSend: function (xhr) {
+                    xhr.setRequestHeader('X-WP-Nonce', oddsComparisonAdmin.nonce);
+                }
+            });
+        },
+
+        /**
+         * Build a table from a header row and body rows of cells.
+         *
+         * A cell is either text or { text, className }.
+         */
+        buildTable: function (headers, rows) {
+            const $table = $('<table class="widefat striped"><thead><tr></tr></thead><tbody></tbody></table>');
+
+            headers.forEach(function (header) {
+                $table.find('thead tr').append($('<th>').text(header));
+            });
+
+            rows.forEach(function (cells) {
+                const $row = $('<tr>');
+
+                cells.forEach(function (cell) {
+                    const isObject = cell !== null && typeof cell === 'object';
+
+                    $row.append($('<td>').text(isObject ? cell.text : cell).addClass(isObject ? cell.className || '' : ''));
+                });
+
+                $table.find('tbody').append($row);
+            });
+
+            return $table;
+        },
+
+        /**
+         * Clear all cached odds.
+         */
+        clearCache: function () {
+            const $result = $('#cache-result');
+
+            OddsComparisonAdmin.runTool($(this), $result, $.post(oddsComparisonAdmin.ajaxUrl, {
+                action: 'odds_comparison_clear_cache',
+                nonce: oddsComparisonAdmin.ajaxNonce
+            })).done(function (response) {
+                OddsComparisonAdmin.showResult($result, response.success ? 'success' : 'error', response.data.message);
+            }).fail(function () {
+                OddsComparisonAdmin.showResult($result, 'error', __('An error occurred', 'odds-comparison'));
+            });
+        },
+
+        /**
+         * Test the API connection and summarise what it can see.
+         */
+        testScraper: function () {
+            const $result = $('#scraper-result');
+
+            OddsComparisonAdmin.runTool($(this), $result, $.post(oddsComparisonAdmin.ajaxUrl, {
+                action: 'odds_comparison_test_scraper',
+                nonce: oddsComparisonAdmin.ajaxNonce
+            })).done(function (response) {
+                const data = response.data.data || {};
+                const rows = $.map(data.test_events || {}, function (count, sport) {
+                    return [[sport, count]];
+                });
+                const $content = $('<div>').append(
+                    $('<strong>').text(response.data.message),
+                    /* translators: %d: number of sports */
+                    $('<p>').text(sprintf(__('Sports available: %d', 'odds-comparison'), data.sports_count || 0))
+                );
+
+                if (rows.length) {
+                    $content.append(OddsComparisonAdmin.buildTable([__('Sport', 'odds-comparison'), __('Events with odds', 'odds-comparison')], rows));
+                } else if (response.success) {
+                    $content.append($('<p>').text(__('None of the test sports currently have events with odds.', 'odds-comparison')));
+                }
+
+                OddsComparisonAdmin.showResult($result, response.success ? 'success' : 'error', $content);
+            }).fail(function () {
+                OddsComparisonAdmin.showResult($result, 'error', __('An error occurred', 'odds-comparison'));
+            });
+        },
+
+        /**
+         * Convert every pasted odds value with the /convert route.
+         */
+        convertOdds: function () {
+            const $result = $('#converter-result');
+            const values = $('#odds-input').val().split(/\r?\n/).map(function (value) {
+                return value.trim();
+            }).filter(Boolean);
+
+            if (!values.length) {
+                OddsComparisonAdmin.showResult($result, 'error', __('Please enter an odds value', 'odds-comparison'));
+                return;
+            }
+
+            const from = $('#from-format').val();
+            const to = $('#to-format').val();
+
+            // Resolve failed conversions too, so one bad line doesn't hide the rest
+            const requests = values.map(function (value) {
+                return OddsComparisonAdmin.restRequest('POST', 'convert', {
+                    value: value,
+                    from: from,
+                    to: to
+                }).then(function (response) {
+                    return [value, response.converted.value, response.implied_probability];
+                }, function (xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : __('Invalid odds value', 'odds-comparison');
+                    return [value, { text: message, className: 'missing' }, '-'];
+                });
+            });
+
+            OddsComparisonAdmin.runTool($(this), $result, $.when.apply($, requests)).done(function () {
+                const rows = Array.prototype.slice.call(arguments);
+
+                OddsComparisonAdmin.showResult($result, 'success',
+                    OddsComparisonAdmin.buildTable([
+                        __('Input', 'odds-comparison'),
+                        __('Converted', 'odds-comparison'),
+                        __('Implied probability', 'odds-comparison')
+                    ], rows)
+                );
+            });
+        },
+
+        /**
+         * Events loaded for the inspector's selected sport.
+         */
+        inspectorEvents: [],
+
+        /**
+         * Load active sports into the inspector, grouped by sport group.
+         */
+        loadInspectorSports: function () {
+            const $select = $('#inspector-sport');
+
+            OddsComparisonAdmin.restRequest('GET', 'sports').done(function (response) {
+                const groups = {};
+
+                (response.sports || []).forEach(function (sport) {
+                    if (sport.active && !sport.has_outrights) {
+                        groups[sport.group] = groups[sport.group] || [];
+                        groups[sport.group].push(sport);
+                    }
+                });
+
+                $select.empty().append($('<option value="">').text(__('Select a sport', 'odds-comparison')));
+
+                Object.keys(groups).sort().forEach(function (group) {
+                    const $group = $('<optgroup>').attr('label', group);
+
+                    groups[group].forEach(function (sport) {
+                        $group.append($('<option>').val(sport.key).text(sport.title));
+                    });
+
+                    $select.append($group);
+                });
+            }).fail(function () {
+                $select.empty().append($('<option value="">').text(__('Sports could not be loaded', 'odds-comparison')));
+            });
+        },
+
+        /**
+         * Load upcoming events for the chosen sport.
+         */
+        loadInspectorEvents: function () {
+            const sport = $(this).val();
+            const $events = $('#inspector-event');
+
+            OddsComparisonAdmin.inspectorEvents = [];
+            $('#inspect-event-btn').prop('disabled', true);
+            $events.prop('disabled', true).empty().append($('<option value="">').text(
+                sport ? __('Loading events…', 'odds-comparison') : __('Select a sport first', 'odds-comparison')
+            ));
+
+            if (!sport) {
+                return;
+            }
+
+            OddsComparisonAdmin.restRequest('GET', 'events', { sport: sport, limit: 50 }).done(function (response) {
+                const events = response.events || [];
+
+                OddsComparisonAdmin.inspectorEvents = events;
+                $events.empty().append($('<option value="">').text(
+                    events.length ? __('Select an event', 'odds-comparison') : __('No upcoming events', 'odds-comparison')
+                ));
+
+                events.forEach(function (event, index) {
+                    $events.append($('<option>').val(index).text(sprintf(
+                        /* translators: 1: home team, 2: away team, 3: start time */
+                        __('%1$s vs %2$s (%3$s)', 'odds-comparison'),
+                        event.home_team,
+                        event.away_team,
+                        event.commence_time
+                    )));
+                });
+
+                $events.prop('disabled', events.length === 0);
+            }).fail(function () {
+                $events.empty().append($('<option value="">').text(__('Events could not be loaded', 'odds-comparison')));
+            });
+        },
+
+        /**
+         * Fetch fresh odds for the chosen event in every enabled market.
+         */
+        inspectEvent: function () {
+            const event = OddsComparisonAdmin.inspectorEvents[$('#inspector-event').val()];
+
+            if (!event) {
+                return;
+            }
+
+            const $result = $('#inspector-result');
+
+            OddsComparisonAdmin.runTool($(this), $result, $.post(oddsComparisonAdmin.ajaxUrl, {
+                action: 'odds_comparison_inspect_event',
+                nonce: oddsComparisonAdmin.ajaxNonce,
+                event: event.home_team + ' vs ' + event.away_team,
+                event_id: event.id || '',
+                sport: event.sport_key || $('#inspector-sport').val(),
+                markets: Object.keys(oddsComparisonAdmin.markets || {})
+            })).done(function (response) {
+                if (response.success) {
+                    OddsComparisonAdmin.showResult($result, 'success', OddsComparisonAdmin.buildInspection(response.data));
+                } else {
+                    OddsComparisonAdmin.showResult($result, 'error', response.data.message);
+                }
+            }).fail(function () {
+                OddsComparisonAdmin.showResult($result, 'error', __('An error occurred', 'odds-comparison'));
+            });
+        },
+
+        /**
+         * Build the inspector report: per market, each bookmaker's prices,
+         * the gaps in them and how long the fetch took.
+         */
+        buildInspection: function (data) {
+            const markets = oddsComparisonAdmin.markets || {};
+            const allBookmakers = {};
+            let totalTime = 0;
+
+            $.each(data.markets, function (marketId, result) {
+                totalTime += result.duration_ms;
+
+                $.each(result.odds, function (id, bookmaker) {
+                    allBookmakers[id] = bookmaker.bookmaker || id;
+                });
+            });
+
+            const $report = $('<div>').append(
+                $('<strong>').text(data.event),
+                $('<p class="inspector-meta">').text(sprintf(
+                    /* translators: 1: event ID, 2: sport key, 3: fetch time, 4: total request time in milliseconds */
+                    __('Event ID: %1$s · Sport: %2$s · Fetched: %3$s · Total time: %4$d ms', 'odds-comparison'),
+                    data.event_id || __('none', 'odds-comparison'),
+                    data.sport,
+                    data.fetched_at,
+                    totalTime
+                ))
+            );
+
+            $.each(data.markets, function (marketId, result) {
+                const market = markets[marketId] || { label: marketId, outcomes: {} };
+                const bookmakerIds = Object.keys(result.odds);
+                const $market = $('<div class="inspector-market">').append(
+                    $('<h3>').text(market.label),
+                    $('<p class="inspector-meta">').text(sprintf(
+                        /* translators: 1: number of bookmakers, 2: request time in milliseconds */
+                        _n('%1$d bookmaker · %2$d ms', '%1$d bookmakers · %2$d ms', bookmakerIds.length, 'odds-comparison'),
+                        bookmakerIds.length,
+                        result.duration_ms
+                    ))
+                );
+
+                if (result.error) {
+                    /* translators: %s: error message */
+                    $market.append($('<p class="missing">').text(sprintf(__('Error: %s', 'odds-comparison'), result.error)));
+                }
+
+                // Outcomes no bookmaker prices (e.g. the draw in a two-way sport)
+                const offered = Object.keys(market.outcomes || {}).filter(function (key) {
+                    return bookmakerIds.some(function (id) {
+                        const value = (result.odds[id].odds || {})[key];
+                        return value && value !== '-';
+                    });
+                });
+                const notOffered = Object.keys(market.outcomes || {}).filter(function (key) {
+                    return offered.indexOf(key) === -1;
+                });
+                const notReturned = Object.keys(allBookmakers).filter(function (id) {
+                    return bookmakerIds.indexOf(id) === -1;
+                });
+
+                if (notOffered.length) {
+                    $market.append($('<p class="inspector-meta">').text(sprintf(
+                        /* translators: %s: comma-separated outcome names */
+                        __('No prices for: %s', 'odds-comparison'),
+                        notOffered.map(function (key) {
+                            return market.outcomes[key];
+                        }).join(', ')
+                    )));
+                }
+
+                if (notReturned.length) {
+                    $market.append($('<p class="inspector-meta">').text(sprintf(
+                        /* translators: %s: comma-separated bookmaker names */
+                        __('Not returned by: %s', 'odds-comparison'),
+                        notReturned.map(function (id) {
+                            return allBookmakers[id];
+                        }).join(', ')
+                    )));
+                }
+
+                if (bookmakerIds.length) {
+                    const headers = [__('Bookmaker', 'odds-comparison')].concat(offered.map(function (key) {
+                        return market.outcomes[key];
+                    }), [__('Last updated', 'odds-comparison')]);
+
+                    const rows = bookmakerIds.map(function (id) {
+                        const bookmaker = result.odds[id];
+                        const odds = bookmaker.odds || {};
+
+                        return [bookmaker.bookmaker || id].concat(offered.map(function (key) {
+                            return odds[key] && odds[key] !== '-' ? odds[key] : { text: __('missing', 'odds-comparison'), className: 'missing' };
+                        }), [bookmaker.last_updated || '-']);
+                    });
+
+                    $market.append(OddsComparisonAdmin.buildTable(headers, rows));
+                } else {
+                    $market.append($('<p class="missing">').text(__('No bookmakers returned this market.', 'odds-comparison')));
+                }
+
+                $report.append($market);
+            });
+
+            return $report;
+        },
+    };
+
+    /**
+     * Initialize on document ready.
+     */
+    $(document).ready(function () {
+        OddsComparisonAdmin.init();
+    });
+
+})(jQuery);
+
+
+
+
+
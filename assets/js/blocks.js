@@ -10,11 +10,44 @@
 (function() {
     'use strict';
 
-    const { registerBlockType } = wp.blocks;
-    const { createElement: el, Fragment, useEffect, useRef } = wp.element;
-    const { InspectorControls, useBlockProps } = wp.blockEditor;
-    const { PanelBody, SelectControl, ToggleControl, RangeControl } = wp.components;
+    const { registerBlockType, createBlock } = wp.blocks;
+    const { createElement: el, Fragment, useEffect, useRef, useState } = wp.element;
+    const { BlockControls, InspectorControls, useBlockProps } = wp.blockEditor;
+    const { PanelBody, SelectControl, ToggleControl, RangeControl, Spinner, Notice, SearchControl, CheckboxControl, Button, ComboboxControl, FormTokenField, Placeholder, TextControl, ToolbarGroup, ToolbarButton } = wp.components;
     const { __, sprintf } = wp.i18n;
+    const apiFetch = wp.apiFetch;
+    const { addQueryArgs } = wp.url;
+    const { gmdateI18n } = wp.date;
+    const ServerSideRender = wp.serverSideRender;
+    const blockData = window.oddsComparisonData || {};
+
+    // Markets offered by the odds table block, from the enabled markets setting
+    function getMarketOptions() {
+        const markets = blockData.markets || {};
+        const options = Object.keys(markets).filter((id) => markets[id].enabled).map((id) => ({
+            label: markets[id].label || id,
+            value: id
+        }));
+
+        // No markets configured yet - the REST API allows all, so offer the standard set
+        if (options.length === 0) {
+            return [
+                { label: __('Match Winner', 'odds-comparison'), value: 'match_winner' },
+                { label: __('Over/Under', 'odds-comparison'), value: 'over_under' },
+                { label: __('Both Teams to Score', 'odds-comparison'), value: 'both_teams_score' },
+                { label: __('Handicap', 'odds-comparison'), value: 'handicap' }
+            ];
+        }
+
+        return options;
+    }
+
+    // Bookmaker names configured in the plugin, for the bookmaker picker
+    function getBookmakerSuggestions() {
+        const bookmakers = blockData.bookmakers || {};
+
+        return Object.keys(bookmakers).map((id) => bookmakers[id].name || id);
+    }
 
     // Safe wrapper for getBoundingClientRect
     function safeGetRect(el) {
@@ -37,6 +70,559 @@
         };
     }
 
+    // Shared request for the sports list so every block on the page reuses it
+    let sportsRequest = null;
+
+    // Load active sports from the /sports route, grouped by sport group
+    function useSports() {
+        const [state, setState] = useState({ status: 'loading', groups: {} });
+
+        useEffect(() => {
+            let cancelled = false;
+
+            if (!sportsRequest) {
+                sportsRequest = apiFetch({ path: '/odds-comparison/v1/sports' });
+                sportsRequest.catch(() => {
+                    // Allow a retry the next time a block mounts
+                    sportsRequest = null;
+                });
+            }
+
+            sportsRequest.then((response) => {
+                const groups = {};
+
+                ((response && response.sports) || []).forEach((item) => {
+                    if (!item.active || item.has_outrights) {
+                        return;
+                    }
+
+                    const group = item.group || __('Other', 'odds-comparison');
+                    groups[group] = groups[group] || [];
+                    groups[group].push(item);
+                });
+
+                if (!cancelled) {
+                    setState({ status: 'ready', groups: groups });
+                }
+            }).catch(() => {
+                if (!cancelled) {
+                    setState({ status: 'error', groups: {} });
+                }
+            });
+
+            return () => {
+                cancelled = true;
+            };
+        }, []);
+
+        return state;
+    }
+
+    // Find a sport's title by key, falling back to the key itself
+    function getSportTitle(groups, key) {
+        let title = key;
+
+        Object.keys(groups).forEach((group) => {
+            groups[group].forEach((item) => {
+                if (item.key === key) {
+                    title = item.title;
+                }
+            });
+        });
+
+        return title;
+    }
+
+    // Searchable, grouped multi-sport selector for the block inspector
+    function SportPicker(props) {
+        const { value, onChange } = props;
+        const sportsState = useSports();
+        const [search, setSearch] = useState('');
+        const term = search.trim().toLowerCase();
+
+        const toggle = (key, checked) => {
+            const next = value.filter((item) => item !== key);
+            onChange(checked ? next.concat(key) : next);
+        };
+
+        const selected = el('div', { key: 'selected', style: { margin: '0 0 10px' } },
+            value.length === 0 ?
+                el('p', { style: { color: '#757575', margin: 0 } }, __('All sports', 'odds-comparison')) :
+                value.map((key) => el(Button, {
+                    key: key,
+                    variant: 'secondary',
+                    size: 'small',
+                    icon: 'no-alt',
+                    iconPosition: 'right',
+                    style: { margin: '0 4px 4px 0' },
+                    label: __('Remove sport', 'odds-comparison'),
+                    showTooltip: false,
+                    onClick: () => toggle(key, false)
+                }, getSportTitle(sportsState.groups, key)))
+        );
+
+        let list;
+
+        if (sportsState.status === 'loading') {
+            list = el(Spinner, { key: 'list' });
+        } else if (sportsState.status === 'error') {
+            list = el(Notice, { key: 'list', status: 'error', isDismissible: false },
+                __('Sports could not be loaded. Check the API key in Odds Comparison > Settings.', 'odds-comparison')
+            );
+        } else {
+            const groups = Object.keys(sportsState.groups).sort().map((group) => {
+                const items = sportsState.groups[group].filter((item) => {
+                    return !term || (item.title + ' ' + item.key + ' ' + group).toLowerCase().indexOf(term) !== -1;
+                });
+
+                if (items.length === 0) {
+                    return null;
+                }
+
+                return el('fieldset', { key: group, style: { margin: '0 0 12px' } }, [
+                    el('legend', { key: 'legend', style: { fontWeight: 600, marginBottom: '6px' } }, group),
+                    items.map((item) => el(CheckboxControl, {
+                        key: item.key,
+                        __nextHasNoMarginBottom: true,
+                        label: item.title,
+                        help: item.description || undefined,
+                        checked: value.indexOf(item.key) !== -1,
+                        onChange: (checked) => toggle(item.key, checked)
+                    }))
+                ]);
+            }).filter(Boolean);
+
+            list = el('div', { key: 'list', style: { maxHeight: '280px', overflowY: 'auto' } },
+                groups.length ? groups : el('p', { style: { color: '#757575' } }, __('No sports match your search.', 'odds-comparison'))
+            );
+        }
+
+        return el('div', { className: 'odds-comparison-sport-picker' }, [
+            el('p', { key: 'label', style: { fontWeight: 500, margin: '0 0 8px' } }, __('Sports', 'odds-comparison')),
+            selected,
+            el(SearchControl, {
+                key: 'search',
+                __nextHasNoMarginBottom: true,
+                label: __('Search sports', 'odds-comparison'),
+                value: search,
+                onChange: setSearch
+            }),
+            list
+        ]);
+    }
+
+    // Fetch upcoming events from the REST API for the editor preview
+    function useLiveEvents(sports, limit) {
+        // Comma-separated so the effect only re-runs when the selection really changes
+        const sportsKey = sports.join(',');
+
+        const [state, setState] = useState({ status: 'loading', events: [] });
+
+        useEffect(() => {
+            let cancelled = false;
+
+            setState({ status: 'loading', events: [] });
+
+            // Wait for the limit slider to settle before fetching
+            const timer = setTimeout(() => {
+                apiFetch({
+                    path: addQueryArgs('/odds-comparison/v1/events', {
+                        sports: sportsKey || undefined,
+                        limit: limit
+                    })
+                }).then((response) => {
+                    if (!cancelled) {
+                        setState({ status: 'ready', events: (response && response.events) || [] });
+                    }
+                }).catch((error) => {
+                    if (!cancelled) {
+                        setState({ status: 'error', events: [], message: error && error.message });
+                    }
+                });
+            }, 300);
+
+            return () => {
+                cancelled = true;
+                clearTimeout(timer);
+            };
+        }, [sportsKey, limit]);
+
+        return state;
+    }
+
+    // Label for an event in the event picker
+    function getEventLabel(event) {
+        let label = event.home_team + ' vs ' + event.away_team;
+
+        if (event.commence_time) {
+            label += ' (' + gmdateI18n('M d, H:i', event.commence_time) + ')';
+        }
+
+        return label;
+    }
+
+    // Searchable picker over upcoming events from the /events route
+    function EventPicker(props) {
+        const { attributes, setAttributes } = props;
+        const eventsState = useLiveEvents([], 50);
+        const events = eventsState.events;
+
+        const options = events.map((event) => ({
+            label: getEventLabel(event) + (event.sport_title ? ' - ' + event.sport_title : ''),
+            value: event.id || event.home_team + ' vs ' + event.away_team
+        }));
+
+        // Keep the saved event selectable even when it is no longer upcoming
+        const value = attributes.eventId || attributes.eventName;
+        if (value && !options.some((option) => option.value === value)) {
+            options.unshift({ label: attributes.eventName, value: value });
+        }
+
+        return el(Fragment, {}, [
+            el(ComboboxControl, {
+                key: 'event',
+                __next40pxDefaultSize: true,
+                __nextHasNoMarginBottom: true,
+                label: __('Event', 'odds-comparison'),
+                help: eventsState.status === 'error' ?
+                    __('Events could not be loaded. Check the API key in Odds Comparison > Settings.', 'odds-comparison') :
+                    __('Type to search upcoming events.', 'odds-comparison'),
+                value: value,
+                options: options,
+                onChange: (selected) => {
+                    const event = events.find((item) => (item.id || item.home_team + ' vs ' + item.away_team) === selected);
+
+                    if (!selected) {
+                        setAttributes({ eventName: '', eventId: '', sport: '' });
+                    } else if (event) {
+                        setAttributes({
+                            eventName: event.home_team + ' vs ' + event.away_team,
+                            eventId: event.id || '',
+                            sport: event.sport_key || ''
+                        });
+                    }
+                }
+            }),
+            eventsState.status === 'loading' && el(Spinner, { key: 'spinner' })
+        ]);
+    }
+
+    // Format a kick-off time in the editor's own time zone, as frontend.js does for visitors
+    function formatKickoff(commenceTime, timeStyle) {
+        const start = new Date(commenceTime);
+
+        if (isNaN(start.getTime())) {
+            return '';
+        }
+
+        const date = new Intl.DateTimeFormat(undefined, {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).format(start);
+
+        if (timeStyle === 'absolute') {
+            return date;
+        }
+
+        const minutes = Math.round((start.getTime() - Date.now()) / 60000);
+        let label;
+
+        if (minutes <= -180) {
+            label = __('Started', 'odds-comparison');
+        } else if (minutes <= 0) {
+            label = __('Live', 'odds-comparison');
+        } else if (minutes <= 15) {
+            label = __('Starting soon', 'odds-comparison');
+        } else if (timeStyle === 'countdown') {
+            /* translators: 1: hours, 2: minutes until kick-off */
+            label = sprintf(__('Kick-off in %1$dh %2$02dm', 'odds-comparison'), Math.floor(minutes / 60), minutes % 60);
+        } else {
+            const relative = new Intl.RelativeTimeFormat(undefined, { style: 'narrow', numeric: 'auto' });
+
+            if (minutes < 60) {
+                label = relative.format(minutes, 'minute');
+            } else if (minutes < 24 * 60) {
+                label = relative.format(Math.round(minutes / 60), 'hour');
+            } else {
+                label = relative.format(Math.round(minutes / (24 * 60)), 'day');
+            }
+        }
+
+        return date + ' · ' + label;
+    }
+
+    // Render one event card, mirroring the server-side markup
+    function renderEventCard(event, index, attributes) {
+        const { showSport, showTime, showBookmakers, timeStyle } = attributes;
+        const sportLabel = event.sport_title || event.sport_key || '';
+
+        return el('div', {
+            key: event.id || index,
+            style: {
+                background: '#fff',
+                padding: '15px',
+                border: '1px solid #ddd',
+                borderRadius: '6px',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+            }
+        }, [
+            showSport && sportLabel && el('div', { 
+                key: 'sport',
+                style: { 
+                    background: '#0073aa', 
+                    color: 'white', 
+                    padding: '4px 8px', 
+                    borderRadius: '4px', 
+                    fontSize: '12px', 
+                    display: 'inline-block', 
+                    marginBottom: '10px' 
+                } 
+            }, sportLabel),
+            
+            el('div', { 
+                key: 'teams',
+                style: { 
+                    display: 'flex', 
+                    alignItems: 'center', 
+                    justifyContent: 'space-between', 
+                    margin: '10px 0' 
+                } 
+            }, [
+                el('div', { 
+                    key: 'home',
+                    style: { fontWeight: 'bold', flex: 1 } 
+                }, event.home_team),
+                el('div', { 
+                    key: 'vs',
+                    style: { margin: '0 10px', color: '#666', fontWeight: 'bold' } 
+                }, 'VS'),
+                el('div', { 
+                    key: 'away',
+                    style: { fontWeight: 'bold', flex: 1, textAlign: 'right' } 
+                }, event.away_team)
+            ]),
+            
+            showTime && event.commence_time && el('div', { 
+                key: 'time',
+                style: { 
+                    fontSize: '14px', 
+                    color: '#666', 
+                    margin: '5px 0',
+                    display: 'flex',
+                    alignItems: 'center'
+                } 
+            }, [
+                el('span', { key: 'icon', style: { marginRight: '5px' } }, '🕒'),
+                formatKickoff(event.commence_time, timeStyle)
+            ]),
+            
+            showBookmakers && event.bookmaker_count > 0 && el('div', { 
+                key: 'bookmakers',
+                style: { 
+                    fontSize: '14px', 
+                    color: '#0073aa', 
+                    margin: '5px 0' 
+                } 
+            }, sprintf(
+                /* translators: %d: number of bookmakers */
+                __('%d bookmakers offering odds', 'odds-comparison'),
+                event.bookmaker_count
+            )),
+            
+            el('div', {
+                key: 'action',
+                style: { marginTop: '10px' }
+            }, [
+                el('span', {
+                    key: 'button',
+                    style: {
+                        background: '#0073aa',
+                        color: 'white',
+                        padding: '8px 16px',
+                        borderRadius: '4px',
+                        textDecoration: 'none',
+                        display: 'inline-block',
+                        fontSize: '14px'
+                    }
+                }, __('View Odds', 'odds-comparison'))
+            ])
+        ]);
+    }
+
+    // Group preview events by competition or kick-off day, keeping their order
+    function groupPreviewEvents(events, groupBy) {
+        const groups = [];
+        const byKey = {};
+
+        events.forEach((event) => {
+            let key = event.sport_title || event.sport_key || __('Other', 'odds-comparison');
+            let label = key;
+
+            if (groupBy === 'day') {
+                key = event.commence_time ? gmdateI18n('Y-m-d', event.commence_time) : '';
+                label = event.commence_time ? gmdateI18n('l j F', event.commence_time) : __('Date to be confirmed', 'odds-comparison');
+            }
+
+            if (!byKey[key]) {
+                byKey[key] = { key, label, events: [] };
+                groups.push(byKey[key]);
+            }
+
+            byKey[key].events.push(event);
+        });
+
+        return groups;
+    }
+
+    // Render a non-interactive copy of the visitor toolbar
+    function renderToolbarPreview(attributes, selectedSports) {
+        const { showSearch, showDateFilter, showSportFilter, showGrouping } = attributes;
+        const controls = [];
+
+        if (showSearch) {
+            controls.push(el('input', { key: 'search', type: 'search', disabled: true, placeholder: __('Search teams', 'odds-comparison') }));
+        }
+
+        if (showDateFilter) {
+            controls.push(el('select', { key: 'date', disabled: true }, el('option', {}, __('All dates', 'odds-comparison'))));
+        }
+
+        if (showSportFilter && selectedSports.length !== 1) {
+            controls.push(el('select', { key: 'sport', disabled: true }, el('option', {}, __('All sports', 'odds-comparison'))));
+        }
+
+        if (showGrouping) {
+            controls.push(el('select', { key: 'group', disabled: true }, el('option', {}, __('Group by', 'odds-comparison'))));
+        }
+
+        if (controls.length === 0) {
+            return null;
+        }
+
+        return el('div', { key: 'toolbar', className: 'odds-live-events-toolbar' }, controls);
+    }
+
+    // Render the preview body for the current fetch state
+    function renderEventsPreview(state, attributes) {
+        const { layout, groupBy } = attributes;
+
+        if (state.status === 'loading') {
+            return el('div', { style: { textAlign: 'center', padding: '20px' } }, [
+                el(Spinner, { key: 'spinner' }),
+                el('p', { key: 'text', style: { color: '#666', margin: '10px 0 0' } }, __('Loading events…', 'odds-comparison'))
+            ]);
+        }
+
+        if (state.status === 'error') {
+            return el(Notice, { status: 'error', isDismissible: false },
+                state.message || __('Events could not be loaded. Check the API key in Odds Comparison > Settings.', 'odds-comparison')
+            );
+        }
+
+        if (state.events.length === 0) {
+            return el(Notice, { status: 'warning', isDismissible: false },
+                __('No upcoming events found for this sport.', 'odds-comparison')
+            );
+        }
+
+        const renderGrid = (events, key) => el('div', {
+            key,
+            style: {
+                display: layout === 'list' ? 'flex' : 'grid',
+                flexDirection: layout === 'list' ? 'column' : 'auto',
+                gridTemplateColumns: layout === 'grid' ? 'repeat(auto-fit, minmax(300px, 1fr))' : 'auto',
+                gap: '15px'
+            }
+        }, events.map((event, index) => renderEventCard(event, index, attributes)));
+
+        if (groupBy !== 'competition' && groupBy !== 'day') {
+            return renderGrid(state.events, 'grid');
+        }
+
+        return groupPreviewEvents(state.events, groupBy).map((group) => el('section', {
+            key: group.key,
+            className: 'odds-live-events-group'
+        }, [
+            el('h4', { key: 'title', className: 'odds-live-events-group-title' }, group.label),
+            renderGrid(group.events, 'grid')
+        ]));
+    }
+
+    // [odds_live_events] on/off attributes and the block attributes they map to
+    const liveEventsShortcodeToggles = {
+        show_sport: 'showSport',
+        show_time: 'showTime',
+        show_bookmakers: 'showBookmakers'
+    };
+
+    // Get the sports a Live Events block lists, including blocks saved with a single sport
+    function getLiveEventsSports(attributes) {
+        if (attributes.sports && attributes.sports.length) {
+            return attributes.sports;
+        }
+
+        return attributes.sport ? [attributes.sport] : [];
+    }
+
+    // Map [odds_live_events] attributes to Live Events block attributes
+    function getLiveEventsAttributesFromShortcode(named) {
+        const timeStyles = ['absolute', 'relative', 'countdown'];
+        const attributes = {
+            sports: named.sport ? [named.sport] : [],
+            // The shortcode shows 20 events when no limit is given
+            limit: Math.max(1, Math.min(50, parseInt(named.limit, 10) || 20)),
+            timeStyle: timeStyles.indexOf(named.time_style) !== -1 ? named.time_style : 'relative'
+        };
+
+        Object.keys(liveEventsShortcodeToggles).forEach((name) => {
+            // Like render_live_events_shortcode, anything but "yes" turns the option off
+            attributes[liveEventsShortcodeToggles[name]] = (named[name] || 'yes') === 'yes';
+        });
+
+        return attributes;
+    }
+
+    // The shortcode has no visitor toolbar, list layout or multiple sports
+    function canConvertLiveEventsToShortcode(attributes) {
+        return getLiveEventsSports(attributes).length <= 1 &&
+            (attributes.layout || 'grid') === 'grid' &&
+            !attributes.showSearch &&
+            !attributes.showDateFilter &&
+            !attributes.showSportFilter &&
+            !attributes.showGrouping &&
+            (attributes.groupBy || 'none') === 'none';
+    }
+
+    // Build the [odds_live_events] shortcode for a Live Events block
+    function getLiveEventsShortcode(attributes) {
+        const sports = getLiveEventsSports(attributes);
+        const named = {};
+
+        if (sports.length) {
+            named.sport = sports[0];
+        }
+
+        named.limit = String(attributes.limit || 10);
+
+        Object.keys(liveEventsShortcodeToggles).forEach((name) => {
+            named[name] = attributes[liveEventsShortcodeToggles[name]] === false ? 'no' : 'yes';
+        });
+
+        named.time_style = attributes.timeStyle || 'relative';
+
+        return new wp.shortcode({ tag: 'odds_live_events', type: 'single', attrs: { named: named, numeric: [] } }).string();
+    }
+
+    // Find a Shortcode block holding nothing but [odds_live_events]
+    function getLiveEventsShortcodeMatch(text) {
+        const match = wp.shortcode.next('odds_live_events', text || '');
+
+        return match && match.content.trim() === String(text).trim() ? match : null;
+    }
+
     // Register the block
     
     registerBlockType('odds-comparison/live-events', {
@@ -62,6 +648,13 @@
                 type: 'string',
                 default: ''
             },
+            sports: {
+                type: 'array',
+                items: {
+                    type: 'string'
+                },
+                default: []
+            },
             limit: {
                 type: 'number',
                 default: 10
@@ -81,12 +674,112 @@
             layout: {
                 type: 'string',
                 default: 'grid'
+            },
+            showSearch: {
+                type: 'boolean',
+                default: false
+            },
+            showDateFilter: {
+                type: 'boolean',
+                default: false
+            },
+            showSportFilter: {
+                type: 'boolean',
+                default: false
+            },
+            showGrouping: {
+                type: 'boolean',
+                default: false
+            },
+            groupBy: {
+                type: 'string',
+                default: 'none',
+                enum: ['none', 'competition', 'day']
+            },
+            timeStyle: {
+                type: 'string',
+                default: 'relative',
+                enum: ['absolute', 'relative', 'countdown']
             }
         },
 
+        variations: [
+            {
+                name: 'premier-league-today',
+                title: __('Today\'s Premier League', 'odds-comparison'),
+                description: __('Upcoming Premier League matches grouped by kick-off day, with a date filter.', 'odds-comparison'),
+                icon: 'calendar',
+                scope: ['inserter', 'transform'],
+                attributes: {
+                    sports: ['soccer_epl'],
+                    groupBy: 'day',
+                    showDateFilter: true,
+                    timeStyle: 'relative'
+                }
+            },
+            {
+                name: 'nba-tonight',
+                title: __('NBA tonight', 'odds-comparison'),
+                description: __('The next NBA games with a countdown to tip-off.', 'odds-comparison'),
+                icon: 'clock',
+                scope: ['inserter', 'transform'],
+                attributes: {
+                    sports: ['basketball_nba'],
+                    limit: 8,
+                    timeStyle: 'countdown',
+                    showSport: false
+                }
+            },
+            {
+                name: 'compact-list',
+                title: __('Compact list', 'odds-comparison'),
+                description: __('A short list of upcoming events without sport tags or bookmaker counts.', 'odds-comparison'),
+                icon: 'list-view',
+                scope: ['inserter', 'transform'],
+                attributes: {
+                    layout: 'list',
+                    limit: 5,
+                    showSport: false,
+                    showBookmakers: false
+                }
+            }
+        ].map((variation) => Object.assign(variation, {
+            // A block matches a variation while it keeps the variation's settings
+            isActive: (blockAttributes, variationAttributes) => Object.keys(variationAttributes).every(
+                (key) => JSON.stringify(blockAttributes[key]) === JSON.stringify(variationAttributes[key])
+            )
+        })),
+
+        transforms: {
+            from: [
+                {
+                    type: 'shortcode',
+                    tag: 'odds_live_events',
+                    transform: (attrs) => createBlock('odds-comparison/live-events', getLiveEventsAttributesFromShortcode(attrs.named || {}))
+                },
+                {
+                    type: 'block',
+                    blocks: ['core/shortcode'],
+                    isMatch: ({ text }) => !!getLiveEventsShortcodeMatch(text),
+                    transform: ({ text }) => createBlock(
+                        'odds-comparison/live-events',
+                        getLiveEventsAttributesFromShortcode(getLiveEventsShortcodeMatch(text).shortcode.attrs.named)
+                    )
+                }
+            ],
+            to: [
+                {
+                    type: 'block',
+                    blocks: ['core/shortcode'],
+                    isMatch: canConvertLiveEventsToShortcode,
+                    transform: (attributes) => createBlock('core/shortcode', { text: getLiveEventsShortcode(attributes) })
+                }
+            ]
+        },
+
         edit: function(props) {
             const { attributes, setAttributes, clientId } = props;
-            const { sport, limit, showSport, showTime, showBookmakers, layout } = attributes;
+            const { sport, sports, limit, showSport, showTime, showBookmakers, layout, showSearch, showDateFilter, showSportFilter, showGrouping, groupBy, timeStyle } = attributes;
             
             // Check for undefined attributes that could break serialization
             const hasUndefined = Object.values(attributes).some(val => val === undefined);
@@ -94,15 +787,35 @@
                 // Fix undefined attributes with defaults
                 const safeAttributes = {
                     sport: sport || '',
+                    sports: sports || [],
                     limit: limit || 10,
                     showSport: showSport !== undefined ? showSport : true,
                     showTime: showTime !== undefined ? showTime : true,
                     showBookmakers: showBookmakers !== undefined ? showBookmakers : true,
-                    layout: layout || 'grid'
+                    layout: layout || 'grid',
+                    showSearch: !!showSearch,
+                    showDateFilter: !!showDateFilter,
+                    showSportFilter: !!showSportFilter,
+                    showGrouping: !!showGrouping,
+                    groupBy: groupBy || 'none',
+                    timeStyle: timeStyle || 'relative'
                 };
                 setAttributes(safeAttributes);
             }
             
+            // Move blocks saved with a single sport over to the sports list
+            if (sport && (!sports || sports.length === 0)) {
+                setAttributes({ sport: '', sports: [sport] });
+            }
+
+            let selectedSports = sports && sports.length ? sports : [];
+            if (selectedSports.length === 0 && sport) {
+                selectedSports = [sport];
+            }
+            const eventsState = useLiveEvents(selectedSports, limit);
+            // Show the block exactly as render_live_events_block outputs it
+            const [serverPreview, setServerPreview] = useState(false);
+            
             // Prevent infinite re-renders with proper useEffect
             useEffect(() => {
                 // Only run once on mount
@@ -122,19 +835,17 @@
                 }
             });
 
-            const sportOptions = [
-                { label: __('All Sports', 'odds-comparison'), value: '' },
-                { label: __('Premier League', 'odds-comparison'), value: 'soccer_epl' },
-                { label: __('NBA', 'odds-comparison'), value: 'basketball_nba' },
-                { label: __('Tennis', 'odds-comparison'), value: 'tennis_atp' },
-                { label: __('MLB', 'odds-comparison'), value: 'baseball_mlb' }
-            ];
-
             const layoutOptions = [
                 { label: __('Grid', 'odds-comparison'), value: 'grid' },
                 { label: __('List', 'odds-comparison'), value: 'list' }
             ];
 
+            const groupByOptions = [
+                { label: __('No grouping', 'odds-comparison'), value: 'none' },
+                { label: __('Competition', 'odds-comparison'), value: 'competition' },
+                { label: __('Kick-off day', 'odds-comparison'), value: 'day' }
+            ];
+
             // Defensive check to ensure we have valid props
             if (!blockProps || !clientId) {
                 return el('div', { className: 'wp-block-odds-comparison-live-events' }, 
@@ -143,18 +854,26 @@
             }
 
             return el('div', blockProps, [
+                el(BlockControls, { key: 'controls' },
+                    el(ToolbarGroup, {},
+                        el(ToolbarButton, {
+                            icon: 'visibility',
+                            label: __('Preview as visitors see it', 'odds-comparison'),
+                            isPressed: serverPreview,
+                            onClick: () => setServerPreview(!serverPreview)
+                        })
+                    )
+                ),
+
                 el(InspectorControls, { key: 'inspector' }, [
                     el(PanelBody, {
                         title: __('Event Settings', 'odds-comparison'),
                         initialOpen: true
                     }, [
-                        el(SelectControl, {
-                            __next40pxDefaultSize: true,
-                            __nextHasNoMarginBottom: true,
-                            label: __('Sport Filter', 'odds-comparison'),
-                            value: sport,
-                            options: sportOptions,
-                            onChange: (value) => setAttributes({ sport: value })
+                        el(SportPicker, {
+                            key: 'sports',
+                            value: selectedSports,
+                            onChange: (value) => setAttributes({ sport: '', sports: value })
                         }),
                         
                         el(RangeControl, {
@@ -197,6 +916,21 @@
                             checked: showTime,
                             onChange: (value) => setAttributes({ showTime: value })
                         }),
+
+                        showTime && el(SelectControl, {
+                            key: 'time-style',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Kick-off Time Style', 'odds-comparison'),
+                            help: __('Times are shown in each visitor\'s own time zone.', 'odds-comparison'),
+                            value: timeStyle,
+                            options: [
+                                { label: __('Date and time', 'odds-comparison'), value: 'absolute' },
+                                { label: __('Date and time with "in 2h" / "Live"', 'odds-comparison'), value: 'relative' },
+                                { label: __('Countdown to kick-off', 'odds-comparison'), value: 'countdown' }
+                            ],
+                            onChange: (value) => setAttributes({ timeStyle: value })
+                        }),
                         
                         el(ToggleControl, {
                             __next40pxDefaultSize: true,
@@ -205,10 +939,62 @@
                             checked: showBookmakers,
                             onChange: (value) => setAttributes({ showBookmakers: value })
                         })
+                    ]),
+
+                    el(PanelBody, {
+                        title: __('Visitor Toolbar', 'odds-comparison'),
+                        initialOpen: false
+                    }, [
+                        el('p', { key: 'help', className: 'components-base-control__help' },
+                            __('Let visitors narrow down long lists. Filtering happens in the browser without reloading the page.', 'odds-comparison')
+                        ),
+
+                        el(ToggleControl, {
+                            __nextHasNoMarginBottom: true,
+                            label: __('Team Search', 'odds-comparison'),
+                            checked: showSearch,
+                            onChange: (value) => setAttributes({ showSearch: value })
+                        }),
+
+                        el(ToggleControl, {
+                            __nextHasNoMarginBottom: true,
+                            label: __('Date Filter', 'odds-comparison'),
+                            help: __('Today, Tomorrow or This weekend, in the visitor\'s time zone.', 'odds-comparison'),
+                            checked: showDateFilter,
+                            onChange: (value) => setAttributes({ showDateFilter: value })
+                        }),
+
+                        el(ToggleControl, {
+                            __nextHasNoMarginBottom: true,
+                            label: __('Sport Filter', 'odds-comparison'),
+                            help: __('Only shown when the block lists more than one sport.', 'odds-comparison'),
+                            checked: showSportFilter,
+                            onChange: (value) => setAttributes({ showSportFilter: value })
+                        }),
+
+                        el(ToggleControl, {
+                            __nextHasNoMarginBottom: true,
+                            label: __('Let Visitors Change Grouping', 'odds-comparison'),
+                            checked: showGrouping,
+                            onChange: (value) => setAttributes({ showGrouping: value })
+                        }),
+
+                        el(SelectControl, {
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Group Events By', 'odds-comparison'),
+                            value: groupBy,
+                            options: groupByOptions,
+                            onChange: (value) => setAttributes({ groupBy: value })
+                        })
                     ])
                 ]),
 
-                el('div', {
+                serverPreview ? el(ServerSideRender, {
+                    key: 'server-preview',
+                    block: 'odds-comparison/live-events',
+                    attributes: attributes
+                }) : el('div', {
                     key: 'preview',
                     className: 'live-events-block-preview',
                     style: {
@@ -243,186 +1029,413 @@
                     })
                 }, [
                     el('h3', {
+                        key: 'title',
                         style: { margin: '0 0 15px 0', color: '#333' }
                     }, __('Live Events', 'odds-comparison')),
                     
                     el('p', {
+                        key: 'summary',
                         style: { color: '#666', fontSize: '14px', margin: '0 0 15px 0' }
-                    }, sprintf(
-                        __('Showing %d events from %s', 'odds-comparison'),
-                        limit,
-                        sport || __('all sports', 'odds-comparison')
-                    )),
+                    }, eventsState.status === 'ready' ? sprintf(
+                        /* translators: 1: number of events, 2: sport key */
+                        __('Showing %1$d events from %2$s', 'odds-comparison'),
+                        eventsState.events.length,
+                        selectedSports.length ? selectedSports.join(', ') : __('all sports', 'odds-comparison')
+                    ) : selectedSports.join(', ') || __('All Sports', 'odds-comparison')),
                     
-                    el('div', {
-                        style: {
-                            display: layout === 'list' ? 'flex' : 'grid',
-                            flexDirection: layout === 'list' ? 'column' : 'auto',
-                            gridTemplateColumns: layout === 'grid' ? 'repeat(auto-fit, minmax(300px, 1fr))' : 'auto',
-                            gap: '15px'
-                        }
+                    renderToolbarPreview(attributes, selectedSports),
+
+                    el('div', { key: 'events' }, renderEventsPreview(eventsState, attributes))
+                ])
+            ]);
+        },
+
+        save: function() {
+            // Return null for dynamic blocks - content is rendered server-side
+            return null;
+        }
+    });
+
+    registerBlockType('odds-comparison/odds-table', {
+        apiVersion: 2,
+        title: __('Odds Table', 'odds-comparison'),
+        description: __('Compare bookmaker odds for a single event, inline in your content.', 'odds-comparison'),
+        icon: 'editor-table',
+        category: 'widgets',
+        keywords: [
+            __('odds', 'odds-comparison'),
+            __('bookmakers', 'odds-comparison'),
+            __('comparison', 'odds-comparison')
+        ],
+        supports: {
+            html: false,
+            align: ['wide', 'full'],
+            anchor: true,
+            customClassName: true
+        },
+
+        attributes: {
+            eventName: {
+                type: 'string',
+                default: ''
+            },
+            eventId: {
+                type: 'string',
+                default: ''
+            },
+            sport: {
+                type: 'string',
+                default: ''
+            },
+            marketType: {
+                type: 'string',
+                default: 'match_winner'
+            },
+            oddsFormat: {
+                type: 'string',
+                default: ''
+            },
+            showHeader: {
+                type: 'boolean',
+                default: true
+            },
+            showLastUpdated: {
+                type: 'boolean',
+                default: true
+            },
+            showSportType: {
+                type: 'boolean',
+                default: true
+            },
+            selectedBookmakers: {
+                type: 'array',
+                items: {
+                    type: 'string'
+                },
+                default: []
+            }
+        },
+
+        edit: function(props) {
+            const { attributes, setAttributes } = props;
+            const { eventName, marketType, oddsFormat, showHeader, showLastUpdated, showSportType, selectedBookmakers } = attributes;
+            const blockProps = useBlockProps();
+
+            const formatOptions = [
+                { label: __('Site default', 'odds-comparison'), value: '' },
+                { label: __('Decimal', 'odds-comparison'), value: 'decimal' },
+                { label: __('Fractional', 'odds-comparison'), value: 'fractional' },
+                { label: __('American', 'odds-comparison'), value: 'american' }
+            ];
+
+            return el('div', blockProps, [
+                el(InspectorControls, { key: 'inspector' }, [
+                    el(PanelBody, {
+                        key: 'event',
+                        title: __('Event Settings', 'odds-comparison'),
+                        initialOpen: true
                     }, [
-                        el('div', {
-                            key: 'event1',
-                            style: {
-                                background: '#fff',
-                                padding: '15px',
-                                border: '1px solid #ddd',
-                                borderRadius: '6px',
-                                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-                            }
-                        }, [
-                            showSport && el('div', { 
-                                style: { 
-                                    background: '#0073aa', 
-                                    color: 'white', 
-                                    padding: '4px 8px', 
-                                    borderRadius: '4px', 
-                                    fontSize: '12px', 
-                                    display: 'inline-block', 
-                                    marginBottom: '10px' 
-                                } 
-                            }, sport ? sportOptions.find(opt => opt.value === sport)?.label || sport : __('All Sports', 'odds-comparison')),
-                            
-                            el('div', { 
-                                style: { 
-                                    display: 'flex', 
-                                    alignItems: 'center', 
-                                    justifyContent: 'space-between', 
-                                    margin: '10px 0' 
-                                } 
-                            }, [
-                                el('div', { 
-                                    style: { fontWeight: 'bold', flex: 1 } 
-                                }, 'Manchester United'),
-                                el('div', { 
-                                    style: { margin: '0 10px', color: '#666', fontWeight: 'bold' } 
-                                }, 'VS'),
-                                el('div', { 
-                                    style: { fontWeight: 'bold', flex: 1, textAlign: 'right' } 
-                                }, 'Liverpool')
-                            ]),
-                            
-                            showTime && el('div', { 
-                                style: { 
-                                    fontSize: '14px', 
-                                    color: '#666', 
-                                    margin: '5px 0',
-                                    display: 'flex',
-                                    alignItems: 'center'
-                                } 
-                            }, [
-                                el('span', { style: { marginRight: '5px' } }, '🕒'),
-                                'Oct 21, 2025 15:00'
-                            ]),
-                            
-                            showBookmakers && el('div', { 
-                                style: { 
-                                    fontSize: '14px', 
-                                    color: '#0073aa', 
-                                    margin: '5px 0' 
-                                } 
-                            }, '15 bookmakers offering odds'),
-                            
-                            el('div', {
-                                style: { marginTop: '10px' }
-                            }, [
-                                el('a', {
-                                    href: '#',
-                                    style: {
-                                        background: '#0073aa',
-                                        color: 'white',
-                                        padding: '8px 16px',
-                                        borderRadius: '4px',
-                                        textDecoration: 'none',
-                                        display: 'inline-block',
-                                        fontSize: '14px'
-                                    }
-                                }, __('View Odds', 'odds-comparison'))
-                            ])
-                        ]),
-                        
-                        el('div', {
-                            key: 'event2',
-                            style: {
-                                background: '#fff',
-                                padding: '15px',
-                                border: '1px solid #ddd',
-                                borderRadius: '6px',
-                                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-                            }
-                        }, [
-                            showSport && el('div', { 
-                                style: { 
-                                    background: '#0073aa', 
-                                    color: 'white', 
-                                    padding: '4px 8px', 
-                                    borderRadius: '4px', 
-                                    fontSize: '12px', 
-                                    display: 'inline-block', 
-                                    marginBottom: '10px' 
-                                } 
-                            }, sport ? sportOptions.find(opt => opt.value === sport)?.label || sport : __('All Sports', 'odds-comparison')),
-                            
-                            el('div', { 
-                                style: { 
-                                    display: 'flex', 
-                                    alignItems: 'center', 
-                                    justifyContent: 'space-between', 
-                                    margin: '10px 0' 
-                                } 
-                            }, [
-                                el('div', { 
-                                    style: { fontWeight: 'bold', flex: 1 } 
-                                }, 'Arsenal'),
-                                el('div', { 
-                                    style: { margin: '0 10px', color: '#666', fontWeight: 'bold' } 
-                                }, 'VS'),
-                                el('div', { 
-                                    style: { fontWeight: 'bold', flex: 1, textAlign: 'right' } 
-                                }, 'Chelsea')
-                            ]),
-                            
-                            showTime && el('div', { 
-                                style: { 
-                                    fontSize: '14px', 
-                                    color: '#666', 
-                                    margin: '5px 0',
-                                    display: 'flex',
-                                    alignItems: 'center'
-                                } 
-                            }, [
-                                el('span', { style: { marginRight: '5px' } }, '🕒'),
-                                'Oct 21, 2025 17:30'
-                            ]),
-                            
-                            showBookmakers && el('div', { 
-                                style: { 
-                                    fontSize: '14px', 
-                                    color: '#0073aa', 
-                                    margin: '5px 0' 
-                                } 
-                            }, '18 bookmakers offering odds'),
-                            
-                            el('div', {
-                                style: { marginTop: '10px' }
-                            }, [
-                                el('a', {
-                                    href: '#',
-                                    style: {
-                                        background: '#0073aa',
-                                        color: 'white',
-                                        padding: '8px 16px',
-                                        borderRadius: '4px',
-                                        textDecoration: 'none',
-                                        display: 'inline-block',
-                                        fontSize: '14px'
-                                    }
-                                }, __('View Odds', 'odds-comparison'))
-                            ])
-                        ])
+                        el(EventPicker, {
+                            key: 'event',
+                            attributes: attributes,
+                            setAttributes: setAttributes
+                        }),
+
+                        el(SelectControl, {
+                            key: 'market',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Market', 'odds-comparison'),
+                            value: marketType,
+                            options: getMarketOptions(),
+                            onChange: (value) => setAttributes({ marketType: value })
+                        }),
+
+                        el(SelectControl, {
+                            key: 'format',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Odds Format', 'odds-comparison'),
+                            value: oddsFormat,
+                            options: formatOptions,
+                            onChange: (value) => setAttributes({ oddsFormat: value })
+                        }),
+
+                        el(FormTokenField, {
+                            key: 'bookmakers',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Bookmakers', 'odds-comparison'),
+                            value: selectedBookmakers,
+                            suggestions: getBookmakerSuggestions(),
+                            __experimentalShowHowTo: false,
+                            onChange: (value) => setAttributes({ selectedBookmakers: value })
+                        }),
+
+                        el('p', { key: 'bookmakers-help', className: 'components-base-control__help' },
+                            __('Leave empty to show every visible bookmaker.', 'odds-comparison')
+                        )
+                    ]),
+
+                    el(PanelBody, {
+                        key: 'display',
+                        title: __('Display Options', 'odds-comparison'),
+                        initialOpen: false
+                    }, [
+                        el(ToggleControl, {
+                            key: 'header',
+                            __nextHasNoMarginBottom: true,
+                            label: __('Show Header', 'odds-comparison'),
+                            checked: showHeader,
+                            onChange: (value) => setAttributes({ showHeader: value })
+                        }),
+
+                        el(ToggleControl, {
+                            key: 'sport',
+                            __nextHasNoMarginBottom: true,
+                            label: __('Show Sport Type', 'odds-comparison'),
+                            checked: showSportType,
+                            onChange: (value) => setAttributes({ showSportType: value })
+                        }),
+
+                        el(ToggleControl, {
+                            key: 'updated',
+                            __nextHasNoMarginBottom: true,
+                            label: __('Show Last Updated', 'odds-comparison'),
+                            checked: showLastUpdated,
+                            onChange: (value) => setAttributes({ showLastUpdated: value })
+                        })
                     ])
-                ])
+                ]),
+
+                eventName ?
+                    el(ServerSideRender, {
+                        key: 'preview',
+                        block: 'odds-comparison/odds-table',
+                        attributes: attributes
+                    }) :
+                    el(Placeholder, {
+                        key: 'placeholder',
+                        icon: 'editor-table',
+                        label: __('Odds Table', 'odds-comparison'),
+                        instructions: __('Choose an event in the block settings to show its odds.', 'odds-comparison')
+                    })
+            ]);
+        },
+
+        save: function() {
+            // Return null for dynamic blocks - content is rendered server-side
+            return null;
+        }
+    });
+
+
+    registerBlockType('odds-comparison/surebets', {
+        apiVersion: 2,
+        title: __('Surebets', 'odds-comparison'),
+        description: __('List surebets and value bets found across bookmakers, with stake splits.', 'odds-comparison'),
+        icon: 'chart-line',
+        category: 'widgets',
+        keywords: [
+            __('arbitrage', 'odds-comparison'),
+            __('surebet', 'odds-comparison'),
+            __('value bet', 'odds-comparison')
+        ],
+        supports: {
+            html: false,
+            align: ['wide', 'full'],
+            anchor: true,
+            customClassName: true
+        },
+
+        attributes: {
+            sports: {
+                type: 'array',
+                items: {
+                    type: 'string'
+                },
+                default: []
+            },
+            marketType: {
+                type: 'string',
+                default: 'match_winner'
+            },
+            show: {
+                type: 'string',
+                default: 'all',
+                enum: ['all', 'surebets', 'value']
+            },
+            limit: {
+                type: 'number',
+                default: 10
+            },
+            stake: {
+                type: 'number',
+                default: 100
+            }
+        },
+
+        edit: function(props) {
+            const { attributes, setAttributes } = props;
+            const { sports, marketType, show, limit, stake } = attributes;
+            const blockProps = useBlockProps();
+
+            // Correct score has no complete set of outcomes to compare
+            const marketOptions = getMarketOptions().filter((option) => option.value !== 'correct_score');
+
+            return el('div', blockProps, [
+                el(InspectorControls, { key: 'inspector' }, [
+                    el(PanelBody, {
+                        key: 'settings',
+                        title: __('Surebet Settings', 'odds-comparison'),
+                        initialOpen: true
+                    }, [
+                        el(SportPicker, {
+                            key: 'sports',
+                            value: sports,
+                            onChange: (value) => setAttributes({ sports: value })
+                        }),
+
+                        el('p', { key: 'sports-help', className: 'components-base-control__help' },
+                            __('Leave empty to scan the Premier League. Up to five sports are scanned.', 'odds-comparison')
+                        ),
+
+                        el(SelectControl, {
+                            key: 'market',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Market', 'odds-comparison'),
+                            value: marketType,
+                            options: marketOptions,
+                            onChange: (value) => setAttributes({ marketType: value })
+                        }),
+
+                        el(SelectControl, {
+                            key: 'show',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Show', 'odds-comparison'),
+                            value: show,
+                            options: [
+                                { label: __('Surebets and value bets', 'odds-comparison'), value: 'all' },
+                                { label: __('Surebets only', 'odds-comparison'), value: 'surebets' },
+                                { label: __('Value bets only', 'odds-comparison'), value: 'value' }
+                            ],
+                            onChange: (value) => setAttributes({ show: value })
+                        }),
+
+                        el(RangeControl, {
+                            key: 'limit',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Number of Results', 'odds-comparison'),
+                            value: limit,
+                            onChange: (value) => setAttributes({ limit: value }),
+                            min: 1,
+                            max: 50,
+                            step: 1
+                        }),
+
+                        el(RangeControl, {
+                            key: 'stake',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Default Total Stake', 'odds-comparison'),
+                            help: __('Visitors can change the stake on the page.', 'odds-comparison'),
+                            value: stake,
+                            onChange: (value) => setAttributes({ stake: value }),
+                            min: 10,
+                            max: 1000,
+                            step: 10
+                        }),
+
+                        el('p', { key: 'edge-help', className: 'components-base-control__help' },
+                            __('The minimum edge is set in Odds Comparison > Settings.', 'odds-comparison')
+                        )
+                    ])
+                ]),
+
+                el(ServerSideRender, {
+                    key: 'preview',
+                    block: 'odds-comparison/surebets',
+                    attributes: attributes
+                })
+            ]);
+        },
+
+        save: function() {
+            // Return null for dynamic blocks - content is rendered server-side
+            return null;
+        }
+    });
+
+    registerBlockType('odds-comparison/watchlist', {
+        apiVersion: 2,
+        title: __('My Watchlist', 'odds-comparison'),
+        description: __('Show the events a visitor has starred, with the best current price and their price alerts.', 'odds-comparison'),
+        icon: 'star-filled',
+        category: 'widgets',
+        keywords: [
+            __('watchlist', 'odds-comparison'),
+            __('alert', 'odds-comparison'),
+            __('favourite', 'odds-comparison')
+        ],
+        supports: {
+            html: false,
+            align: ['wide', 'full'],
+            anchor: true,
+            customClassName: true
+        },
+
+        attributes: {
+            title: {
+                type: 'string',
+                default: ''
+            },
+            showAlerts: {
+                type: 'boolean',
+                default: true
+            }
+        },
+
+        edit: function(props) {
+            const { attributes, setAttributes } = props;
+            const { title, showAlerts } = attributes;
+            const blockProps = useBlockProps();
+
+            return el('div', blockProps, [
+                el(InspectorControls, { key: 'inspector' }, [
+                    el(PanelBody, {
+                        key: 'settings',
+                        title: __('Watchlist Settings', 'odds-comparison'),
+                        initialOpen: true
+                    }, [
+                        el(TextControl, {
+                            key: 'title',
+                            __next40pxDefaultSize: true,
+                            __nextHasNoMarginBottom: true,
+                            label: __('Title', 'odds-comparison'),
+                            placeholder: __('My Watchlist', 'odds-comparison'),
+                            value: title,
+                            onChange: (value) => setAttributes({ title: value })
+                        }),
+
+                        el(ToggleControl, {
+                            key: 'alerts',
+                            __nextHasNoMarginBottom: true,
+                            label: __('Show Price Alerts', 'odds-comparison'),
+                            checked: showAlerts,
+                            onChange: (value) => setAttributes({ showAlerts: value })
+                        })
+                    ])
+                ]),
+
+                el(Placeholder, {
+                    key: 'preview',
+                    icon: 'star-filled',
+                    label: title || __('My Watchlist', 'odds-comparison'),
+                    instructions: __('Visitors see the events they have starred here, with the best current price. The list is kept in each visitor\'s browser.', 'odds-comparison')
+                })
             ]);
         },
 
@@ -8,209 +8,3888 @@
 (function ($) {
     'use strict';
 
+    const { __, _n, sprintf } = wp.i18n;
+
+    /**
+     * Locale-aware number formatting.
+     *
+     * Prices, stakes and percentages are shown the way the site's locale writes
+     * them, e.g. "2,50" and "4,5 %" in German. Data attributes keep raw values.
+     */
+    const OddsNumber = {
+        /**
+         * Formatters by style and digits, since creating one is slow.
+         */
+        formatters: {},
+
+        /**
+         * Site locale as a language tag, once checked.
+         */
+        locale: null,
+
+        /**
+         * Get the site locale as a language tag, or undefined for the browser's.
+         */
+        getLocale: function () {
+            if (OddsNumber.locale === null) {
+                try {
+                    OddsNumber.locale = Intl.getCanonicalLocales(oddsComparison.locale || [])[0];
+                } catch (e) {
+                    // WordPress locales that aren't valid language tags fall back to the browser's
+                    OddsNumber.locale = undefined;
+                }
+            }
+
+            return OddsNumber.locale;
+        },
+
+        /**
+         * Get a cached Intl.NumberFormat for the site locale.
+         */
+        getFormatter: function (style, minDigits, maxDigits) {
+            const key = style + ':' + minDigits + ':' + maxDigits;
+
+            if (!OddsNumber.formatters[key]) {
+                OddsNumber.formatters[key] = new Intl.NumberFormat(OddsNumber.getLocale(), {
+                    style: style,
+                    minimumFractionDigits: minDigits,
+                    maximumFractionDigits: maxDigits
+                });
+            }
+
+            return OddsNumber.formatters[key];
+        },
+
+        /**
+         * Format a number with a fixed number of decimals (2 by default).
+         */
+        decimal: function (value, digits) {
+            digits = digits === undefined ? 2 : digits;
+
+            return OddsNumber.getFormatter('decimal', digits, digits).format(value);
+        },
+
+        /**
+         * Format a number with up to the given number of decimals, e.g. a point of 2.5 or -1.
+         */
+        number: function (value, maxDigits) {
+            return OddsNumber.getFormatter('decimal', 0, maxDigits === undefined ? 2 : maxDigits).format(value);
+        },
+
+        /**
+         * Format a percentage given on a 0-100 scale (2 decimals by default).
+         */
+        percent: function (value, digits) {
+            digits = digits === undefined ? 2 : digits;
+
+            return OddsNumber.getFormatter('percent', digits, digits).format(value / 100);
+        }
+    };
+
+    /**
+     * Client-side odds conversion.
+     *
+     * Mirrors OddsConverter on the server so the modal can switch formats
+     * without another request. Input values are always decimal odds.
+     */
+    const OddsConverter = {
+        /**
+         * Convert decimal odds to a GCD-reduced fraction (e.g. 2.5 -> "3/2").
+         */
+        decimalToFractional: function (decimal) {
+            if (decimal <= 1) {
+                return '0/1';
+            }
+
+            const precision = 100;
+            let numerator = Math.round((decimal - 1) * precision);
+            let denominator = precision;
+            const divisor = OddsConverter.gcd(numerator, denominator);
+
+            numerator = numerator / divisor;
+            denominator = denominator / divisor;
+
+            return numerator + '/' + denominator;
+        },
+
+        /**
+         * Convert decimal odds to American odds (e.g. 2.5 -> "+150", 1.5 -> "-200").
+         */
+        decimalToAmerican: function (decimal) {
+            if (decimal >= 2) {
+                return '+' + Math.round((decimal - 1) * 100);
+            }
+
+            return String(Math.round(-100 / (decimal - 1)));
+        },
+
+        /**
+         * Format a decimal odds value in the given format, for the site locale.
+         *
+         * Non-numeric values such as "-" are returned untouched.
+         */
+        format: function (value, format) {
+            const decimal = parseFloat(value);
+
+            if (isNaN(decimal) || decimal <= 1) {
+                return value;
+            }
+
+            if (format === 'fractional') {
+                return OddsConverter.decimalToFractional(decimal);
+            }
+
+            if (format === 'american') {
+                return OddsConverter.decimalToAmerican(decimal);
+            }
+
+            return OddsNumber.decimal(decimal);
+        },
+
+        /**
+         * Calculate implied probability (0-100) from decimal odds.
+         */
+        impliedProbability: function (decimal) {
+            if (decimal <= 0) {
+                return 0;
+            }
+
+            return Math.round((1 / decimal) * 10000) / 100;
+        },
+
+        /**
+         * Calculate the overround (sum of implied probabilities, in %) of a set of prices.
+         */
+        overround: function (decimals) {
+            let total = 0;
+
+            decimals.forEach(function (decimal) {
+                total += 1 / decimal;
+            });
+
+            return Math.round(total * 10000) / 100;
+        },
+
+        /**
+         * Calculate potential profit from stake and decimal odds.
+         */
+        calculateProfit: function (stake, decimal) {
+            return Math.round(stake * (decimal - 1) * 100) / 100;
+        },
+
+        /**
+         * Calculate potential return (stake + profit) from stake and decimal odds.
+         */
+        calculateReturn: function (stake, decimal) {
+            return Math.round(stake * decimal * 100) / 100;
+        },
+
+        /**
+         * Find greatest common divisor using the Euclidean algorithm.
+         */
+        gcd: function (a, b) {
+            a = Math.abs(a);
+            b = Math.abs(b);
+
+            while (b !== 0) {
+                const temp = b;
+                b = a % b;
+                a = temp;
+            }
+
+            return a;
+        }
+    };
+
+    /**
+     * Escaping for HTML built from strings.
+     *
+     * Event names, bookmaker names and URLs come from third-party APIs and admin
+     * input, so every value put into markup goes through here first.
+     */
+    const OddsHtml = {
+        /**
+         * Characters that are unsafe in HTML text and attribute values.
+         */
+        entities: {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;',
+            '`': '&#96;'
+        },
+
+        /**
+         * URL schemes allowed in links.
+         */
+        allowedProtocols: ['http:', 'https:'],
+
+        /**
+         * Escape a value for use in HTML text or a quoted attribute.
+         */
+        escape: function (value) {
+            if (value === null || value === undefined) {
+                return '';
+            }
+
+            return String(value).replace(/[&<>"'`]/g, function (character) {
+                return OddsHtml.entities[character];
+            });
+        },
+
+        /**
+         * Return an escaped URL if it uses an allowed scheme, or "#" otherwise.
+         *
+         * Blocks javascript:, data: and similar URLs. Relative URLs resolve against the page.
+         */
+        url: function (value) {
+            let parsed;
+
+            try {
+                parsed = new URL(String(value || ''), window.location.href);
+            } catch (e) {
+                return '#';
+            }
+
+            if (!value || OddsHtml.allowedProtocols.indexOf(parsed.protocol) === -1) {
+                return '#';
+            }
+
+            return OddsHtml.escape(parsed.href);
+        }
+    };
+
+    /**
+     * Lines for totals and handicaps.
+     *
+     * Each bookmaker's odds hold its main line, and "lines" holds every line it
+     * prices. Bookmakers are only compared at the same line.
+     */
+    const OddsLines = {
+        /**
+         * Outcome labels with a placeholder for the point, e.g. "Over 3.5" or "Home -1.5".
+         */
+        outcomeNames: {
+            /* translators: %s: total, e.g. 2.5 */
+            over_2_5: __('Over %s', 'odds-comparison'),
+            /* translators: %s: total, e.g. 2.5 */
+            under_2_5: __('Under %s', 'odds-comparison'),
+            /* translators: %s: handicap, e.g. -1.5 */
+            home_handicap: __('Home %s', 'odds-comparison'),
+            /* translators: %s: handicap, e.g. +1.5 */
+            away_handicap: __('Away %s', 'odds-comparison')
+        },
+
+        /**
+         * Outcomes whose point is shown with a sign.
+         */
+        signedOutcomes: ['home_handicap', 'away_handicap'],
+
+        /**
+         * Get every line priced by at least one bookmaker, lowest first.
+         */
+        getLines: function (bookmakers) {
+            const lines = [];
+
+            bookmakers.forEach(function (bookmaker) {
+                (bookmaker.lines || []).forEach(function (line) {
+                    if (lines.indexOf(String(line.line)) === -1) {
+                        lines.push(String(line.line));
+                    }
+                });
+            });
+
+            return lines.sort(function (a, b) {
+                return parseFloat(a) - parseFloat(b);
+            });
+        },
+
+        /**
+         * Count the bookmakers pricing a line.
+         */
+        countBookmakers: function (bookmakers, line) {
+            return bookmakers.filter(function (bookmaker) {
+                return (bookmaker.lines || []).some(function (item) {
+                    return String(item.line) === line;
+                });
+            }).length;
+        },
+
+        /**
+         * Get the line most bookmakers offer as their main line.
+         */
+        getMainLine: function (bookmakers) {
+            const counts = {};
+            let main = null;
+
+            bookmakers.forEach(function (bookmaker) {
+                if (bookmaker.line !== undefined && bookmaker.line !== null) {
+                    const line = String(bookmaker.line);
+
+                    counts[line] = (counts[line] || 0) + 1;
+
+                    if (main === null || counts[line] > counts[main]) {
+                        main = line;
+                    }
+                }
+            });
+
+            return main;
+        },
+
+        /**
+         * Show every bookmaker's prices at one line, leaving out those without it.
+         */
+        select: function (bookmakers, line) {
+            if (line === null || line === undefined) {
+                return bookmakers;
+            }
+
+            const selected = [];
+
+            bookmakers.forEach(function (bookmaker) {
+                if (!bookmaker.lines || bookmaker.lines.length === 0) {
+                    selected.push(bookmaker);
+                    return;
+                }
+
+                bookmaker.lines.forEach(function (item) {
+                    if (String(item.line) === String(line)) {
+                        selected.push($.extend({}, bookmaker, { odds: item.odds, points: item.points, line: item.line }));
+                    }
+                });
+            });
+
+            return selected;
+        },
+
+        /**
+         * Get the points of the line on screen ({ outcome: point }).
+         */
+        getPoints: function (bookmakers) {
+            for (let i = 0; i < bookmakers.length; i++) {
+                if (bookmakers[i].points) {
+                    return bookmakers[i].points;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Format a point. Quarter lines show both halves, e.g. "-0.75 (-0.5, -1)".
+         */
+        formatPoint: function (point, signed) {
+            const value = parseFloat(point);
+            const format = function (number) {
+                // Adding 0 turns -0 into 0
+                return (signed && number > 0 ? '+' : '') + OddsNumber.number(number + 0);
+            };
+
+            if (isNaN(value)) {
+                return '';
+            }
+
+            if (Math.abs(value * 4) % 2 === 1) {
+                const step = value > 0 ? 0.25 : -0.25;
+
+                /* translators: quarter line, 1: line, 2: and 3: the half lines the stake is split across */
+                return sprintf(__('%1$s (%2$s, %3$s)', 'odds-comparison'), format(value), format(value - step), format(value + step));
+            }
+
+            return format(value);
+        },
+
+        /**
+         * Get an outcome label with its point, falling back to the market's label.
+         */
+        getOutcomeLabel: function (outcome, point, fallback) {
+            if (!OddsLines.outcomeNames[outcome] || point === null || point === undefined) {
+                return fallback;
+            }
+
+            const format = OddsLines.outcomeNames[outcome];
+
+            return sprintf(format, OddsLines.formatPoint(point, OddsLines.signedOutcomes.indexOf(outcome) !== -1));
+        },
+
+        /**
+         * Label a line for the line selector, e.g. "3.5" or "Home -1.5".
+         */
+        getLineLabel: function (marketType, line) {
+            if (marketType === 'handicap') {
+                return OddsLines.getOutcomeLabel('home_handicap', line, line);
+            }
+
+            return OddsLines.formatPoint(line, false);
+        }
+    };
+
+    /**
+     * Browser cache for odds responses, per event and market.
+     *
+     * Entries live in sessionStorage so prices survive a reload or a dropped
+     * connection. They go stale after the server's cache duration but are still
+     * shown while a fresh copy loads, and are all dropped when the server's
+     * cache version changes (the admin cleared the cache).
+     */
+    const OddsCache = {
+        /**
+         * sessionStorage key holding the cache.
+         */
+        storageKey: 'oddsComparisonCache',
+
+        /**
+         * Most entries to keep; the oldest are dropped first.
+         */
+        maxEntries: 30,
+
+        /**
+         * Cached responses keyed by "eventId|market" ({ time, odds }), loaded on first use.
+         */
+        entries: null,
+
+        /**
+         * Server cache version the entries belong to.
+         */
+        version: '',
+
+        /**
+         * Requests in flight, keyed like entries.
+         */
+        requests: {},
+
+        /**
+         * How long an entry stays fresh, in milliseconds.
+         */
+        getTtl: function () {
+            const ttl = parseInt(oddsComparison.cacheTtl, 10);
+
+            return (isNaN(ttl) || ttl < 0 ? 300 : ttl) * 1000;
+        },
+
+        /**
+         * Read the cache from sessionStorage, discarding it if the server cache was cleared since.
+         */
+        load: function () {
+            if (OddsCache.entries !== null) {
+                return;
+            }
+
+            OddsCache.entries = {};
+            OddsCache.version = String(oddsComparison.cacheVersion || '');
+
+            try {
+                const stored = JSON.parse(window.sessionStorage.getItem(OddsCache.storageKey));
+
+                if (stored && stored.version === OddsCache.version && stored.entries) {
+                    OddsCache.entries = stored.entries;
+                }
+            } catch (e) {
+                // Storage disabled or corrupt, start empty
+            }
+        },
+
+        /**
+         * Write the cache to sessionStorage.
+         */
+        save: function () {
+            try {
+                window.sessionStorage.setItem(OddsCache.storageKey, JSON.stringify({
+                    version: OddsCache.version,
+                    entries: OddsCache.entries
+                }));
+            } catch (e) {
+                // Storage full or disabled, the in-memory copy still works for this page
+            }
+        },
+
+        /**
+         * Cache key for an event ({ id, name }) and market.
+         */
+        key: function (event, marketType) {
+            return (event.id || event.name) + '|' + marketType;
+        },
+
+        /**
+         * Get a cached entry ({ time, odds }), fresh or stale, or null.
+         */
+        get: function (key) {
+            OddsCache.load();
+
+            return OddsCache.entries[key] || null;
+        },
+
+        /**
+         * Whether an entry is younger than the server's cache duration.
+         */
+        isFresh: function (entry) {
+            return Date.now() - entry.time < OddsCache.getTtl();
+        },
+
+        /**
+         * Store a REST response, dropping everything else if the server cache version changed.
+         */
+        store: function (key, response) {
+            const version = response && response.cache_version !== undefined ? String(response.cache_version) : '';
+
+            OddsCache.load();
+
+            if (version && version !== OddsCache.version) {
+                OddsCache.entries = {};
+                OddsCache.version = version;
+            }
+
+            if (!response || !response.success || !response.odds || Object.keys(response.odds).length === 0) {
+                OddsCache.save();
+                return;
+            }
+
+            OddsCache.entries[key] = { time: Date.now(), odds: response.odds };
+
+            const keys = Object.keys(OddsCache.entries).sort(function (a, b) {
+                return OddsCache.entries[a].time - OddsCache.entries[b].time;
+            });
+
+            while (keys.length > OddsCache.maxEntries) {
+                delete OddsCache.entries[keys.shift()];
+            }
+
+            OddsCache.save();
+        },
+
+        /**
+         * Request odds from the REST API and cache the response.
+         *
+         * A request already in flight for the same key is reused, and requests
+         * for anything else are cancelled since the modal no longer needs them.
+         * Background requests (watchlist checks) neither cancel nor get cancelled.
+         */
+        fetch: function (key, data, background) {
+            if (!background) {
+                $.each(OddsCache.requests, function (pendingKey, request) {
+                    if (pendingKey !== key && !request.background) {
+                        request.abort();
+                    }
+                });
+            }
+
+            if (!OddsCache.requests[key]) {
+                OddsCache.requests[key] = $.ajax({
+                    url: oddsComparison.restUrl + 'odds',
+                    method: 'GET',
+                    data: data
+                }).done(function (response) {
+                    OddsCache.store(key, response);
+                }).always(function () {
+                    delete OddsCache.requests[key];
+                });
+                OddsCache.requests[key].background = !!background;
+            } else if (!background) {
+                // The modal is waiting on it now
+                OddsCache.requests[key].background = false;
+            }
+
+            return OddsCache.requests[key];
+        }
+    };
+
+    /**
+     * Odds Comparison frontend functionality.
+     */
+    const OddsComparison = {
+        /**
+         * Event currently shown in the modal ({ id, name, sport }).
+         */
+        currentEvent: null,
+
+        /**
+         * Market currently shown in the modal.
+         */
+        currentMarket: null,
+
+        /**
+         * Element that had focus before the modal opened, to return focus to on close.
+         */
+        lastFocused: null,
+
+        /**
+         * Page elements made inert while the modal is open.
+         */
+        inertElements: null,
+
+        /**
+         * Whether opening the modal added a history entry, so closing it should go back.
+         */
+        historyPushed: false,
+
+        /**
+         * Elements that can take keyboard focus inside the modal.
+         */
+        focusableSelector: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+            'textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])',
+
+        /**
+         * Bookmakers returned for the current event and market, at the selected line.
+         */
+        currentBookmakers: [],
+
+        /**
+         * Every bookmaker returned for the current event and market, with all their lines.
+         */
+        allBookmakers: [],
+
+        /**
+         * Selected line for totals and handicaps, or null for markets without lines.
+         */
+        currentLine: null,
+
+        /**
+         * Active table sort ({ key, direction }). Key is an outcome key,
+         * "bookmaker" or "margin"; null keeps the API order.
+         */
+        sort: { key: null, direction: 'desc' },
+
+        /**
+         * Bookmaker IDs the visitor has filtered out of the table. Stored as an
+         * exclusion list so bookmakers added later are shown by default.
+         */
+        hiddenBookmakers: [],
+
+        /**
+         * Timer for re-fetching the open event's odds.
+         */
+        refreshTimer: null,
+
+        /**
+         * Whether a refresh request is in flight.
+         */
+        refreshing: false,
+
+        /**
+         * When the odds on screen were fetched (ms timestamp), for the "Updated" stamp.
+         */
+        updatedAt: null,
+
+        /**
+         * Whether the last request for the odds on screen failed.
+         */
+        updateFailed: false,
+
+        /**
+         * Timer keeping the "Updated" stamp current.
+         */
+        stampTimer: null,
+
+        /**
+         * Price history for the current event and market, from the history route.
+         */
+        movement: null,
+
+        /**
+         * Outcome shown in the movement chart.
+         */
+        movementOutcome: null,
+
+        /**
+         * Price history request in flight.
+         */
+        movementRequest: null,
+
+        /**
+         * Line colours for bookmakers in the movement chart.
+         */
+        movementColors: ['#0073aa', '#d63638', '#00a32a', '#dba617', '#8c5fc5', '#e26f56', '#135e96', '#3c434a', '#f0a500', '#1ea4a4'],
+
+        /**
+         * Last prices seen per "bookmakerId|outcome", for spotting movement.
+         */
+        priceSnapshot: {},
+
+        /**
+         * Price movements from the last refresh per "bookmakerId|outcome" (up or down).
+         */
+        priceMovements: {},
+
+        /**
+         * Stake used by the bet calculator.
+         */
+        stake: 10,
+
+        /**
+         * Outcome picked in the bet calculator.
+         */
+        calculatorOutcome: null,
+
+        /**
+         * Selections added to the bet slip, from any event opened on the page.
+         */
+        betSlip: [],
+
+        /**
+         * Bet slip mode (accumulator or eachway).
+         */
+        betSlipMode: 'accumulator',
+
+        /**
+         * Each-way place terms as a fraction of the win odds.
+         */
+        placeFraction: 0.25,
+
+        /**
+         * Each-way place terms offered in the bet slip.
+         */
+        placeTerms: {
+            '0.25': __('1/4 odds', 'odds-comparison'),
+            '0.2': __('1/5 odds', 'odds-comparison')
+        },
+
+        /**
+         * Odds format used for display (decimal, fractional or american).
+         */
+        oddsFormat: 'decimal',
+
+        /**
+         * Supported odds formats and their labels.
+         */
+        formats: {
+            decimal: __('Decimal', 'odds-comparison'),
+            fractional: __('Fractional', 'odds-comparison'),
+            american: __('American', 'odds-comparison')
+        },
+
+        /**
+         * Sport groups (the part of the sport key before "_") whose match
+         * winner market has a draw. Everything else is treated as two-way.
+         */
+        drawSports: ['soccer', 'football', 'rugbyleague', 'rugbyunion', 'cricket', 'boxing'],
+
+        /**
+         * Markets that only exist for soccer.
+         */
+        soccerOnlyMarkets: ['both_teams_score', 'correct_score'],
+
+        /**
+         * Initialize the frontend functionality.
+         */
+        init: function () {
+            this.oddsFormat = this.getPreferredFormat();
+            this.hiddenBookmakers = this.loadPreference('hiddenBookmakers', []);
+            this.stake = this.loadPreference('stake', this.stake);
+            this.bindEvents();
+            this.restoreFromHash(true);
+        },
+
+        /**
+         * Read a visitor preference from localStorage.
+         */
+        loadPreference: function (key, fallback) {
+            try {
+                const value = window.localStorage.getItem('oddsComparison.' + key);
+                return value !== null ? JSON.parse(value) : fallback;
+            } catch (e) {
+                // Storage disabled (private mode) or malformed value
+                return fallback;
+            }
+        },
+
+        /**
+         * Save a visitor preference to localStorage.
+         */
+        savePreference: function (key, value) {
+            try {
+                window.localStorage.setItem('oddsComparison.' + key, JSON.stringify(value));
+            } catch (e) {
+                // Storage unavailable - the preference only lasts for this page view
+            }
+        },
+
+        /**
+         * Get the visitor's odds format, falling back to the site default.
+         */
+        getPreferredFormat: function () {
+            const saved = this.loadPreference('oddsFormat', null);
+
+            if (saved && this.formats[saved]) {
+                return saved;
+            }
+
+            return this.formats[oddsComparison.defaultFormat] ? oddsComparison.defaultFormat : 'decimal';
+        },
+
+        /**
+         * Switch the display format, remember it and update visible prices.
+         */
+        setOddsFormat: function (format) {
+            if (!this.formats[format]) {
+                return;
+            }
+
+            this.oddsFormat = format;
+            this.savePreference('oddsFormat', format);
+            this.updateHash(false);
+
+            $('#odds-modal [data-decimal]').each(function () {
+                $(this).text(OddsConverter.format($(this).attr('data-decimal'), format));
+            });
+        },
+
+        /**
+         * Get the sport group from a sport key (e.g. "basketball_nba" -> "basketball").
+         */
+        getSportGroup: function (sport) {
+            return String(sport || '').split('_')[0];
+        },
+
+        /**
+         * Get the admin-enabled markets that apply to a sport, in admin order.
+         */
+        getAvailableMarkets: function (sport) {
+            const group = this.getSportGroup(sport);
+            const isSoccer = group === 'soccer' || group === 'football';
+
+            return $.map(oddsComparison.enabledMarkets || {}, function (market) {
+                if (!isSoccer && OddsComparison.soccerOnlyMarkets.indexOf(market.id) !== -1) {
+                    return null;
+                }
+
+                return market;
+            });
+        },
+
+        /**
+         * Get outcome columns ({ key: label }) for a market, without a draw for two-way sports.
+         */
+        getMarketOutcomes: function (marketType, sport) {
+            const markets = oddsComparison.enabledMarkets || {};
+            const market = markets[marketType] || markets.match_winner || {};
+            const hasDraw = this.drawSports.indexOf(this.getSportGroup(sport)) !== -1;
+            const outcomes = {};
+
+            $.each(market.outcomes || {}, function (key, label) {
+                if (key === 'draw' && !hasDraw) {
+                    return;
+                }
+                outcomes[key] = label;
+            });
+
+            return outcomes;
+        },
+
+        /**
+         * Get the display label for a market.
+         */
+        getMarketLabel: function (marketType) {
+            const market = (oddsComparison.enabledMarkets || {})[marketType];
+
+            return market && market.label ? market.label : marketType;
+        },
+
+        /**
+         * Build the market tab strip for a sport.
+         *
+         * Only the active tab is in the tab order; arrow keys move between tabs.
+         */
+        generateMarketTabsHTML: function (markets, activeMarket) {
+            let html = '';
+
+            markets.forEach(function (market) {
+                const active = market.id === activeMarket;
+
+                const id = OddsHtml.escape(market.id);
+
+                html += '<button type="button" role="tab" class="market-tab' + (active ? ' active' : '') + '"' +
+                    ' id="odds-market-tab-' + id + '" data-market="' + id + '"' +
+                    ' aria-controls="odds-market-panel" aria-selected="' + active + '" tabindex="' + (active ? '0' : '-1') + '">' +
+                    OddsHtml.escape(market.label) + '</button>';
+            });
+
+            return html;
+        },
+
+        /**
+         * Build the odds format switcher markup.
+         */
+        generateFormatSwitcherHTML: function () {
+            let html = '<label class="odds-format-label">' + OddsHtml.escape(__('Odds format', 'odds-comparison')) + ' ';
+            html += '<select class="odds-format-switcher">';
+
+            $.each(this.formats, function (value, label) {
+                html += '<option value="' + OddsHtml.escape(value) + '"' +
+                    (value === OddsComparison.oddsFormat ? ' selected' : '') + '>' + OddsHtml.escape(label) + '</option>';
+            });
+
+            html += '</select></label>';
+
+            return html;
+        },
+
+        /**
+         * Build a "Bet Now" link.
+         *
+         * Bookmaker URLs point at the plugin's click-tracking redirect; this adds
+         * the page the click came from and, when known, the outcome being backed.
+         */
+        generateBetLinkHTML: function (bookmaker, outcome, label) {
+            let url = OddsHtml.url(bookmaker.url);
+
+            if (url !== '#') {
+                // The hash only holds the open modal's state, so clicks are reported per page
+                const source = window.location.origin + window.location.pathname + window.location.search;
+
+                url += (url.indexOf('?') === -1 ? '?' : '&amp;') + 'source=' + encodeURIComponent(source);
+
+                if (outcome) {
+                    url += '&amp;outcome=' + encodeURIComponent(outcome);
+                }
+            }
+
+            return '<a href="' + url + '" target="_blank" rel="nofollow sponsored noopener" class="bet-now-btn">' +
+                OddsHtml.escape(label || __('Bet Now', 'odds-comparison')) + '<span class="odds-sr-only"> ' +
+                /* translators: %s: bookmaker name */
+                OddsHtml.escape(sprintf(__('with %s (opens in a new tab)', 'odds-comparison'), bookmaker.bookmaker || __('bookmaker', 'odds-comparison'))) +
+                '</span></a>';
+        },
+
+        /**
+         * Build a table cell for a decimal odds value in the current format.
+         *
+         * Highlights and movement arrows are visual only, so they are repeated as
+         * screen reader text after the price.
+         */
+        generateOddsCellHTML: function (value, isBest, movement) {
+            if (!value || value === '-') {
+                return '<td class="odds-value"><span aria-hidden="true">-</span>' +
+                    '<span class="odds-sr-only">' + OddsHtml.escape(__('No price', 'odds-comparison')) + '</span></td>';
+            }
+
+            let classes = 'odds-value' + (isBest ? ' best-odds' : '');
+            const notes = [];
+
+            if (isBest) {
+                notes.push(__('best price', 'odds-comparison'));
+            }
+
+            // A longer price is drifting, a shorter one is shortening
+            if (movement === 'up') {
+                classes += ' odds-drifting';
+                notes.push(__('price lengthened', 'odds-comparison'));
+            } else if (movement === 'down') {
+                classes += ' odds-shortening';
+                notes.push(__('price shortened', 'odds-comparison'));
+            }
+
+            return '<td class="' + classes + '"><span data-decimal="' + OddsHtml.escape(value) + '">' +
+                OddsHtml.escape(OddsConverter.format(value, OddsComparison.oddsFormat)) + '</span>' +
+                (notes.length ? '<span class="odds-sr-only">, ' + OddsHtml.escape(notes.join(', ')) + '</span>' : '') + '</td>';
+        },
+
+        /**
+         * Work out best prices per outcome and each bookmaker's margin.
+         *
+         * Returns { best: { outcome: decimal }, margins: [ percent|null ], overround: percent|null }.
+         * A margin is only given when the bookmaker prices every outcome.
+         */
+        analyseMarket: function (bookmakers, outcomes) {
+            const keys = Object.keys(outcomes);
+            const best = {};
+
+            const margins = bookmakers.map(function (bookmaker) {
+                const odds = bookmaker.odds || {};
+                const prices = [];
+
+                keys.forEach(function (key) {
+                    const price = parseFloat(odds[key]);
+
+                    if (isNaN(price) || price <= 1) {
+                        return;
+                    }
+
+                    prices.push(price);
+
+                    if (!best[key] || price > best[key]) {
+                        best[key] = price;
+                    }
+                });
+
+                return prices.length === keys.length && keys.length > 0 ?
+                    OddsConverter.overround(prices) - 100 : null;
+            });
+
+            const bestPrices = $.map(best, function (price) {
+                return price;
+            });
+
+            return {
+                best: best,
+                margins: margins,
+                overround: bestPrices.length === keys.length && keys.length > 0 ?
+                    OddsConverter.overround(bestPrices) : null
+            };
+        },
+
+        /**
+         * Build the footer row with best prices, implied probabilities and overround.
+         */
+        generateBestPriceRowHTML: function (analysis, outcomes) {
+            let html = '<tfoot><tr class="odds-best-row"><th scope="row">' + OddsHtml.escape(__('Best price', 'odds-comparison')) + '</th>';
+
+            $.each(outcomes, function (key) {
+                const price = analysis.best[key];
+
+                if (!price) {
+                    html += '<td>-</td>';
+                    return;
+                }
+
+                html += '<td><span class="odds-value best-odds" data-decimal="' + OddsHtml.escape(price) + '">' +
+                    OddsHtml.escape(OddsConverter.format(price, OddsComparison.oddsFormat)) + '</span>' +
+                    '<span class="implied-probability"><span class="odds-sr-only">' +
+                    OddsHtml.escape(__('Implied probability', 'odds-comparison')) + ' </span>' +
+                    OddsHtml.escape(OddsNumber.percent(OddsConverter.impliedProbability(price))) + '</span></td>';
+            });
+
+            html += '<td class="margin-value">' + (analysis.overround !== null ?
+                /* translators: %s: overround percentage, e.g. 104.50% */
+                OddsHtml.escape(sprintf(__('Overround %s', 'odds-comparison'), OddsNumber.percent(analysis.overround))) : '-') + '</td>';
+            html += '<td></td></tr></tfoot>';
+
+            return html;
+        },
+
+        /**
+         * Bind event handlers.
+         */
+        bindEvents: function () {
+            // Handle view odds button clicks
+            $(document).on('click', '.view-odds-btn', function (e) {
+                e.preventDefault();
+                OddsComparison.showOddsModal(OddsComparison.getButtonEvent($(this)), $(this).data('market'));
+            });
+
+            // Back and Forward open and close the modal
+            $(window).on('popstate', function () {
+                OddsComparison.restoreFromHash(false);
+            });
+
+            $(document).on('click', '#odds-modal .odds-copy-link', function () {
+                OddsComparison.copyLink();
+            });
+
+            // Keep keyboard focus inside the open modal and close it with Escape
+            $(document).on('keydown', '#odds-modal', function (e) {
+                OddsComparison.handleModalKeydown(e);
+            });
+
+            // Arrow keys, Home and End move between market tabs
+            $(document).on('keydown', '#odds-modal .market-tab', function (e) {
+                OddsComparison.handleTabKeydown(e, $(this));
+            });
+
+            $(document).on('click', '#odds-modal .market-tab', function () {
+                OddsComparison.selectMarketTab($(this));
+            });
+
+            $(document).on('click', '#odds-modal .odds-modal-close, #odds-modal .odds-modal-overlay', function () {
+                OddsComparison.closeOddsModal(false);
+            });
+
+            // Sort the modal table by the clicked column
+            $(document).on('click', '#odds-modal .odds-sort', function () {
+                OddsComparison.setSort($(this).data('sort'));
+            });
+
+            // Show or hide a bookmaker in the modal table
+            $(document).on('change', '#odds-modal .odds-bookmaker-filter input', function () {
+                OddsComparison.toggleBookmaker($(this).val(), $(this).is(':checked'));
+            });
+
+            // Bet calculator
+            $(document).on('input', '#odds-modal .odds-calculator-stake', function () {
+                const stake = parseFloat($(this).val());
+
+                OddsComparison.stake = isNaN(stake) || stake < 0 ? 0 : stake;
+                OddsComparison.savePreference('stake', OddsComparison.stake);
+                OddsComparison.updateCalculator();
+            });
+
+            $(document).on('change', '#odds-modal .odds-calculator-outcome', function () {
+                OddsComparison.calculatorOutcome = $(this).val();
+                OddsComparison.updateCalculator();
+            });
+
+            $(document).on('change', '#odds-modal .odds-line-select', function () {
+                OddsComparison.selectLine(String($(this).val()));
+            });
+
+            $(document).on('change', '#odds-modal .odds-movement-outcome', function () {
+                OddsComparison.movementOutcome = $(this).val();
+                OddsComparison.preserveFocus($('#odds-modal .odds-movement-content'), OddsComparison.renderMovement);
+            });
+
+            $(document).on('click', '#odds-modal .odds-calculator-add', function () {
+                OddsComparison.addToBetSlip();
+            });
+
+            $(document).on('click', '#odds-modal .odds-bet-slip-remove', function () {
+                OddsComparison.betSlip.splice($(this).data('index'), 1);
+                OddsComparison.updateCalculator();
+            });
+
+            $(document).on('change', '#odds-modal .odds-bet-slip-mode', function () {
+                OddsComparison.betSlipMode = $(this).val();
+                OddsComparison.updateCalculator();
+            });
+
+            $(document).on('change', '#odds-modal .odds-bet-slip-terms', function () {
+                OddsComparison.placeFraction = parseFloat($(this).val());
+                OddsComparison.updateCalculator();
+            });
+
+            // Catch up as soon as the connection comes back
+            $(window).on('online', function () {
+                OddsComparison.refreshMarketData();
+            });
+
+            // Don't poll while the page is in a background tab
+            $(document).on('visibilitychange', function () {
+                if (document.hidden) {
+                    OddsComparison.stopPolling();
+                } else if (OddsComparison.currentEvent) {
+                    OddsComparison.refreshMarketData();
+                    OddsComparison.startPolling();
+                }
+            });
+        },
+
+        /**
+         * Read the event ({ id, name, sport }) a "View Odds" button opens.
+         */
+        getButtonEvent: function (button) {
+            const eventName = button.attr('data-event');
+
+            return {
+                // Read as a string attribute so jQuery never coerces the ID to a number
+                id: button.attr('data-event-id') || eventName,
+                name: eventName,
+                sport: button.data('sport')
+            };
+        },
+
+        /**
+         * Read the modal state from the URL hash (#odds=ID&market=...&format=...).
+         *
+         * Returns { eventId, market, format }, or null when the hash has no event.
+         */
+        readHashState: function () {
+            const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+            const eventId = params.get('odds');
+
+            if (!eventId) {
+                return null;
+            }
+
+            return {
+                eventId: eventId,
+                market: params.get('market') || '',
+                format: params.get('format') || ''
+            };
+        },
+
+        /**
+         * Write the open event, market and odds format to the URL hash.
+         *
+         * Opening the modal adds a history entry so Back closes it; tab and
+         * format changes replace the current entry.
+         */
+        updateHash: function (push) {
+            const event = OddsComparison.currentEvent;
+
+            if (!event || !window.history.pushState) {
+                return;
+            }
+
+            const params = new URLSearchParams();
+            params.set('odds', event.id);
+
+            if (OddsComparison.currentMarket) {
+                params.set('market', OddsComparison.currentMarket);
+            }
+
+            params.set('format', OddsComparison.oddsFormat);
+
+            const url = window.location.pathname + window.location.search + '#' + params.toString();
+
+            if (push) {
+                window.history.pushState({ oddsModal: true }, '', url);
+                OddsComparison.historyPushed = true;
+            } else {
+                window.history.replaceState(window.history.state, '', url);
+            }
+        },
+
+        /**
+         * Remove the modal state from the URL without adding a history entry.
+         */
+        clearHash: function () {
+            if (window.history.replaceState && OddsComparison.readHashState()) {
+                window.history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+        },
+
+        /**
+         * Open or close the modal to match the URL hash.
+         *
+         * Only events with a "View Odds" button on this page can be reopened.
+         */
+        restoreFromHash: function (isPageLoad) {
+            const state = OddsComparison.readHashState();
+
+            if (!state) {
+                OddsComparison.closeOddsModal(true);
+                return;
+            }
+
+            const button = $('.view-odds-btn').filter(function () {
+                return OddsComparison.getButtonEvent($(this)).id === state.eventId;
+            }).first();
+
+            if (!button.length) {
+                return;
+            }
+
+            // A shared link shows its format without changing the visitor's saved preference
+            if (OddsComparison.formats[state.format]) {
+                OddsComparison.oddsFormat = state.format;
+                $('#odds-modal .odds-format-switcher').val(state.format);
+            }
+
+            const event = OddsComparison.getButtonEvent(button);
+            const market = state.market || button.data('market');
+
+            if (OddsComparison.currentEvent && OddsComparison.currentEvent.id === event.id) {
+                // The market comes from the URL, so compare it as data rather than building a selector
+                const tab = $('#odds-modal .market-tab').filter(function () {
+                    return $(this).data('market') === market;
+                });
+
+                if (tab.length) {
+                    OddsComparison.selectMarketTab(tab, true);
+                }
+
+                return;
+            }
+
+            // Going Back from a page-load link would leave the site, so only forward navigation can go back
+            OddsComparison.historyPushed = !isPageLoad;
+            OddsComparison.showOddsModal(event, market, true);
+        },
+
+        /**
+         * Copy a link to the open event and market.
+         */
+        copyLink: function () {
+            const url = window.location.href;
+            const copyFromAddressBar = function () {
+                OddsComparison.announce(__('Copy the link from the address bar', 'odds-comparison'));
+            };
+            const done = function () {
+                OddsComparison.announce(__('Link copied', 'odds-comparison'));
+                $('#odds-modal .odds-copy-link').text(__('Link copied', 'odds-comparison'));
+                window.setTimeout(function () {
+                    $('#odds-modal .odds-copy-link').text(__('Copy link', 'odds-comparison'));
+                }, 2000);
+            };
+
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                // The browser can refuse the write (permissions, unfocused document)
+                navigator.clipboard.writeText(url).then(done).catch(copyFromAddressBar);
+            } else {
+                // No clipboard access (e.g. not served over HTTPS); the address bar has the same link
+                copyFromAddressBar();
+            }
+        },
+
+        /**
+         * Show odds modal for an event ({ id, name, sport }).
+         *
+         * fromHistory is set when the URL already describes this state, so the hash isn't rewritten.
+         */
+        showOddsModal: function (event, marketType, fromHistory) {
+            const eventName = event.name;
+            const sport = event.sport;
+
+            // Create modal if it doesn't exist
+            let modal = $('#odds-modal');
+            if (modal.length === 0) {
+                modal = $('<div id="odds-modal" class="odds-modal">' +
+                    '<div class="odds-modal-overlay"></div>' +
+                    '<div class="odds-modal-content" role="dialog" aria-modal="true" aria-labelledby="odds-modal-title" tabindex="-1">' +
+                    '<button type="button" class="odds-modal-close" aria-label="' + OddsHtml.escape(__('Close odds comparison', 'odds-comparison')) + '">' +
+                    '<span aria-hidden="true">&times;</span></button>' +
+                    '<div class="odds-modal-body">' +
+                    '<h3 class="modal-event-title" id="odds-modal-title"></h3>' +
+                    '<span class="sport-badge"></span>' +
+                    '<div class="odds-modal-toolbar">' + OddsComparison.generateFormatSwitcherHTML() +
+                    '<button type="button" class="odds-watch-toggle" aria-pressed="false">' + OddsHtml.escape(__('Watch', 'odds-comparison')) + '</button>' +
+                    '<button type="button" class="odds-copy-link">' + OddsHtml.escape(__('Copy link', 'odds-comparison')) + '</button>' +
+                    '<span class="odds-updated"></span></div>' +
+                    '<div class="market-tabs" role="tablist" aria-label="' + OddsHtml.escape(__('Markets', 'odds-comparison')) + '"></div>' +
+                    '<div class="market-content" id="odds-market-panel" role="tabpanel" tabindex="-1"></div>' +
+                    '<details class="odds-movement"><summary>' + OddsHtml.escape(__('Movement', 'odds-comparison')) + '</summary>' +
+                    '<div class="odds-movement-content"></div></details>' +
+                    '<div class="odds-alerts"></div>' +
+                    '<div class="odds-calculator"></div>' +
+                    '<div class="odds-modal-status odds-sr-only" role="status" aria-live="polite"></div>' +
+                    '</div>' +
+                    '</div>' +
+                    '</div>');
+                $('body').append(modal);
+
+                // The toggle event doesn't bubble, so it can't be delegated
+                modal.find('.odds-movement').on('toggle', function () {
+                    OddsComparison.loadMovement();
+                });
+            }
+
+            modal.find('.modal-event-title').text(eventName);
+            modal.find('.sport-badge').text(sport);
+
+            OddsComparison.currentEvent = event;
+            Watchlist.updateButtons();
+
+            // Only offer enabled markets that apply to this sport
+            const markets = OddsComparison.getAvailableMarkets(sport);
+            const marketIds = $.map(markets, function (market) {
+                return market.id;
+            });
+
+            if (marketIds.indexOf(marketType) === -1) {
+                marketType = marketIds.length ? marketIds[0] : marketType;
+            }
+
+            modal.find('.market-tabs')
+                .html(OddsComparison.generateMarketTabsHTML(markets, marketType))
+                .toggle(markets.length > 1);
+
+            // With a single market there are no tabs, so the panel is labelled by the title
+            modal.find('.market-content').attr(
+                'aria-labelledby',
+                markets.length > 1 ? 'odds-market-tab-' + marketType : 'odds-modal-title'
+            );
+
+            const wasOpen = modal.hasClass('active');
+
+            // Show modal, hiding the rest of the page from keyboard and screen reader users
+            if (!wasOpen) {
+                OddsComparison.lastFocused = modal[0].ownerDocument.activeElement;
+                OddsComparison.inertElements = modal.siblings().not('[inert], script, style').attr('inert', '');
+                $('body').addClass('odds-modal-open');
+                modal.addClass('active');
+            }
+
+            modal.find('.odds-modal-close').trigger('focus');
+            
+            // Load odds for this event immediately
+            OddsComparison.loadMarketData(marketType);
+
+            if (!fromHistory) {
+                OddsComparison.updateHash(!wasOpen);
+            }
+
+            // Handle odds format changes
+            modal.find('.odds-format-switcher').off('change').on('change', function () {
+                OddsComparison.setOddsFormat($(this).val());
+            });
+
+            OddsComparison.startPolling();
+
+            if (!OddsComparison.stampTimer) {
+                OddsComparison.stampTimer = window.setInterval(OddsComparison.updateStamp, 30000);
+            }
+        },
+
+        /**
+         * Close the odds modal and return focus to whatever opened it.
+         *
+         * Closing from the page steps back past the modal's history entry;
+         * fromHistory is set when Back already did that.
+         */
+        closeOddsModal: function (fromHistory) {
+            const modal = $('#odds-modal');
+
+            if (!modal.hasClass('active')) {
+                return;
+            }
+
+            if (!fromHistory) {
+                if (OddsComparison.historyPushed) {
+                    window.history.back();
+                } else {
+                    OddsComparison.clearHash();
+                }
+            }
+
+            OddsComparison.historyPushed = false;
+
+            modal.removeClass('active');
+            $('body').removeClass('odds-modal-open');
+
+            if (OddsComparison.inertElements) {
+                OddsComparison.inertElements.removeAttr('inert');
+                OddsComparison.inertElements = null;
+            }
+
+            OddsComparison.currentEvent = null;
+            OddsComparison.stopPolling();
+            window.clearInterval(OddsComparison.stampTimer);
+            OddsComparison.stampTimer = null;
+
+            if (OddsComparison.lastFocused && document.body.contains(OddsComparison.lastFocused)) {
+                OddsComparison.lastFocused.focus();
+            }
+
+            OddsComparison.lastFocused = null;
+        },
+
+        /**
+         * Close on Escape and wrap Tab / Shift+Tab inside the modal.
+         */
+        handleModalKeydown: function (e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                OddsComparison.closeOddsModal(false);
+                return;
+            }
+
+            if (e.key !== 'Tab') {
+                return;
+            }
+
+            const focusable = $('#odds-modal .odds-modal-content')
+                .find(OddsComparison.focusableSelector)
+                .filter(':visible');
+            const first = focusable.get(0);
+
+            if (!first) {
+                e.preventDefault();
+                return;
+            }
+
+            const last = focusable.get(focusable.length - 1);
+            const active = first.ownerDocument.activeElement;
+
+            if (e.shiftKey && active === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
+        /**
+         * Move between market tabs with the arrow keys, Home and End.
+         */
+        handleTabKeydown: function (e, tab) {
+            const tabs = tab.closest('.market-tabs').find('.market-tab');
+            const index = tabs.index(tab);
+            let next;
+
+            switch (e.key) {
+                case 'ArrowRight':
+                    next = tabs.eq((index + 1) % tabs.length);
+                    break;
+                case 'ArrowLeft':
+                    next = tabs.eq((index - 1 + tabs.length) % tabs.length);
+                    break;
+                case 'Home':
+                    next = tabs.first();
+                    break;
+                case 'End':
+                    next = tabs.last();
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            next.trigger('focus');
+            OddsComparison.selectMarketTab(next);
+        },
+
+        /**
+         * Make a market tab the selected one and load its odds.
+         */
+        selectMarketTab: function (tab, fromHistory) {
+            if (tab.attr('aria-selected') === 'true') {
+                return;
+            }
+
+            $('#odds-modal .market-tab').removeClass('active').attr({ 'aria-selected': 'false', tabindex: '-1' });
+            tab.addClass('active').attr({ 'aria-selected': 'true', tabindex: '0' });
+            $('#odds-modal .market-content').attr('aria-labelledby', tab.attr('id'));
+
+            OddsComparison.loadMarketData(tab.data('market'));
+
+            if (!fromHistory) {
+                OddsComparison.updateHash(false);
+            }
+        },
+
+        /**
+         * Announce a message to screen reader users.
+         */
+        announce: function (message) {
+            const status = $('#odds-modal .odds-modal-status');
+
+            // Clear first so repeating the same message is still announced
+            status.text('');
+            window.setTimeout(function () {
+                status.text(message);
+            }, 100);
+        },
+
+        /**
+         * Run a render that replaces part of the modal, keeping keyboard focus in place.
+         *
+         * If focus was inside the container, the element at the same position
+         * among its focusable elements gets focus back.
+         */
+        preserveFocus: function (container, render) {
+            const index = container.length ?
+                container.find(OddsComparison.focusableSelector).index(container[0].ownerDocument.activeElement) :
+                -1;
+
+            render();
+
+            if (index !== -1) {
+                const focusable = container.find(OddsComparison.focusableSelector);
+                focusable.eq(Math.min(index, focusable.length - 1)).trigger('focus');
+            }
+        },
+
+        /**
+         * Start re-fetching the open event's odds every refresh interval.
+         */
+        startPolling: function () {
+            const interval = parseInt(oddsComparison.refreshInterval, 10);
+
+            OddsComparison.stopPolling();
+
+            if (interval > 0 && !document.hidden) {
+                OddsComparison.refreshTimer = window.setInterval(OddsComparison.refreshMarketData, interval * 1000);
+            }
+        },
+
+        /**
+         * Stop re-fetching odds.
+         */
+        stopPolling: function () {
+            if (OddsComparison.refreshTimer) {
+                window.clearInterval(OddsComparison.refreshTimer);
+                OddsComparison.refreshTimer = null;
+            }
+        },
+
+        /**
+         * Re-fetch the open event and market without clearing the table.
+         */
+        refreshMarketData: function () {
+            if (!OddsComparison.currentEvent || OddsComparison.refreshing) {
+                return;
+            }
+
+            OddsComparison.loadMarketData(OddsComparison.currentMarket, true);
+        },
+
+        /**
+         * Compare new prices with the last snapshot and store them as the new snapshot.
+         */
+        trackPriceMovements: function (bookmakers, isRefresh) {
+            const snapshot = {};
+            const movements = {};
+
+            bookmakers.forEach(function (bookmaker) {
+                const id = OddsComparison.getBookmakerId(bookmaker);
+
+                $.each(bookmaker.odds || {}, function (outcome, value) {
+                    const key = id + '|' + outcome;
+                    const price = parseFloat(value);
+                    const previous = OddsComparison.priceSnapshot[key];
+
+                    if (isNaN(price)) {
+                        return;
+                    }
+
+                    snapshot[key] = price;
+
+                    if (isRefresh && previous && price !== previous) {
+                        movements[key] = price > previous ? 'up' : 'down';
+                    }
+                });
+            });
+
+            OddsComparison.priceSnapshot = snapshot;
+            OddsComparison.priceMovements = movements;
+        },
+
+        /**
+         * Load odds for the current event and the given market.
+         *
+         * Cached odds are shown straight away. Fresh ones need no request; stale
+         * ones are revalidated like a refresh, which keeps the table on screen
+         * and marks prices that moved.
+         */
+        loadMarketData: function (marketType, isRefresh) {
+            const event = OddsComparison.currentEvent;
+            const cacheKey = OddsCache.key(event, marketType);
+            const cached = OddsCache.get(cacheKey);
+
+            OddsComparison.currentMarket = marketType;
+
+            if (!isRefresh) {
+                OddsComparison.currentLine = null;
+                OddsComparison.movement = null;
+                OddsComparison.loadMovement();
+            }
+
+            if (cached && !isRefresh) {
+                OddsComparison.updateFailed = false;
+                OddsComparison.renderMarketData(cached.odds, marketType, false, cached.time);
+            }
+
+            if (cached && OddsCache.isFresh(cached)) {
+                return;
+            }
+
+            const revalidate = isRefresh || !!cached;
+            const contentArea = $('#odds-modal .market-content');
+
+            if (revalidate) {
+                OddsComparison.refreshing = true;
+            } else {
+                OddsComparison.updatedAt = null;
+                OddsComparison.updateStamp();
+                contentArea.attr('aria-busy', 'true').html('<div class="loading">' + OddsHtml.escape(__('Loading odds…', 'odds-comparison')) + '</div>');
+                $('#odds-modal .odds-calculator, #odds-modal .odds-alerts').empty().hide();
+                /* translators: %s: market name, e.g. Match Winner */
+                OddsComparison.announce(sprintf(__('Loading %s odds', 'odds-comparison'), OddsComparison.getMarketLabel(marketType)));
+            }
+
+            OddsCache.fetch(cacheKey, {
+                event: event.name,
+                event_id: event.id,
+                sport: event.sport,
+                market: marketType
+            }).done(function (response) {
+                // The visitor may have switched event or tab while this was in flight
+                if (!OddsComparison.isCurrentRequest(event.id, marketType)) {
+                    return;
+                }
+
+                const entry = OddsCache.get(cacheKey);
+
+                OddsComparison.updateFailed = false;
+
+                if (response.success && entry) {
+                    OddsComparison.renderMarketData(entry.odds, marketType, revalidate, entry.time);
+                } else if (!revalidate) {
+                    OddsComparison.showNoBookmakersMessage();
+                }
+            }).fail(function (xhr, status) {
+                if (status === 'abort' || !OddsComparison.isCurrentRequest(event.id, marketType)) {
+                    return;
+                }
+
+                // A failed refresh leaves the last good prices on screen
+                if (revalidate) {
+                    OddsComparison.updateFailed = true;
+                    OddsComparison.updateStamp();
+                } else {
+                    OddsComparison.showNoBookmakersMessage();
+                }
+            }).always(function () {
+                if (revalidate) {
+                    OddsComparison.refreshing = false;
+                } else if (OddsComparison.isCurrentRequest(event.id, marketType)) {
+                    contentArea.removeAttr('aria-busy');
+                }
+            });
+        },
+
+        /**
+         * Show odds in the modal table.
+         *
+         * A refresh keeps the bookmaker filter and calculator as they are and
+         * announces how many prices moved.
+         */
+        renderMarketData: function (odds, marketType, isRefresh, updatedAt) {
+            const contentArea = $('#odds-modal .market-content');
+            // Keep the bookmaker filter open across refreshes
+            const filterOpen = contentArea.find('.odds-bookmaker-filter').prop('open');
+
+            OddsComparison.allBookmakers = OddsComparison.getBookmakerList(odds);
+
+            // Start at the main line, and keep the visitor's line while it is still offered
+            const lines = OddsLines.getLines(OddsComparison.allBookmakers);
+
+            if (lines.indexOf(OddsComparison.currentLine) === -1) {
+                OddsComparison.currentLine = lines.length ? OddsLines.getMainLine(OddsComparison.allBookmakers) || lines[0] : null;
+            }
+
+            OddsComparison.currentBookmakers = OddsLines.select(OddsComparison.allBookmakers, OddsComparison.currentLine);
+            OddsComparison.trackPriceMovements(OddsComparison.currentBookmakers, isRefresh);
+            OddsComparison.preserveFocus(contentArea, function () {
+                contentArea.removeAttr('aria-busy').html(OddsComparison.generateMarketTableHTML(marketType));
+                contentArea.find('.odds-bookmaker-filter').prop('open', !!filterOpen);
+            });
+
+            OddsComparison.updatedAt = updatedAt;
+            OddsComparison.updateStamp();
+            Watchlist.applyOdds(OddsComparison.currentEvent, marketType, odds);
+
+            const changed = Object.keys(OddsComparison.priceMovements).length;
+
+            if (!isRefresh) {
+                OddsComparison.announce(sprintf(
+                    /* translators: 1: market name, 2: number of bookmakers */
+                    _n('%1$s odds loaded from %2$d bookmaker', '%1$s odds loaded from %2$d bookmakers', OddsComparison.currentBookmakers.length, 'odds-comparison'),
+                    OddsComparison.getMarketLabel(marketType),
+                    OddsComparison.currentBookmakers.length
+                ));
+            } else if (changed > 0) {
+                /* translators: %d: number of prices that changed */
+                OddsComparison.announce(sprintf(_n('Odds updated, %d price changed', 'Odds updated, %d prices changed', changed, 'odds-comparison'), changed));
+                OddsComparison.loadMovement();
+            }
+
+            // Rebuilding the calculator on refresh would steal focus from the stake input
+            if (isRefresh) {
+                OddsComparison.updateCalculator();
+            } else {
+                OddsComparison.renderCalculator();
+                Watchlist.renderModalAlerts();
+            }
+        },
+
+        /**
+         * Get the cached odds for the event and market on screen.
+         */
+        currentOdds: function () {
+            const entry = OddsComparison.currentEvent ?
+                OddsCache.get(OddsCache.key(OddsComparison.currentEvent, OddsComparison.currentMarket)) :
+                null;
+
+            return entry ? entry.odds : {};
+        },
+
+        /**
+         * Show when the odds on screen were fetched, e.g. "Updated 3 min ago".
+         */
+        updateStamp: function () {
+            const stamp = $('#odds-modal .odds-updated');
+
+            if (!OddsComparison.updatedAt) {
+                stamp.empty().removeClass('is-stale');
+                return;
+            }
+
+            const minutes = Math.floor((Date.now() - OddsComparison.updatedAt) / 60000);
+            let age = __('just now', 'odds-comparison');
+
+            if (minutes >= 60) {
+                /* translators: %d: number of hours */
+                age = sprintf(_n('%d h ago', '%d h ago', Math.floor(minutes / 60), 'odds-comparison'), Math.floor(minutes / 60));
+            } else if (minutes > 0) {
+                /* translators: %d: number of minutes */
+                age = sprintf(_n('%d min ago', '%d min ago', minutes, 'odds-comparison'), minutes);
+            }
+
+            stamp
+                .text(OddsComparison.updateFailed ?
+                    /* translators: %s: how long ago the prices were fetched, e.g. 3 min ago */
+                    sprintf(__('Offline, prices from %s', 'odds-comparison'), age) :
+                    /* translators: %s: how long ago the prices were fetched, e.g. 3 min ago */
+                    sprintf(__('Updated %s', 'odds-comparison'), age))
+                .attr('title', new Date(OddsComparison.updatedAt).toLocaleString(OddsNumber.getLocale()))
+                .toggleClass('is-stale', OddsComparison.updateFailed || minutes * 60000 >= OddsCache.getTtl());
+        },
+
+        /**
+         * Load price history for the movement view, if it is open.
+         */
+        loadMovement: function () {
+            const details = $('#odds-modal .odds-movement');
+            const container = details.find('.odds-movement-content');
+            const event = OddsComparison.currentEvent;
+            const marketType = OddsComparison.currentMarket;
+
+            if (OddsComparison.movementRequest) {
+                OddsComparison.movementRequest.abort();
+                OddsComparison.movementRequest = null;
+            }
+
+            if (!details.prop('open') || !event) {
+                if (!OddsComparison.movement) {
+                    container.empty();
+                }
+                return;
+            }
+
+            if (!OddsComparison.movement) {
+                container.attr('aria-busy', 'true').html('<div class="loading">' + OddsHtml.escape(__('Loading price history…', 'odds-comparison')) + '</div>');
+            }
+
+            OddsComparison.movementRequest = $.ajax({
+                url: oddsComparison.restUrl + 'history',
+                method: 'GET',
+                data: {
+                    event: event.name,
+                    event_id: event.id,
+                    market: marketType,
+                    // No line yet means the server's current main line
+                    line: OddsComparison.currentLine || ''
+                }
+            }).done(function (response) {
+                if (!OddsComparison.isCurrentRequest(event.id, marketType) || !response || !response.success) {
+                    return;
+                }
+
+                OddsComparison.movement = response;
+                OddsComparison.preserveFocus(container, OddsComparison.renderMovement);
+            }).fail(function (xhr, status) {
+                if (status !== 'abort' && OddsComparison.isCurrentRequest(event.id, marketType) && !OddsComparison.movement) {
+                    container.html('<p class="odds-movement-empty">' + OddsHtml.escape(__('Price history could not be loaded.', 'odds-comparison')) + '</p>');
+                }
+            }).always(function () {
+                OddsComparison.movementRequest = null;
+                container.removeAttr('aria-busy');
+            });
+        },
+
+        /**
+         * Show the movement chart, opening vs current prices and steam moves for one outcome.
+         */
+        renderMovement: function () {
+            const container = $('#odds-modal .odds-movement-content');
+            const data = OddsComparison.movement;
+            const series = data && data.series ? data.series : {};
+            const sport = OddsComparison.currentEvent ? OddsComparison.currentEvent.sport : '';
+            const outcomes = {};
+
+            $.each(OddsComparison.getMarketOutcomes(OddsComparison.currentMarket, sport), function (key, label) {
+                const recorded = Object.keys(series).some(function (id) {
+                    return series[id].outcomes && series[id].outcomes[key];
+                });
+
+                if (recorded) {
+                    outcomes[key] = label;
+                }
+            });
+
+            if (Object.keys(outcomes).length === 0) {
+                container.html(
+                    '<p class="odds-movement-empty">' +
+                    OddsHtml.escape(__('No price history yet. Prices are recorded every few minutes from two days before kick-off.', 'odds-comparison')) +
+                    '</p>'
+                );
+                return;
+            }
+
+            if (!outcomes[OddsComparison.movementOutcome]) {
+                OddsComparison.movementOutcome = Object.keys(outcomes)[0];
+            }
+
+            const outcome = OddsComparison.movementOutcome;
+            const steamMoves = (data.steam_moves || []).filter(function (move) {
+                return move.outcome === outcome;
+            });
+            let html = '';
+
+            // History is kept per line, so say which one the prices are at
+            if (data.line) {
+                /* translators: %s: line, e.g. 2.5 or Home -1.5 */
+                html += '<p class="odds-movement-line">' + OddsHtml.escape(sprintf(__('Prices at the %s line', 'odds-comparison'), OddsLines.getLineLabel(OddsComparison.currentMarket, data.line))) + '</p>';
+            }
+
+            html += '<label class="odds-movement-controls">' + OddsHtml.escape(__('Outcome', 'odds-comparison')) + ' <select class="odds-movement-outcome">';
+
+            $.each(outcomes, function (key, label) {
+                html += '<option value="' + OddsHtml.escape(key) + '"' + (key === outcome ? ' selected' : '') + '>' +
+                    OddsHtml.escape(label) + '</option>';
+            });
+
+            html += '</select></label>';
+            html += OddsComparison.generateMovementChartHTML(series, outcome, outcomes[outcome], steamMoves);
+            html += OddsComparison.generateMovementSummaryHTML(series, outcome, data.summary || {});
+
+            if (steamMoves.length) {
+                html += '<ul class="odds-steam-moves">';
+
+                steamMoves.forEach(function (move) {
+                    html += '<li><strong>' + OddsHtml.escape(__('Steam move:', 'odds-comparison')) + '</strong> ' + OddsHtml.escape(sprintf(
+                        /* translators: 1: outcome, 2: average price drop, e.g. 6.5%, 3: number of bookmakers, 4: date and time */
+                        _n('%1$s shortened %2$s at %3$d bookmaker, %4$s', '%1$s shortened %2$s at %3$d bookmakers, %4$s', move.bookmakers.length, 'odds-comparison'),
+                        outcomes[outcome],
+                        OddsNumber.percent(move.drop, 1),
+                        move.bookmakers.length,
+                        OddsComparison.formatMovementTime(move.time)
+                    )) + '</li>';
+                });
+
+                html += '</ul>';
+            }
+
+            container.html(html);
+        },
+
+        /**
+         * Format a Unix timestamp for the movement view in the site's locale.
+         */
+        formatMovementTime: function (timestamp) {
+            return new Date(timestamp * 1000).toLocaleString(OddsNumber.getLocale(), {
+                day: 'numeric',
+                month: 'short',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        },
+
+        /**
+         * Build an inline SVG step chart of each bookmaker's price for one outcome.
+         *
+         * Prices hold until the next recorded change, and the last price runs to now.
+         */
+        generateMovementChartHTML: function (series, outcome, label, steamMoves) {
+            const width = 600;
+            const height = 220;
+            const left = 48;
+            const right = 10;
+            const top = 10;
+            const bottom = 24;
+            const now = Math.floor(Date.now() / 1000);
+            const lines = [];
+            let minTime = Infinity;
+            let minPrice = Infinity;
+            let maxPrice = -Infinity;
+
+            Object.keys(series).forEach(function (id) {
+                const points = series[id].outcomes ? series[id].outcomes[outcome] : null;
+
+                if (!points || !points.length) {
+                    return;
+                }
+
+                lines.push({ name: series[id].bookmaker, points: points });
+                minTime = Math.min(minTime, points[0][0]);
+                points.forEach(function (point) {
+                    minPrice = Math.min(minPrice, point[1]);
+                    maxPrice = Math.max(maxPrice, point[1]);
+                });
+            });
+
+            const maxTime = Math.max(now, minTime + 60);
+            const padding = Math.max((maxPrice - minPrice) * 0.1, 0.05);
+            const low = minPrice - padding;
+            const high = maxPrice + padding;
+            const x = function (time) {
+                return (left + (time - minTime) / (maxTime - minTime) * (width - left - right)).toFixed(1);
+            };
+            const y = function (price) {
+                return (top + (high - price) / (high - low) * (height - top - bottom)).toFixed(1);
+            };
+            let svg = '<svg class="odds-movement-chart" viewBox="0 0 ' + width + ' ' + height + '" role="img" ' +
+                'aria-label="' + OddsHtml.escape(sprintf(
+                    /* translators: 1: outcome, 2: number of bookmakers */
+                    _n(
+                        'Price movement for %1$s at %2$d bookmaker. Opening and current prices are in the table below.',
+                        'Price movement for %1$s at %2$d bookmakers. Opening and current prices are in the table below.',
+                        lines.length,
+                        'odds-comparison'
+                    ),
+                    label,
+                    lines.length
+                )) + '">';
+
+            [high - padding, (high + low) / 2, low + padding].forEach(function (price) {
+                svg += '<line class="odds-movement-grid" x1="' + left + '" x2="' + (width - right) + '" y1="' + y(price) + '" y2="' + y(price) + '"></line>' +
+                    '<text class="odds-movement-axis" x="' + (left - 6) + '" y="' + y(price) + '" text-anchor="end" dominant-baseline="middle" ' +
+                    'data-decimal="' + price.toFixed(2) + '">' + OddsHtml.escape(OddsConverter.format(price.toFixed(2), OddsComparison.oddsFormat)) + '</text>';
+            });
+
+            svg += '<text class="odds-movement-axis" x="' + left + '" y="' + (height - 6) + '">' +
+                OddsHtml.escape(OddsComparison.formatMovementTime(minTime)) + '</text>' +
+                '<text class="odds-movement-axis" x="' + (width - right) + '" y="' + (height - 6) + '" text-anchor="end">' +
+                OddsHtml.escape(__('Now', 'odds-comparison')) + '</text>';
+
+            steamMoves.forEach(function (move) {
+                svg += '<line class="odds-movement-steam" x1="' + x(move.time) + '" x2="' + x(move.time) + '" y1="' + top + '" y2="' + (height - bottom) + '">' +
+                    '<title>' + OddsHtml.escape(sprintf(
+                        /* translators: 1: average price drop, e.g. 6.5%, 2: number of bookmakers */
+                        _n('Steam move: shortened %1$s at %2$d bookmaker', 'Steam move: shortened %1$s at %2$d bookmakers', move.bookmakers.length, 'odds-comparison'),
+                        OddsNumber.percent(move.drop, 1),
+                        move.bookmakers.length
+                    )) + '</title></line>';
+            });
+
+            lines.forEach(function (line, index) {
+                let path = 'M' + x(line.points[0][0]) + ' ' + y(line.points[0][1]);
+
+                line.points.slice(1).forEach(function (point) {
+                    path += ' H' + x(point[0]) + ' V' + y(point[1]);
+                });
+
+                svg += '<path class="odds-movement-line" d="' + path + ' H' + x(maxTime) + '" stroke="' +
+                    OddsComparison.movementColors[index % OddsComparison.movementColors.length] + '">' +
+                    '<title>' + OddsHtml.escape(line.name) + '</title></path>';
+            });
+
+            svg += '</svg><ul class="odds-movement-legend" aria-hidden="true">';
+
+            lines.forEach(function (line, index) {
+                svg += '<li><span class="odds-movement-swatch" style="background:' +
+                    OddsComparison.movementColors[index % OddsComparison.movementColors.length] + '"></span>' +
+                    OddsHtml.escape(line.name) + '</li>';
+            });
+
+            return svg + '</ul>';
+        },
+
+        /**
+         * Build the opening vs current price table for one outcome.
+         */
+        generateMovementSummaryHTML: function (series, outcome, summary) {
+            let html = '<table class="odds-movement-table"><caption class="odds-sr-only">' +
+                OddsHtml.escape(__('Opening and current prices', 'odds-comparison')) + '</caption><thead><tr>' +
+                '<th scope="col">' + OddsHtml.escape(__('Bookmaker', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Opening', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Current', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Change', 'odds-comparison')) + '</th></tr></thead><tbody>';
+
+            Object.keys(series).forEach(function (id) {
+                const prices = summary[id] ? summary[id][outcome] : null;
+
+                if (!prices) {
+                    return;
+                }
+
+                let change = '&ndash;';
+
+                if (prices.change > 0) {
+                    change = '<span class="odds-movement-drift"><span aria-hidden="true">&#9650;</span> +' +
+                        OddsHtml.escape(OddsNumber.percent(prices.change, 1)) +
+                        '<span class="odds-sr-only"> ' + OddsHtml.escape(__('(drifted)', 'odds-comparison')) + '</span></span>';
+                } else if (prices.change < 0) {
+                    change = '<span class="odds-movement-shorten"><span aria-hidden="true">&#9660;</span> ' +
+                        OddsHtml.escape(OddsNumber.percent(prices.change, 1)) +
+                        '<span class="odds-sr-only"> ' + OddsHtml.escape(__('(shortened)', 'odds-comparison')) + '</span></span>';
+                }
+
+                html += '<tr><th scope="row">' + OddsHtml.escape(series[id].bookmaker) + '</th>' +
+                    '<td>' + OddsComparison.generatePriceHTML(prices.opening) + '</td>' +
+                    '<td>' + OddsComparison.generatePriceHTML(prices.current) + '</td>' +
+                    '<td>' + change + '</td></tr>';
+            });
+
+            return html + '</tbody></table>';
+        },
+
+        /**
+         * Check whether a response still belongs to what the modal is showing.
+         */
+        isCurrentRequest: function (eventId, marketType) {
+            return OddsComparison.currentEvent !== null &&
+                OddsComparison.currentEvent.id === eventId &&
+                OddsComparison.currentMarket === marketType;
+        },
+
+        /**
+         * Show a help message when no bookmaker offers odds for the event.
+         */
+        showNoBookmakersMessage: function () {
+            const screen = function (name) {
+                return '<strong>' + OddsHtml.escape(name) + '</strong>';
+            };
+            /* translators: %s: admin screen, e.g. Odds Comparison > Settings */
+            const settingsStep = __('Go to %s and configure your API key', 'odds-comparison');
+            /* translators: %s: admin screen, e.g. Odds Comparison > Bookmakers */
+            const bookmakersStep = __('Go to %s and enable some bookmakers', 'odds-comparison');
+
+            OddsComparison.announce(__('No bookmakers found for this event', 'odds-comparison'));
+            $('#odds-modal .market-content').html(
+                '<div class="error odds-no-bookmakers">' +
+                '<h3>' + OddsHtml.escape(__('No bookmakers found', 'odds-comparison')) + '</h3>' +
+                '<p>' + OddsHtml.escape(__('Please check your admin panel settings:', 'odds-comparison')) + '</p>' +
+                '<ol>' +
+                '<li>' + sprintf(OddsHtml.escape(settingsStep), screen(__('Odds Comparison > Settings', 'odds-comparison'))) + '</li>' +
+                '<li>' + sprintf(OddsHtml.escape(bookmakersStep), screen(__('Odds Comparison > Bookmakers', 'odds-comparison'))) + '</li>' +
+                '<li>' + OddsHtml.escape(__('Make sure your API connection is working', 'odds-comparison')) + '</li>' +
+                '</ol>' +
+                '</div>'
+            );
+        },
+
+        /**
+         * Normalise odds data into an array of bookmakers, each with an id.
+         */
+        getBookmakerList: function (oddsData) {
+            if (Array.isArray(oddsData)) {
+                return oddsData;
+            }
+
+            if (oddsData && oddsData.data && Array.isArray(oddsData.data)) {
+                return oddsData.data;
+            }
+
+            // The REST route keys bookmakers by ID
+            return $.map(oddsData || {}, function (bookmaker, id) {
+                return $.extend({ id: id }, bookmaker);
+            });
+        },
+
+        /**
+         * Get a stable ID for a bookmaker, used for filtering.
+         */
+        getBookmakerId: function (bookmaker) {
+            return String(bookmaker.id || bookmaker.bookmaker || '');
+        },
+
+        /**
+         * Change the table sort. Clicking the active column flips its direction.
+         */
+        setSort: function (key) {
+            if (OddsComparison.sort.key === key) {
+                OddsComparison.sort.direction = OddsComparison.sort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                // Highest price first, but lowest margin and A-Z first
+                OddsComparison.sort = {
+                    key: key,
+                    direction: key === 'margin' || key === 'bookmaker' ? 'asc' : 'desc'
+                };
+            }
+
+            OddsComparison.renderMarketTable();
+        },
+
+        /**
+         * Show or hide a bookmaker, remember the choice and redraw the table.
+         */
+        toggleBookmaker: function (id, visible) {
+            const hidden = OddsComparison.hiddenBookmakers.filter(function (hiddenId) {
+                return hiddenId !== id;
+            });
+
+            if (!visible) {
+                hidden.push(id);
+            }
+
+            OddsComparison.hiddenBookmakers = hidden;
+            OddsComparison.savePreference('hiddenBookmakers', hidden);
+            OddsComparison.renderMarketTable();
+        },
+
+        /**
+         * Redraw the odds table from the bookmakers already loaded.
+         */
+        renderMarketTable: function () {
+            const modal = $('#odds-modal');
+            const visible = OddsComparison.getVisibleBookmakers(OddsComparison.currentBookmakers);
+
+            modal.find('.odds-bookmaker-filter-count').text(
+                visible.length + '/' + OddsComparison.currentBookmakers.length
+            );
+            OddsComparison.preserveFocus(modal.find('.market-content'), function () {
+                modal.find('.odds-modal-table-wrapper').replaceWith(
+                    OddsComparison.generateOddsTableHTML(OddsComparison.currentBookmakers, OddsComparison.currentMarket)
+                );
+            });
+            OddsComparison.updateCalculator();
+        },
+
+        /**
+         * Drop the bookmakers the visitor has filtered out.
+         */
+        getVisibleBookmakers: function (bookmakers) {
+            return bookmakers.filter(function (bookmaker) {
+                return OddsComparison.hiddenBookmakers.indexOf(OddsComparison.getBookmakerId(bookmaker)) === -1;
+            });
+        },
+
+        /**
+         * Sort bookmaker rows by the active column. Rows without a value always go last.
+         */
+        sortBookmakers: function (rows) {
+            const key = OddsComparison.sort.key;
+            const direction = OddsComparison.sort.direction === 'asc' ? 1 : -1;
+
+            if (!key) {
+                return rows;
+            }
+
+            const value = function (row) {
+                if (key === 'bookmaker') {
+                    return String(row.bookmaker.bookmaker || '').toLowerCase();
+                }
+
+                if (key === 'margin') {
+                    return row.margin;
+                }
+
+                const price = parseFloat((row.bookmaker.odds || {})[key]);
+                return isNaN(price) ? null : price;
+            };
+
+            return rows.slice().sort(function (a, b) {
+                const first = value(a);
+                const second = value(b);
+
+                if (first === second) {
+                    return 0;
+                }
+
+                if (first === null) {
+                    return 1;
+                }
+
+                if (second === null) {
+                    return -1;
+                }
+
+                return (first < second ? -1 : 1) * direction;
+            });
+        },
+
+        /**
+         * Generate a sortable column header.
+         */
+        generateSortHeaderHTML: function (key, label) {
+            const active = OddsComparison.sort.key === key;
+            const ascending = OddsComparison.sort.direction === 'asc';
+            let arrow = '';
+
+            if (active) {
+                arrow = '<span aria-hidden="true">' + (ascending ? ' &#9650;' : ' &#9660;') + '</span>';
+            }
+
+            return '<th scope="col"' + (active ? ' class="sorted" aria-sort="' + (ascending ? 'ascending' : 'descending') + '"' : '') + '>' +
+                '<button type="button" class="odds-sort" data-sort="' + OddsHtml.escape(key) + '">' +
+                OddsHtml.escape(label) + arrow + '</button></th>';
+        },
+
+        /**
+         * Generate the bookmaker filter with one checkbox per bookmaker.
+         */
+        generateBookmakerFilterHTML: function (bookmakers) {
+            const visible = OddsComparison.getVisibleBookmakers(bookmakers);
+
+            let html = '<details class="odds-bookmaker-filter">';
+            html += '<summary>' + OddsHtml.escape(__('Bookmakers', 'odds-comparison')) + ' <span class="odds-bookmaker-filter-count">' +
+                visible.length + '/' + bookmakers.length + '</span></summary><div class="odds-bookmaker-filter-options">';
+
+            bookmakers.forEach(function (bookmaker) {
+                const id = OddsComparison.getBookmakerId(bookmaker);
+                const checked = OddsComparison.hiddenBookmakers.indexOf(id) === -1 ? ' checked' : '';
+
+                html += '<label><input type="checkbox" value="' + OddsHtml.escape(id) + '"' + checked + '> ' +
+                    OddsHtml.escape(bookmaker.bookmaker || __('Unknown', 'odds-comparison')) + '</label>';
+            });
+
+            html += '</div></details>';
+
+            return html;
+        },
+
+        /**
+         * Generate the market table for the current bookmakers, with the line selector
+         * and bookmaker filter above it.
+         */
+        generateMarketTableHTML: function (marketType) {
+            const bookmakers = OddsComparison.currentBookmakers;
+
+            return OddsComparison.generateLineSelectorHTML(marketType) +
+                OddsComparison.generateBookmakerFilterHTML(bookmakers) +
+                OddsComparison.generateOddsTableHTML(bookmakers, marketType);
+        },
+
+        /**
+         * Generate the line selector for totals and handicaps priced at more than one line.
+         */
+        generateLineSelectorHTML: function (marketType) {
+            const all = OddsComparison.allBookmakers;
+            const lines = OddsLines.getLines(all);
+
+            if (lines.length < 2) {
+                return '';
+            }
+
+            const main = OddsLines.getMainLine(all);
+            let html = '<label class="odds-line-picker">' + OddsHtml.escape(__('Line', 'odds-comparison')) + ' <select class="odds-line-select">';
+
+            lines.forEach(function (line) {
+                const count = OddsLines.countBookmakers(all, line);
+                const label = line === main ?
+                    /* translators: 1: line, e.g. 2.5, 2: number of bookmakers */
+                    _n('%1$s (%2$d bookmaker, main line)', '%1$s (%2$d bookmakers, main line)', count, 'odds-comparison') :
+                    /* translators: 1: line, e.g. 2.5, 2: number of bookmakers */
+                    _n('%1$s (%2$d bookmaker)', '%1$s (%2$d bookmakers)', count, 'odds-comparison');
+
+                html += '<option value="' + OddsHtml.escape(line) + '"' + (line === OddsComparison.currentLine ? ' selected' : '') + '>' +
+                    OddsHtml.escape(sprintf(label, OddsLines.getLineLabel(marketType, line), count)) + '</option>';
+            });
+
+            return html + '</select></label>';
+        },
+
+        /**
+         * Compare bookmakers at another line.
+         */
+        selectLine: function (line) {
+            const contentArea = $('#odds-modal .market-content');
+            const filterOpen = contentArea.find('.odds-bookmaker-filter').prop('open');
+
+            OddsComparison.currentLine = line;
+            OddsComparison.currentBookmakers = OddsLines.select(OddsComparison.allBookmakers, line);
+            OddsComparison.trackPriceMovements(OddsComparison.currentBookmakers, false);
+            OddsComparison.movement = null;
+            OddsComparison.loadMovement();
+            OddsComparison.preserveFocus(contentArea, function () {
+                contentArea.html(OddsComparison.generateMarketTableHTML(OddsComparison.currentMarket));
+                contentArea.find('.odds-bookmaker-filter').prop('open', !!filterOpen);
+            });
+            OddsComparison.renderCalculator();
+            Watchlist.renderModalAlerts();
+            OddsComparison.announce(sprintf(
+                /* translators: 1: line, e.g. 2.5, 2: number of bookmakers */
+                _n('Showing %1$s line from %2$d bookmaker', 'Showing %1$s line from %2$d bookmakers', OddsComparison.currentBookmakers.length, 'odds-comparison'),
+                OddsLines.getLineLabel(OddsComparison.currentMarket, line),
+                OddsComparison.currentBookmakers.length
+            ));
+        },
+
+        /**
+         * Get outcome labels for the market on screen, with the selected line's points.
+         */
+        getOutcomeLabels: function (marketType, sport) {
+            const outcomes = OddsComparison.getMarketOutcomes(marketType, sport);
+            const points = marketType === OddsComparison.currentMarket ? OddsLines.getPoints(OddsComparison.currentBookmakers) : null;
+
+            if (points) {
+                $.each(outcomes, function (key, label) {
+                    outcomes[key] = OddsLines.getOutcomeLabel(key, points[key], label);
+                });
+            }
+
+            return outcomes;
+        },
+
+        /**
+         * Generate the odds table for the visible bookmakers in the active sort order.
+         */
+        generateOddsTableHTML: function (bookmakers, marketType) {
+            const sport = OddsComparison.currentEvent ? OddsComparison.currentEvent.sport : '';
+            const outcomes = OddsComparison.getOutcomeLabels(marketType, sport);
+            const visible = OddsComparison.getVisibleBookmakers(bookmakers);
+            const analysis = OddsComparison.analyseMarket(visible, outcomes);
+
+            let html = '<div class="odds-modal-table-wrapper">';
+            html += '<table class="odds-modal-table">';
+            html += '<caption class="odds-sr-only">' + OddsHtml.escape(OddsComparison.currentEvent ?
+                /* translators: 1: market name, 2: event name */
+                sprintf(__('%1$s odds for %2$s. Column headers sort the table. Best prices are marked.', 'odds-comparison'), OddsComparison.getMarketLabel(marketType), OddsComparison.currentEvent.name) :
+                /* translators: %s: market name */
+                sprintf(__('%s odds. Column headers sort the table. Best prices are marked.', 'odds-comparison'), OddsComparison.getMarketLabel(marketType))
+            ) + '</caption>';
+            html += '<thead><tr>' + OddsComparison.generateSortHeaderHTML('bookmaker', __('Bookmaker', 'odds-comparison'));
+
+            $.each(outcomes, function (key, label) {
+                html += OddsComparison.generateSortHeaderHTML(key, label);
+            });
+
+            html += OddsComparison.generateSortHeaderHTML('margin', __('Margin', 'odds-comparison')) +
+                '<th scope="col">' + OddsHtml.escape(__('Action', 'odds-comparison')) + '</th></tr></thead><tbody>';
+
+            const rows = OddsComparison.sortBookmakers(visible.map(function (bookmaker, index) {
+                return { bookmaker: bookmaker, margin: analysis.margins[index] };
+            }));
+
+            if (rows.length === 0) {
+                html += '<tr><td colspan="' + (Object.keys(outcomes).length + 3) + '" class="odds-empty">' +
+                    OddsHtml.escape(__('No bookmakers selected. Use the Bookmakers filter above to show some.', 'odds-comparison')) + '</td></tr>';
+            }
+
+            rows.forEach(function (row) {
+                const bookmaker = row.bookmaker;
+                const id = OddsComparison.getBookmakerId(bookmaker);
+
+                html += '<tr>';
+                html += '<th scope="row"><strong>' + OddsHtml.escape(bookmaker.bookmaker || __('Unknown', 'odds-comparison')) + '</strong></th>';
+                
+                // Safely access odds with fallbacks
+                const odds = bookmaker.odds || {};
+
+                $.each(outcomes, function (key) {
+                    const price = parseFloat(odds[key]);
+                    html += OddsComparison.generateOddsCellHTML(
+                        odds[key],
+                        price > 1 && price === analysis.best[key],
+                        OddsComparison.priceMovements[id + '|' + key]
+                    );
+                });
+
+                html += '<td class="margin-value">' + (row.margin !== null ? OddsHtml.escape(OddsNumber.percent(row.margin)) : '-') + '</td>';
+                
+                html += '<td>' + OddsComparison.generateBetLinkHTML(bookmaker, OddsComparison.getBestOutcome(odds, analysis.best)) + '</td>';
+                html += '</tr>';
+            });
+            
+            html += '</tbody>';
+            html += OddsComparison.generateBestPriceRowHTML(analysis, outcomes);
+            html += '</table></div>';
+            
+            return html;
+        },
+
+        /**
+         * Get the outcome a bookmaker prices best against the market, for its row's "Bet Now" link.
+         *
+         * That is an outcome where it has the best price, or else the one closest to the best price.
+         */
+        getBestOutcome: function (odds, best) {
+            let outcome = '';
+            let ratio = 0;
+
+            $.each(best, function (key, bestPrice) {
+                const price = parseFloat(odds[key]);
+
+                if (price > 1 && price / bestPrice > ratio) {
+                    outcome = key;
+                    ratio = price / bestPrice;
+                }
+            });
+
+            return outcome;
+        },
+
+        /**
+         * Format a money amount for the calculator in the site's locale.
+         */
+        formatMoney: function (amount) {
+            return OddsNumber.decimal(amount);
+        },
+
+        /**
+         * Generate a price that follows the odds format switcher.
+         */
+        generatePriceHTML: function (decimal) {
+            return '<span class="odds-value" data-decimal="' + OddsHtml.escape(decimal) + '">' +
+                OddsHtml.escape(OddsConverter.format(decimal, OddsComparison.oddsFormat)) + '</span>';
+        },
+
+        /**
+         * Build the bet calculator for the current event and market.
+         */
+        renderCalculator: function () {
+            const container = $('#odds-modal .odds-calculator');
+            const sport = OddsComparison.currentEvent ? OddsComparison.currentEvent.sport : '';
+            const outcomes = OddsComparison.getOutcomeLabels(OddsComparison.currentMarket, sport);
+
+            if (!outcomes[OddsComparison.calculatorOutcome]) {
+                OddsComparison.calculatorOutcome = Object.keys(outcomes)[0];
+            }
+
+            let html = '<h4>' + OddsHtml.escape(__('Bet Calculator', 'odds-comparison')) + '</h4><div class="odds-calculator-controls">';
+            html += '<label>' + OddsHtml.escape(__('Stake', 'odds-comparison')) + ' <input type="number" class="odds-calculator-stake" min="0" step="0.01" value="' +
+                OddsHtml.escape(OddsComparison.stake) + '"></label>';
+            html += '<label>' + OddsHtml.escape(__('Outcome', 'odds-comparison')) + ' <select class="odds-calculator-outcome">';
+
+            $.each(outcomes, function (key, label) {
+                html += '<option value="' + OddsHtml.escape(key) + '"' + (key === OddsComparison.calculatorOutcome ? ' selected' : '') + '>' +
+                    OddsHtml.escape(label) + '</option>';
+            });
+
+            html += '</select></label>';
+            html += '<button type="button" class="odds-calculator-add">' + OddsHtml.escape(__('Add best price to bet slip', 'odds-comparison')) + '</button>';
+            html += '</div><div class="odds-calculator-results"></div><div class="odds-bet-slip"></div>';
+
+            container.html(html).show();
+            OddsComparison.updateCalculator();
+        },
+
+        /**
+         * Recalculate returns and the bet slip without rebuilding the inputs.
+         */
+        updateCalculator: function () {
+            const container = $('#odds-modal .odds-calculator');
+
+            container.find('.odds-calculator-results').html(OddsComparison.generateCalculatorResultsHTML());
+            container.find('.odds-bet-slip').html(OddsComparison.generateBetSlipHTML());
+        },
+
+        /**
+         * Get visible bookmakers pricing the calculator outcome, with their price.
+         */
+        getCalculatorPrices: function () {
+            const key = OddsComparison.calculatorOutcome;
+            const prices = [];
+
+            OddsComparison.getVisibleBookmakers(OddsComparison.currentBookmakers).forEach(function (bookmaker) {
+                const price = parseFloat((bookmaker.odds || {})[key]);
+
+                if (price > 1) {
+                    prices.push({ bookmaker: bookmaker, price: price });
+                }
+            });
+
+            return prices;
+        },
+
+        /**
+         * Generate profit and return at every bookmaker's price, flagging the best return.
+         */
+        generateCalculatorResultsHTML: function () {
+            const stake = OddsComparison.stake;
+            const prices = OddsComparison.getCalculatorPrices();
+
+            if (prices.length === 0) {
+                return '<p class="odds-calculator-empty">' + OddsHtml.escape(__('No bookmaker prices this outcome.', 'odds-comparison')) + '</p>';
+            }
+
+            const best = Math.max.apply(null, $.map(prices, function (item) {
+                return item.price;
+            }));
+
+            let html = '<table class="odds-calculator-table"><thead><tr>' +
+                '<th>' + OddsHtml.escape(__('Bookmaker', 'odds-comparison')) + '</th>' +
+                '<th>' + OddsHtml.escape(__('Price', 'odds-comparison')) + '</th>' +
+                '<th>' + OddsHtml.escape(__('Profit', 'odds-comparison')) + '</th>' +
+                '<th>' + OddsHtml.escape(__('Return', 'odds-comparison')) + '</th><th></th></tr></thead><tbody>';
+
+            prices.forEach(function (item) {
+                const isBest = item.price === best;
+
+                html += '<tr' + (isBest ? ' class="best-return"' : '') + '>';
+                html += '<td>' + OddsHtml.escape(item.bookmaker.bookmaker || __('Unknown', 'odds-comparison')) +
+                    (isBest ? ' <span class="best-return-badge">' + OddsHtml.escape(__('Best return', 'odds-comparison')) + '</span>' : '') + '</td>';
+                html += '<td>' + OddsComparison.generatePriceHTML(item.price) + '</td>';
+                html += '<td>' + OddsComparison.formatMoney(OddsConverter.calculateProfit(stake, item.price)) + '</td>';
+                html += '<td>' + OddsComparison.formatMoney(OddsConverter.calculateReturn(stake, item.price)) + '</td>';
+                html += '<td>' + OddsComparison.generateBetLinkHTML(item.bookmaker, OddsComparison.calculatorOutcome, __('Bet', 'odds-comparison')) + '</td>';
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+
+            return html;
+        },
+
+        /**
+         * Add the best price for the calculator outcome to the bet slip.
+         *
+         * An accumulator can only hold one selection per event, so it replaces
+         * any earlier selection from the same event.
+         */
+        addToBetSlip: function () {
+            const event = OddsComparison.currentEvent;
+            const prices = OddsComparison.getCalculatorPrices();
+
+            if (!event || prices.length === 0) {
+                return;
+            }
+
+            const best = prices.reduce(function (top, item) {
+                return item.price > top.price ? item : top;
+            });
+            const outcomes = OddsComparison.getOutcomeLabels(OddsComparison.currentMarket, event.sport);
+
+            OddsComparison.betSlip = OddsComparison.betSlip.filter(function (selection) {
+                return selection.eventId !== event.id;
+            });
+
+            OddsComparison.betSlip.push({
+                eventId: event.id,
+                eventName: event.name,
+                market: OddsComparison.currentMarket,
+                outcome: outcomes[OddsComparison.calculatorOutcome],
+                bookmaker: best.bookmaker.bookmaker || __('Unknown', 'odds-comparison'),
+                price: best.price
+            });
+
+            OddsComparison.updateCalculator();
+        },
+
+        /**
+         * Work out stake and returns for the bet slip.
+         *
+         * Accumulator: stake x every price. Each-way: a win bet plus a place bet of
+         * the same stake, the place part paying each price at the place terms.
+         */
+        calculateBetSlip: function () {
+            const stake = OddsComparison.stake;
+            let winPrice = 1;
+            let placePrice = 1;
+
+            OddsComparison.betSlip.forEach(function (selection) {
+                winPrice *= selection.price;
+                placePrice *= 1 + (selection.price - 1) * OddsComparison.placeFraction;
+            });
+
+            if (OddsComparison.betSlipMode !== 'eachway') {
+                return {
+                    stake: stake,
+                    price: winPrice,
+                    winReturn: OddsConverter.calculateReturn(stake, winPrice)
+                };
+            }
+
+            const placeReturn = OddsConverter.calculateReturn(stake, placePrice);
+
+            return {
+                stake: stake * 2,
+                price: winPrice,
+                winReturn: OddsConverter.calculateReturn(stake, winPrice) + placeReturn,
+                placeReturn: placeReturn
+            };
+        },
+
+        /**
+         * Generate the bet slip with its selections and combined returns.
+         */
+        generateBetSlipHTML: function () {
+            const slip = OddsComparison.betSlip;
+
+            if (slip.length === 0) {
+                return '<p class="odds-bet-slip-empty">' +
+                    OddsHtml.escape(__('Add selections from this or other events to build an accumulator.', 'odds-comparison')) + '</p>';
+            }
+
+            let html = '<h4>' + OddsHtml.escape(__('Bet Slip', 'odds-comparison')) + '</h4><ul class="odds-bet-slip-selections">';
+
+            slip.forEach(function (selection, index) {
+                html += '<li><span class="odds-bet-slip-event">' + OddsHtml.escape(selection.eventName) + '</span> ' +
+                    OddsHtml.escape(selection.outcome) + ' @ ' + OddsComparison.generatePriceHTML(selection.price) +
+                    ' <small>(' + OddsHtml.escape(selection.bookmaker) + ')</small>' +
+                    ' <button type="button" class="odds-bet-slip-remove" data-index="' + index + '" aria-label="' +
+                    OddsHtml.escape(__('Remove', 'odds-comparison')) + '">&times;</button></li>';
+            });
+
+            html += '</ul><div class="odds-bet-slip-options">';
+            html += '<select class="odds-bet-slip-mode">' +
+                '<option value="accumulator"' + (OddsComparison.betSlipMode === 'accumulator' ? ' selected' : '') + '>' +
+                OddsHtml.escape(slip.length > 1 ? __('Accumulator', 'odds-comparison') : __('Single', 'odds-comparison')) + '</option>' +
+                '<option value="eachway"' + (OddsComparison.betSlipMode === 'eachway' ? ' selected' : '') + '>' +
+                OddsHtml.escape(__('Each way', 'odds-comparison')) + '</option>' +
+                '</select>';
+
+            if (OddsComparison.betSlipMode === 'eachway') {
+                html += '<select class="odds-bet-slip-terms">';
+
+                $.each(OddsComparison.placeTerms, function (fraction, label) {
+                    html += '<option value="' + OddsHtml.escape(fraction) + '"' +
+                        (parseFloat(fraction) === OddsComparison.placeFraction ? ' selected' : '') + '>' + OddsHtml.escape(label) + '</option>';
+                });
+
+                html += '</select>';
+            }
+
+            const result = OddsComparison.calculateBetSlip();
+
+            html += '</div><dl class="odds-bet-slip-summary">';
+            html += '<dt>' + OddsHtml.escape(__('Total stake', 'odds-comparison')) + '</dt><dd>' + OddsComparison.formatMoney(result.stake) + '</dd>';
+            html += '<dt>' + OddsHtml.escape(__('Combined odds', 'odds-comparison')) + '</dt><dd>' +
+                OddsComparison.generatePriceHTML(Math.round(result.price * 100) / 100) + '</dd>';
+            html += '<dt>' + OddsHtml.escape(__('Return if all win', 'odds-comparison')) + '</dt><dd>' + OddsComparison.formatMoney(result.winReturn) + '</dd>';
+
+            if (result.placeReturn !== undefined) {
+                html += '<dt>' + OddsHtml.escape(__('Return if all place', 'odds-comparison')) + '</dt><dd>' +
+                    OddsComparison.formatMoney(result.placeReturn) + '</dd>';
+            }
+
+            html += '</dl>';
+
+            return html;
+        }
+    };
+
     /**
-     * Odds Comparison frontend functionality.
+     * Search, date and sport filters and grouping for Live Events blocks.
+     *
+     * Works on the cards already on the page, so nothing is reloaded.
      */
-    const OddsComparison = {
+    const LiveEventsFilter = {
+        /**
+         * Set up every Live Events block that has a toolbar or grouping.
+         */
+        init: function () {
+            $('.odds-live-events-block[data-filterable]').each(function () {
+                LiveEventsFilter.setup($(this));
+            });
+        },
+
+        /**
+         * Show the toolbar, remember the cards in their original order and apply the initial grouping.
+         */
+        setup: function (block) {
+            const grid = block.children('.odds-live-events-grid');
+            const results = $('<div class="odds-live-events-results"></div>').insertBefore(grid);
+
+            block.data('cards', grid.children('.odds-live-event-card').detach());
+            grid.remove();
+            results.after('<p class="odds-live-events-no-match" hidden>' + OddsHtml.escape(__('No events match your filters.', 'odds-comparison')) + '</p>');
+
+            block.children('.odds-live-events-toolbar')
+                .prop('hidden', false)
+                .on('submit', function (e) {
+                    e.preventDefault();
+                })
+                .on('input change', 'input, select', function () {
+                    LiveEventsFilter.apply(block);
+                });
+
+            LiveEventsFilter.apply(block);
+        },
+
+        /**
+         * Read the toolbar's current values.
+         */
+        getFilters: function (block) {
+            const toolbar = block.children('.odds-live-events-toolbar');
+            const group = toolbar.find('[name="group"]');
+
+            return {
+                search: String(toolbar.find('[name="search"]').val() || '').trim().toLowerCase(),
+                date: toolbar.find('[name="date"]').val() || '',
+                sport: toolbar.find('[name="sport"]').val() || '',
+                groupBy: group.length ? group.val() : block.attr('data-group-by')
+            };
+        },
+
+        /**
+         * Get midnight (visitor's time) a number of days from today.
+         */
+        getDayStart: function (offset) {
+            const day = new Date();
+
+            day.setHours(0, 0, 0, 0);
+            day.setDate(day.getDate() + offset);
+
+            return day;
+        },
+
+        /**
+         * Get the [start, end) range for a date filter in the visitor's time zone.
+         *
+         * "This weekend" is the coming Saturday and Sunday, or the current one at the weekend.
+         */
+        getDateRange: function (filter) {
+            if (filter === 'today') {
+                return [LiveEventsFilter.getDayStart(0), LiveEventsFilter.getDayStart(1)];
+            }
+
+            if (filter === 'tomorrow') {
+                return [LiveEventsFilter.getDayStart(1), LiveEventsFilter.getDayStart(2)];
+            }
+
+            if (filter !== 'weekend') {
+                return null;
+            }
+
+            const weekday = new Date().getDay();
+            const saturday = weekday === 0 ? -1 : 6 - weekday;
+
+            return [LiveEventsFilter.getDayStart(saturday), LiveEventsFilter.getDayStart(saturday + 2)];
+        },
+
+        /**
+         * Check a card against the filters.
+         */
+        matches: function (card, filters, range) {
+            if (filters.search && String(card.attr('data-teams')).indexOf(filters.search) === -1) {
+                return false;
+            }
+
+            if (filters.sport && card.attr('data-sport-key') !== filters.sport) {
+                return false;
+            }
+
+            if (range) {
+                const commence = new Date(card.attr('data-commence'));
+
+                if (isNaN(commence.getTime()) || commence < range[0] || commence >= range[1]) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
+        /**
+         * Get the group key and heading for a card.
+         */
+        getGroup: function (card, groupBy) {
+            if (groupBy === 'competition') {
+                const competition = card.attr('data-competition') || __('Other', 'odds-comparison');
+                return { key: competition, label: competition };
+            }
+
+            const commence = new Date(card.attr('data-commence'));
+
+            if (isNaN(commence.getTime())) {
+                return { key: 'unknown', label: __('Date to be confirmed', 'odds-comparison') };
+            }
+
+            const day = new Date(commence.getTime());
+            day.setHours(0, 0, 0, 0);
+
+            let label = day.toLocaleDateString(OddsNumber.getLocale(), { weekday: 'long', day: 'numeric', month: 'long' });
+
+            if (day.getTime() === LiveEventsFilter.getDayStart(0).getTime()) {
+                label = __('Today', 'odds-comparison');
+            } else if (day.getTime() === LiveEventsFilter.getDayStart(1).getTime()) {
+                label = __('Tomorrow', 'odds-comparison');
+            }
+
+            return { key: String(day.getTime()), label: label };
+        },
+
+        /**
+         * Filter the cards and lay them out, grouped if asked, in their original order.
+         */
+        apply: function (block) {
+            const filters = LiveEventsFilter.getFilters(block);
+            const range = LiveEventsFilter.getDateRange(filters.date);
+            const cards = block.data('cards');
+            const results = block.children('.odds-live-events-results');
+            const visible = cards.filter(function () {
+                return LiveEventsFilter.matches($(this), filters, range);
+            });
+
+            // Detach first so emptying the container doesn't touch the cards
+            cards.detach();
+            results.empty();
+
+            if (filters.groupBy === 'competition' || filters.groupBy === 'day') {
+                const groups = {};
+
+                visible.each(function () {
+                    const group = LiveEventsFilter.getGroup($(this), filters.groupBy);
+
+                    if (!groups[group.key]) {
+                        groups[group.key] = $('<section class="odds-live-events-group"></section>')
+                            .append($('<h4 class="odds-live-events-group-title"></h4>').text(group.label))
+                            .append('<div class="odds-live-events-grid"></div>')
+                            .appendTo(results);
+                    }
+
+                    groups[group.key].children('.odds-live-events-grid').append(this);
+                });
+            } else {
+                $('<div class="odds-live-events-grid"></div>').append(visible).appendTo(results);
+            }
+
+            block.children('.odds-live-events-no-match').prop('hidden', visible.length > 0);
+            block.children('.odds-live-events-status').text(sprintf(
+                /* translators: 1: number of events shown, 2: number of events */
+                _n('Showing %1$d of %2$d event', 'Showing %1$d of %2$d events', cards.length, 'odds-comparison'),
+                visible.length,
+                cards.length
+            ));
+        }
+    };
+
+    /**
+     * Kick-off times in the site's locale and the visitor's time zone.
+     *
+     * Event cards carry a <time datetime="..."> with the UTC start. Its
+     * data-time-style is "absolute", "relative" (date plus "in 2h", "Live"...)
+     * or "countdown" (ticks every second until kick-off).
+     */
+    const KickoffTimes = {
+        /**
+         * Update timer.
+         */
+        timer: null,
+
+        /**
+         * How long after kick-off an event still counts as live.
+         */
+        liveWindow: 3 * 60 * 60 * 1000,
+
+        /**
+         * How long before kick-off an event is "Starting soon".
+         */
+        soonWindow: 15 * 60 * 1000,
+
+        /**
+         * Format for the date and time, created on init.
+         */
+        dateFormat: null,
+
+        /**
+         * Format for the tooltip, which includes the time zone, created on init.
+         */
+        titleFormat: null,
+
+        /**
+         * Format for "in 2h" style labels, created on init.
+         */
+        relativeFormat: null,
+
+        /**
+         * Create the date formats, or return false if the browser can't.
+         */
+        createFormats: function () {
+            if (typeof Intl === 'undefined' || !Intl.DateTimeFormat || !Intl.RelativeTimeFormat) {
+                return false;
+            }
+
+            try {
+                KickoffTimes.dateFormat = new Intl.DateTimeFormat(OddsNumber.getLocale(), {
+                    weekday: 'short',
+                    day: 'numeric',
+                    month: 'short',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+                KickoffTimes.titleFormat = new Intl.DateTimeFormat(OddsNumber.getLocale(), {
+                    dateStyle: 'full',
+                    timeStyle: 'short'
+                });
+                KickoffTimes.relativeFormat = new Intl.RelativeTimeFormat(OddsNumber.getLocale(), { style: 'narrow', numeric: 'auto' });
+            } catch (e) {
+                // Older browsers reject dateStyle and timeStyle
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Render every kick-off time and keep them up to date.
+         *
+         * Without the date formats the server-rendered UTC times are left as they are.
+         */
+        init: function () {
+            const times = $('time.event-kickoff');
+
+            if (!times.length || !KickoffTimes.createFormats()) {
+                return;
+            }
+
+            KickoffTimes.update();
+
+            // Countdowns tick every second; relative labels only need refreshing now and then
+            const interval = times.filter('[data-time-style="countdown"]').length ? 1000 : 30000;
+            KickoffTimes.timer = window.setInterval(KickoffTimes.update, interval);
+        },
+
+        /**
+         * Render all kick-off times.
+         */
+        update: function () {
+            const now = Date.now();
+
+            $('time.event-kickoff').each(function () {
+                KickoffTimes.render($(this), now);
+            });
+        },
+
+        /**
+         * Get the event state: "upcoming", "soon", "live" or "started".
+         */
+        getState: function (start, now) {
+            const diff = start - now;
+
+            if (diff > KickoffTimes.soonWindow) {
+                return 'upcoming';
+            }
+
+            if (diff > 0) {
+                return 'soon';
+            }
+
+            return -diff < KickoffTimes.liveWindow ? 'live' : 'started';
+        },
+
+        /**
+         * Get a short label for how far away kick-off is ("in 35 min", "in 2h", "tomorrow").
+         */
+        getRelativeLabel: function (start, now) {
+            switch (KickoffTimes.getState(start, now)) {
+                case 'soon':
+                    return __('Starting soon', 'odds-comparison');
+                case 'live':
+                    return __('Live', 'odds-comparison');
+                case 'started':
+                    return __('Started', 'odds-comparison');
+            }
+
+            const minutes = Math.round((start - now) / 60000);
+
+            if (minutes < 60) {
+                return KickoffTimes.relativeFormat.format(minutes, 'minute');
+            }
+
+            if (minutes < 24 * 60) {
+                return KickoffTimes.relativeFormat.format(Math.round(minutes / 60), 'hour');
+            }
+
+            return KickoffTimes.relativeFormat.format(Math.round(minutes / (24 * 60)), 'day');
+        },
+
+        /**
+         * Format the time left as "2d 04:10:05" or "04:10:05".
+         */
+        getCountdown: function (start, now) {
+            const total = Math.max(0, Math.floor((start - now) / 1000));
+            const days = Math.floor(total / 86400);
+            const pad = function (value) {
+                return (value < 10 ? '0' : '') + value;
+            };
+            const clock = pad(Math.floor(total % 86400 / 3600)) + ':' + pad(Math.floor(total % 3600 / 60)) + ':' + pad(total % 60);
+
+            /* translators: 1: number of days, 2: hours, minutes and seconds, e.g. 04:10:05 */
+            return days > 0 ? sprintf(__('%1$dd %2$s', 'odds-comparison'), days, clock) : clock;
+        },
+
+        /**
+         * Render one kick-off time.
+         */
+        render: function (time, now) {
+            const start = new Date(time.attr('datetime'));
+
+            if (isNaN(start.getTime())) {
+                return;
+            }
+
+            const style = time.attr('data-time-style');
+            const state = KickoffTimes.getState(start.getTime(), now);
+            let label = '';
+
+            if (style === 'relative') {
+                label = KickoffTimes.getRelativeLabel(start.getTime(), now);
+            } else if (style === 'countdown') {
+                label = state === 'upcoming' || state === 'soon' ?
+                    /* translators: %s: time left, e.g. 2d 04:10:05 */
+                    sprintf(__('Kick-off in %s', 'odds-comparison'), KickoffTimes.getCountdown(start.getTime(), now)) :
+                    KickoffTimes.getRelativeLabel(start.getTime(), now);
+            }
+
+            let date = time.children('.event-kickoff-date');
+
+            if (!date.length) {
+                time.empty()
+                    .attr('title', KickoffTimes.titleFormat.format(start))
+                    .append('<span class="event-kickoff-date"></span>', '<span class="event-kickoff-label"></span>');
+                date = time.children('.event-kickoff-date');
+            }
+
+            date.text(KickoffTimes.dateFormat.format(start));
+            time.children('.event-kickoff-label').text(label).prop('hidden', label === '');
+            time.toggleClass('is-soon', state === 'soon').toggleClass('is-live', state === 'live');
+        }
+    };
+
+    /**
+     * In-page notifications, stacked in the corner of the screen.
+     */
+    const Toasts = {
+        /**
+         * How long a toast stays on screen, in milliseconds.
+         */
+        duration: 10000,
+
+        /**
+         * Show a toast, with an optional action button ({ label, callback }).
+         */
+        show: function (message, action) {
+            let container = $('.odds-toasts');
+
+            if (container.length === 0) {
+                container = $('<div class="odds-toasts" role="status" aria-live="polite"></div>').appendTo('body');
+            }
+
+            const toast = $('<div class="odds-toast"><p class="odds-toast-message"></p>' +
+                '<button type="button" class="odds-toast-close" aria-label="' + OddsHtml.escape(__('Dismiss notification', 'odds-comparison')) + '">' +
+                '<span aria-hidden="true">&times;</span></button></div>');
+            const close = function () {
+                toast.remove();
+            };
+
+            toast.find('.odds-toast-message').text(message);
+
+            if (action) {
+                $('<button type="button" class="odds-toast-action"></button>')
+                    .text(action.label)
+                    .on('click', function () {
+                        close();
+                        action.callback();
+                    })
+                    .insertBefore(toast.find('.odds-toast-close'));
+            }
+
+            toast.find('.odds-toast-close').on('click', close);
+            container.append(toast);
+            window.setTimeout(close, Toasts.duration);
+        }
+    };
+
+    /**
+     * Visitor watchlist: starred events and price alerts, kept in localStorage.
+     *
+     * Watched events are checked against fresh odds while the site is open.
+     * Alerts fire a toast, and a browser notification if the visitor allowed it.
+     */
+    const Watchlist = {
+        /**
+         * Most events that can be watched, to keep background checks light.
+         */
+        maxItems: 20,
+
+        /**
+         * Watched events ({ id, name, sport, alerts, best }), loaded on init.
+         */
+        items: [],
+
+        /**
+         * Timer for checking watched events.
+         */
+        timer: null,
+
+        /**
+         * Load the watchlist, add star buttons and start checking prices.
+         */
+        init: function () {
+            const interval = Math.max(60, parseInt(oddsComparison.refreshInterval, 10) || 300);
+
+            Watchlist.items = OddsComparison.loadPreference('watchlist', []);
+            Watchlist.addStarButtons();
+            Watchlist.render();
+
+            $(document).on('click', '.odds-watch-btn', function () {
+                Watchlist.toggle(OddsComparison.getButtonEvent($(this).siblings('.view-odds-btn').first()));
+            });
+
+            $(document).on('click', '#odds-modal .odds-watch-toggle', function () {
+                Watchlist.toggle(OddsComparison.currentEvent);
+            });
+
+            $(document).on('click', '#odds-modal .odds-alert-add', function () {
+                Watchlist.addAlertFromModal();
+            });
+
+            $(document).on('click', '.odds-alert-remove', function () {
+                Watchlist.removeAlert(String($(this).data('event-id')), $(this).data('index'));
+            });
+
+            // Keep other tabs in step
+            $(window).on('storage', function (e) {
+                if (e.originalEvent.key === 'oddsComparison.watchlist') {
+                    Watchlist.items = OddsComparison.loadPreference('watchlist', []);
+                    Watchlist.updateButtons();
+                    Watchlist.render();
+                }
+            });
+
+            Watchlist.checkIfDue(interval);
+            Watchlist.timer = window.setInterval(function () {
+                Watchlist.checkIfDue(interval);
+            }, interval * 1000);
+        },
+
+        /**
+         * Check watched events unless this or another open tab checked them within the interval (seconds).
+         *
+         * Tabs share the last check time through localStorage, so several open tabs
+         * make one set of requests per interval between them.
+         */
+        checkIfDue: function (interval) {
+            const checkedAt = OddsComparison.loadPreference('watchlistCheckedAt', 0);
+
+            // Timers drift by a few milliseconds, so a tab's own last check always counts as due
+            if (document.hidden || Date.now() - checkedAt < interval * 1000 - 5000) {
+                return;
+            }
+
+            OddsComparison.savePreference('watchlistCheckedAt', Date.now());
+            Watchlist.check();
+        },
+
+        /**
+         * Add a star button next to every "View Odds" button that doesn't have one.
+         */
+        addStarButtons: function () {
+            $('.view-odds-btn').each(function () {
+                const button = $(this);
+
+                if (button.siblings('.odds-watch-btn').length === 0) {
+                    button.after('<button type="button" class="odds-watch-btn" aria-pressed="false"></button>');
+                }
+            });
+
+            Watchlist.updateButtons();
+        },
+
         /**
-         * Initialize the frontend functionality.
+         * Get a watched event by ID.
          */
-        init: function () {
-            this.bindEvents();
+        get: function (eventId) {
+            return Watchlist.items.filter(function (item) {
+                return item.id === eventId;
+            })[0] || null;
         },
 
         /**
-         * Bind event handlers.
+         * Save the watchlist and refresh everything that shows it.
          */
-        bindEvents: function () {
-            // Handle view odds button clicks
-            $(document).on('click', '.view-odds-btn', function (e) {
-                e.preventDefault();
-                const eventName = $(this).data('event');
-                const sport = $(this).data('sport');
-                const market = $(this).data('market');
-                OddsComparison.showOddsModal(eventName, sport, market);
+        save: function () {
+            OddsComparison.savePreference('watchlist', Watchlist.items);
+            Watchlist.render();
+            Watchlist.updateModalAlerts();
+        },
+
+        /**
+         * Star or unstar an event ({ id, name, sport }).
+         */
+        toggle: function (event) {
+            if (!event || !event.id) {
+                return;
+            }
+
+            if (Watchlist.get(event.id)) {
+                Watchlist.items = Watchlist.items.filter(function (item) {
+                    return item.id !== event.id;
+                });
+                Watchlist.save();
+                /* translators: %s: event name */
+                Toasts.show(sprintf(__('%s removed from your watchlist.', 'odds-comparison'), event.name));
+                return;
+            }
+
+            if (Watchlist.items.length >= Watchlist.maxItems) {
+                Toasts.show(__('Your watchlist is full. Remove an event to add another.', 'odds-comparison'));
+                return;
+            }
+
+            Watchlist.items.push({ id: event.id, name: event.name, sport: event.sport, alerts: [], best: null });
+            Watchlist.save();
+            /* translators: %s: event name */
+            Toasts.show(sprintf(__('%s added to your watchlist.', 'odds-comparison'), event.name));
+            Watchlist.check();
+        },
+
+        /**
+         * Update star buttons and the modal's Watch button to match the watchlist.
+         */
+        updateButtons: function () {
+            $('.odds-watch-btn').each(function () {
+                const event = OddsComparison.getButtonEvent($(this).siblings('.view-odds-btn').first());
+                const watched = !!Watchlist.get(event.id);
+                const label = watched ?
+                    /* translators: %s: event name */
+                    sprintf(__('Remove %s from your watchlist', 'odds-comparison'), event.name) :
+                    /* translators: %s: event name */
+                    sprintf(__('Add %s to your watchlist', 'odds-comparison'), event.name);
+
+                $(this)
+                    .attr('aria-pressed', watched ? 'true' : 'false')
+                    .attr('aria-label', label)
+                    .toggleClass('is-watched', watched)
+                    .html('<span aria-hidden="true">' + (watched ? '&#9733;' : '&#9734;') + '</span>');
             });
+
+            const current = OddsComparison.currentEvent;
+            const watched = !!(current && Watchlist.get(current.id));
+
+            $('#odds-modal .odds-watch-toggle')
+                .attr('aria-pressed', watched ? 'true' : 'false')
+                .toggleClass('is-watched', watched)
+                .html('<span aria-hidden="true">' + (watched ? '&#9733;' : '&#9734;') + '</span> ' +
+                    OddsHtml.escape(watched ? __('Watching', 'odds-comparison') : __('Watch', 'odds-comparison')));
         },
 
         /**
-         * Show odds modal.
+         * Find the best price and bookmaker for each outcome, at one line for totals and handicaps.
          */
-        showOddsModal: function (eventName, sport, marketType) {
-            // Create modal if it doesn't exist
-            let modal = $('#odds-modal');
-            if (modal.length === 0) {
-                modal = $('<div id="odds-modal" class="odds-modal">' +
-                    '<div class="odds-modal-overlay"></div>' +
-                    '<div class="odds-modal-content">' +
-                    '<button class="odds-modal-close">&times;</button>' +
-                    '<div class="odds-modal-body">' +
-                    '<h3 class="modal-event-title">' + eventName + '</h3>' +
-                    '<span class="sport-badge">' + sport + '</span>' +
-                    '<div class="market-tabs">' +
-                    '<button class="market-tab active" data-market="match_winner">Match Winner</button>' +
-                    '<button class="market-tab" data-market="over_under">Over/Under</button>' +
-                    '<button class="market-tab" data-market="both_teams_score">Both Teams Score</button>' +
-                    '<button class="market-tab" data-market="handicap">Handicap</button>' +
-                    '</div>' +
-                    '<div class="market-content"></div>' +
-                    '</div>' +
-                    '</div>' +
-                    '</div>');
-                $('body').append(modal);
-           } else {
-               // Update existing modal with new event
-               modal.find('.modal-event-title').text(eventName);
-               modal.find('.sport-badge').text(sport);
-           }
-           
-           // Debug: Log what we're showing
-           console.log('Modal title:', eventName);
-           console.log('Sport badge:', sport);
-
-            // Show modal
-            modal.addClass('active');
-            
-            // Load bookmakers data immediately
-            OddsComparison.loadMarketData(eventName, sport, marketType);
+        getBestPrices: function (odds, line) {
+            const bookmakers = OddsComparison.getBookmakerList(odds);
+            const best = {};
 
-            // Handle tab clicks
-            modal.find('.market-tab').off('click').on('click', function () {
-                const clickedMarket = $(this).data('market');
-                modal.find('.market-tab').removeClass('active');
-                $(this).addClass('active');
-                OddsComparison.loadMarketData(eventName, sport, clickedMarket);
+            if (line === undefined) {
+                line = OddsLines.getMainLine(bookmakers);
+            }
+
+            OddsLines.select(bookmakers, line).forEach(function (bookmaker) {
+                $.each(bookmaker.odds || {}, function (outcome, value) {
+                    const price = parseFloat(value);
+
+                    if (!isNaN(price) && price > 1 && (!best[outcome] || price > best[outcome].price)) {
+                        best[outcome] = { price: price, bookmaker: bookmaker.bookmaker || '' };
+                    }
+                });
             });
 
-            // Close modal handlers
-            modal.find('.odds-modal-close, .odds-modal-overlay').off('click').on('click', function () {
-                modal.removeClass('active');
+            return best;
+        },
+
+        /**
+         * Check fresh odds for an event against its alerts and remember the best match winner prices.
+         */
+        applyOdds: function (event, marketType, odds) {
+            const item = event ? Watchlist.get(event.id) : null;
+
+            if (!item) {
+                return;
+            }
+
+            let changed = false;
+
+            if (marketType === 'match_winner') {
+                item.best = { prices: Watchlist.getBestPrices(odds), time: Date.now() };
+                changed = true;
+            }
+
+            item.alerts.forEach(function (alert) {
+                if (alert.market !== marketType) {
+                    return;
+                }
+
+                // Alerts on totals and handicaps only watch the line they were set on
+                const price = Watchlist.getBestPrices(odds, alert.line === undefined ? null : alert.line)[alert.outcome];
+
+                if (!price) {
+                    return;
+                }
+
+                if (price.price >= alert.target && !alert.triggered) {
+                    alert.triggered = true;
+                    changed = true;
+                    Watchlist.notify(item, alert, price);
+                } else if (price.price < alert.target && alert.triggered) {
+                    // Re-arm so the alert fires again if the price comes back
+                    alert.triggered = false;
+                    changed = true;
+                }
             });
+
+            if (changed) {
+                Watchlist.save();
+            }
         },
 
         /**
-         * Load market data from admin bookmakers.
+         * Tell the visitor an alert's target price was reached.
          */
-        loadMarketData: function (eventName, sport, marketType) {
-            const modal = $('#odds-modal');
-            const contentArea = modal.find('.market-content');
-            
-            contentArea.html('<div class="loading">Loading odds...</div>');
-            
-            // Load bookmakers from admin panel
-            OddsComparison.loadFallbackData(marketType);
+        notify: function (item, alert, price) {
+            const label = Watchlist.getAlertLabel(item, alert);
+            const message = price.bookmaker ?
+                sprintf(
+                    /* translators: 1: event name, 2: outcome, 3: price, 4: bookmaker name, 5: target price */
+                    __('%1$s: %2$s is %3$s at %4$s (your target %5$s).', 'odds-comparison'),
+                    item.name,
+                    label,
+                    OddsConverter.format(price.price, OddsComparison.oddsFormat),
+                    price.bookmaker,
+                    OddsConverter.format(alert.target, OddsComparison.oddsFormat)
+                ) :
+                sprintf(
+                    /* translators: 1: event name, 2: outcome, 3: price, 4: target price */
+                    __('%1$s: %2$s is %3$s (your target %4$s).', 'odds-comparison'),
+                    item.name,
+                    label,
+                    OddsConverter.format(price.price, OddsComparison.oddsFormat),
+                    OddsConverter.format(alert.target, OddsComparison.oddsFormat)
+                );
+            const open = function () {
+                OddsComparison.showOddsModal({ id: item.id, name: item.name, sport: item.sport }, alert.market);
+            };
+
+            Toasts.show(message, { label: __('View odds', 'odds-comparison'), callback: open });
+
+            if (alert.notify && 'Notification' in window && window.Notification.permission === 'granted') {
+                const notification = new window.Notification(__('Price alert', 'odds-comparison'), { body: message, tag: item.id + '|' + alert.outcome });
+
+                notification.onclick = function () {
+                    window.focus();
+                    open();
+                };
+            }
         },
 
         /**
-         * Load bookmakers from admin panel.
+         * Fetch odds for every watched event and market, using the browser cache where it is fresh.
+         *
+         * Requests are answered from the server's odds cache, so checks don't reach the odds API.
          */
-        loadFallbackData: function (marketType) {
-            // Get bookmakers from admin panel via AJAX
-            $.ajax({
-                url: oddsComparison.ajaxUrl,
-                method: 'POST',
-                data: {
-                    action: 'get_admin_bookmakers',
-                    nonce: oddsComparison.nonce
-                },
-                success: function(response) {
-                    // Handle both Array and Object formats
-                    const dataLength = Array.isArray(response.data) ? response.data.length : Object.keys(response.data || {}).length;
-                    
-                    if (response.success && response.data && dataLength > 0) {
-                        const html = OddsComparison.generateMarketTableHTML(response.data, marketType);
-                        $('#odds-modal .market-content').html(html);
-                    } else {
-                        // Fallback to default bookmakers
-                        OddsComparison.loadDefaultFallbackData(marketType);
+        check: function () {
+            Watchlist.items.forEach(function (item) {
+                const markets = ['match_winner'];
+
+                item.alerts.forEach(function (alert) {
+                    if (markets.indexOf(alert.market) === -1) {
+                        markets.push(alert.market);
                     }
-                },
-                error: function(xhr, status, error) {
-                    // Fallback to default bookmakers
-                    OddsComparison.loadDefaultFallbackData(marketType);
-                }
+                });
+
+                markets.forEach(function (marketType) {
+                    if (!oddsComparison.enabledMarkets || !oddsComparison.enabledMarkets[marketType]) {
+                        return;
+                    }
+
+                    const event = { id: item.id, name: item.name, sport: item.sport };
+                    const key = OddsCache.key(event, marketType);
+                    const cached = OddsCache.get(key);
+
+                    if (cached && OddsCache.isFresh(cached)) {
+                        Watchlist.applyOdds(event, marketType, cached.odds);
+                        return;
+                    }
+
+                    OddsCache.fetch(key, {
+                        event: item.name,
+                        event_id: item.id,
+                        sport: item.sport,
+                        market: marketType
+                    }, true).done(function () {
+                        const entry = OddsCache.get(key);
+
+                        if (entry) {
+                            Watchlist.applyOdds(event, marketType, entry.odds);
+                        }
+                    });
+                });
             });
         },
 
         /**
-         * Load default fallback data when admin bookmakers fail.
+         * Show the alert form and this event's alerts in the modal.
          */
-        loadDefaultFallbackData: function (marketType) {
-            // This should never be called - show error message
-            console.log('CRITICAL ERROR: No bookmakers found anywhere!');
-            $('#odds-modal .market-content').html(
-                '<div class="error" style="padding: 20px; text-align: center; background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; border-radius: 4px; margin: 20px;">' +
-                '<h3>No bookmakers found</h3>' +
-                '<p>Please check your admin panel settings:</p>' +
-                '<ol style="text-align: left; display: inline-block;">' +
-                '<li>Go to <strong>Odds Comparison > Settings</strong> and configure your API key</li>' +
-                '<li>Go to <strong>Odds Comparison > Bookmakers</strong> and enable some bookmakers</li>' +
-                '<li>Make sure your API connection is working</li>' +
-                '</ol>' +
-                '</div>'
-            );
+        renderModalAlerts: function () {
+            const event = OddsComparison.currentEvent;
+
+            if (!event || OddsComparison.currentBookmakers.length === 0) {
+                return;
+            }
+
+            const container = $('#odds-modal .odds-alerts');
+            const outcomes = OddsComparison.getOutcomeLabels(OddsComparison.currentMarket, event.sport);
+            const item = Watchlist.get(event.id);
+            let html = '<h4>' + OddsHtml.escape(__('Price Alerts', 'odds-comparison')) + '</h4><div class="odds-alert-form">' +
+                '<label>' + OddsHtml.escape(__('Outcome', 'odds-comparison')) + ' <select class="odds-alert-outcome">';
+
+            $.each(outcomes, function (key, label) {
+                html += '<option value="' + OddsHtml.escape(key) + '">' + OddsHtml.escape(label) + '</option>';
+            });
+
+            html += '</select></label>' +
+                '<label>' + sprintf(
+                    /* translators: %s: price input */
+                    OddsHtml.escape(__('Alert me at %s or more (decimal odds)', 'odds-comparison')),
+                    '<input type="number" class="odds-alert-target" min="1.01" step="0.01" placeholder="' + OddsHtml.escape(OddsNumber.decimal(2.5)) + '">'
+                ) + '</label>' +
+                ('Notification' in window ?
+                    '<label class="odds-alert-notify"><input type="checkbox" class="odds-alert-browser"> ' +
+                    OddsHtml.escape(__('Also notify me in the browser', 'odds-comparison')) + '</label>' :
+                    '') +
+                '<button type="button" class="odds-alert-add">' + OddsHtml.escape(__('Set alert', 'odds-comparison')) + '</button></div>' +
+                '<div class="odds-alert-items">' + Watchlist.generateAlertsHTML(item) + '</div>';
+
+            OddsComparison.preserveFocus(container, function () {
+                container.html(html).show();
+            });
         },
 
         /**
-         * Generate market table HTML from odds data.
+         * Refresh the modal's list of alerts without resetting the alert form.
          */
-        generateMarketTableHTML: function (oddsData, marketType) {
-            let html = '<div class="odds-modal-table-wrapper">';
-            html += '<table class="odds-modal-table">';
-            html += '<thead><tr>';
-            
-            if (marketType === 'match_winner' || marketType === 'h2h') {
-                html += '<th>Bookmaker</th><th>Home</th><th>Draw</th><th>Away</th><th>Action</th>';
-            } else if (marketType === 'over_under' || marketType === 'totals') {
-                html += '<th>Bookmaker</th><th>Over 2.5</th><th>Under 2.5</th><th>Action</th>';
-            } else if (marketType === 'both_teams_score') {
-                html += '<th>Bookmaker</th><th>Yes</th><th>No</th><th>Action</th>';
-            } else if (marketType === 'handicap') {
-                html += '<th>Bookmaker</th><th>Home</th><th>Away</th><th>Action</th>';
+        updateModalAlerts: function () {
+            const items = $('#odds-modal .odds-alert-items');
+            const event = OddsComparison.currentEvent;
+
+            if (items.length === 0 || !event) {
+                return;
             }
-            
-            html += '</tr></thead><tbody>';
-            
-            // Handle both array and object formats
-            let bookmakers;
-            if (Array.isArray(oddsData)) {
-                bookmakers = oddsData;
-            } else if (oddsData && oddsData.data && Array.isArray(oddsData.data)) {
-                bookmakers = oddsData.data;
-            } else {
-                bookmakers = Object.values(oddsData);
+
+            OddsComparison.preserveFocus(items, function () {
+                items.html(Watchlist.generateAlertsHTML(Watchlist.get(event.id)));
+            });
+        },
+
+        /**
+         * Build the list of an event's alerts with remove buttons.
+         */
+        generateAlertsHTML: function (item) {
+            if (!item || item.alerts.length === 0) {
+                return '';
             }
-            
-            
-            bookmakers.forEach(function(bookmaker) {
-                html += '<tr>';
-                html += '<td><strong>' + (bookmaker.bookmaker || 'Unknown') + '</strong></td>';
-                
-                // Safely access odds with fallbacks
-                const odds = bookmaker.odds || {};
-                
-                if (marketType === 'match_winner' || marketType === 'h2h') {
-                    html += '<td>' + (odds.home || '-') + '</td>';
-                    html += '<td>' + (odds.draw || '-') + '</td>';
-                    html += '<td>' + (odds.away || '-') + '</td>';
-                } else if (marketType === 'over_under' || marketType === 'totals') {
-                    html += '<td>' + (odds.over || '-') + '</td>';
-                    html += '<td>' + (odds.under || '-') + '</td>';
-                } else if (marketType === 'both_teams_score') {
-                    html += '<td>' + (odds.yes || '-') + '</td>';
-                    html += '<td>' + (odds.no || '-') + '</td>';
-                } else if (marketType === 'handicap') {
-                    html += '<td>' + (odds.home || '-') + '</td>';
-                    html += '<td>' + (odds.away || '-') + '</td>';
+
+            let html = '<ul class="odds-alert-list">';
+
+            item.alerts.forEach(function (alert, index) {
+                const label = Watchlist.getAlertLabel(item, alert);
+
+                html += '<li' + (alert.triggered ? ' class="is-triggered"' : '') + '>' +
+                    OddsHtml.escape(sprintf(
+                        /* translators: 1: market name, 2: outcome, 3: target price */
+                        __('%1$s: %2$s at %3$s+', 'odds-comparison'),
+                        OddsComparison.getMarketLabel(alert.market),
+                        label,
+                        OddsConverter.format(alert.target, OddsComparison.oddsFormat)
+                    )) +
+                    (alert.triggered ? ' <strong>' + OddsHtml.escape(__('Reached', 'odds-comparison')) + '</strong>' : '') +
+                    ' <button type="button" class="odds-alert-remove" data-event-id="' + OddsHtml.escape(item.id) +
+                    '" data-index="' + index + '" aria-label="' + OddsHtml.escape(__('Remove alert', 'odds-comparison')) + '">&times;</button></li>';
+            });
+
+            return html + '</ul>';
+        },
+
+        /**
+         * Get an alert's outcome label, with its point for totals and handicaps.
+         */
+        getAlertLabel: function (item, alert) {
+            const label = OddsComparison.getMarketOutcomes(alert.market, item.sport)[alert.outcome] || alert.outcome;
+
+            return OddsLines.getOutcomeLabel(alert.outcome, alert.point, label);
+        },
+
+        /**
+         * Add an alert from the modal form, starring the event if needed.
+         */
+        addAlertFromModal: function () {
+            const form = $('#odds-modal .odds-alert-form');
+            const target = parseFloat(form.find('.odds-alert-target').val());
+
+            if (isNaN(target) || target <= 1) {
+                /* translators: %s: lowest price, 1.00 */
+                OddsComparison.announce(sprintf(__('Enter decimal odds above %s for the alert', 'odds-comparison'), OddsNumber.decimal(1)));
+                form.find('.odds-alert-target').trigger('focus');
+                return;
+            }
+
+            const event = OddsComparison.currentEvent;
+
+            if (!Watchlist.get(event.id)) {
+                Watchlist.toggle(event);
+            }
+
+            const item = Watchlist.get(event.id);
+
+            if (!item) {
+                return;
+            }
+
+            const notify = form.find('.odds-alert-browser').is(':checked');
+            const outcome = form.find('.odds-alert-outcome').val();
+            const points = OddsLines.getPoints(OddsComparison.currentBookmakers);
+
+            item.alerts.push({
+                market: OddsComparison.currentMarket,
+                outcome: outcome,
+                line: OddsComparison.currentLine,
+                point: points && points[outcome] !== undefined ? points[outcome] : null,
+                target: target,
+                notify: notify,
+                triggered: false
+            });
+
+            if (notify && 'Notification' in window && window.Notification.permission === 'default') {
+                window.Notification.requestPermission();
+            }
+
+            Watchlist.save();
+            OddsComparison.announce(__('Alert set', 'odds-comparison'));
+            Watchlist.applyOdds(event, OddsComparison.currentMarket, OddsComparison.currentOdds());
+        },
+
+        /**
+         * Remove one of an event's alerts.
+         */
+        removeAlert: function (eventId, index) {
+            const item = Watchlist.get(eventId);
+
+            if (item) {
+                item.alerts.splice(index, 1);
+                Watchlist.save();
+            }
+        },
+
+        /**
+         * Render every My Watchlist block on the page.
+         */
+        render: function () {
+            $('.odds-watchlist-block').each(function () {
+                const block = $(this);
+                const list = block.find('.odds-watchlist-list');
+
+                if (Watchlist.items.length === 0) {
+                    list.html('<p class="odds-watchlist-empty">' + OddsHtml.escape(__('Star an event to follow its best price here.', 'odds-comparison')) + '</p>');
+                    return;
                 }
-                
-                html += '<td><a href="' + (bookmaker.url || '#') + '" target="_blank" class="bet-now-btn">Bet Now</a></td>';
-                html += '</tr>';
+
+                OddsComparison.preserveFocus(list, function () {
+                    list.html(Watchlist.generateListHTML(block.data('show-alerts') !== 0));
+                });
             });
-            
-            html += '</tbody></table></div>';
-            
-            return html;
+
+            Watchlist.updateButtons();
+        },
+
+        /**
+         * Build the watchlist with each event's best match winner prices.
+         */
+        generateListHTML: function (showAlerts) {
+            let html = '<ul class="odds-watchlist-items">';
+
+            Watchlist.items.forEach(function (item) {
+                const outcomes = OddsComparison.getMarketOutcomes('match_winner', item.sport);
+                const best = item.best ? item.best.prices : {};
+
+                html += '<li class="odds-watchlist-item"><div class="odds-watchlist-event">' +
+                    '<strong>' + OddsHtml.escape(item.name) + '</strong>' +
+                    '<span class="odds-watchlist-sport">' + OddsHtml.escape(item.sport) + '</span></div>';
+
+                if (Object.keys(best).length) {
+                    html += '<dl class="odds-watchlist-prices">';
+
+                    $.each(outcomes, function (key, label) {
+                        if (best[key]) {
+                            html += '<div><dt>' + OddsHtml.escape(label) + '</dt><dd>' +
+                                OddsHtml.escape(OddsConverter.format(best[key].price, OddsComparison.oddsFormat)) +
+                                ' <span>' + OddsHtml.escape(best[key].bookmaker) + '</span></dd></div>';
+                        }
+                    });
+
+                    html += '</dl>';
+                } else {
+                    html += '<p class="odds-watchlist-pending">' + OddsHtml.escape(__('Checking prices…', 'odds-comparison')) + '</p>';
+                }
+
+                if (showAlerts) {
+                    html += Watchlist.generateAlertsHTML(item);
+                }
+
+                html += '<div class="event-actions">' +
+                    '<a href="#" class="view-odds-btn" data-event-id="' + OddsHtml.escape(item.id) + '" data-event="' +
+                    OddsHtml.escape(item.name) + '" data-sport="' + OddsHtml.escape(item.sport) + '" data-market="match_winner">' + OddsHtml.escape(__('View Odds', 'odds-comparison')) + '</a>' +
+                    '<button type="button" class="odds-watch-btn" aria-pressed="true"></button></div></li>';
+            });
+
+            return html + '</ul>';
+        }
+    };
+
+    /**
+     * Surebets block: keeps the list of surebets and value bets up to date and
+     * splits the visitor's total stake across each surebet's outcomes.
+     */
+    const Surebets = {
+        /**
+         * Timer for re-fetching every block on the page.
+         */
+        timer: null,
+
+        /**
+         * Set up every Surebets block on the page.
+         */
+        init: function () {
+            const blocks = $('.odds-surebets-block');
+
+            if (blocks.length === 0) {
+                return;
+            }
+
+            const interval = Math.max(60, parseInt(oddsComparison.refreshInterval, 10) || 300);
+
+            $(document).on('input', '.odds-surebets-stake-input', function () {
+                Surebets.updateStakes($(this).closest('.odds-surebets-block'));
+            });
+
+            Surebets.timer = window.setInterval(function () {
+                if (!document.hidden) {
+                    blocks.each(function () {
+                        Surebets.refresh($(this));
+                    });
+                }
+            }, interval * 1000);
+        },
+
+        /**
+         * Re-fetch a block's surebets and value bets.
+         */
+        refresh: function (block) {
+            if (block.data('request')) {
+                return;
+            }
+
+            const show = block.data('show');
+
+            block.data('request', $.ajax({
+                url: oddsComparison.restUrl + 'surebets',
+                method: 'GET',
+                data: {
+                    sports: String(block.data('sports') || '').split(',').filter(Boolean),
+                    market: block.data('market'),
+                    type: show === 'surebets' || show === 'value' ? show : 'all',
+                    limit: block.data('limit')
+                }
+            }).done(function (response) {
+                if (!response || !response.success) {
+                    return;
+                }
+
+                let html = '';
+
+                if (show !== 'value') {
+                    html += Surebets.generateSurebetsHTML(response.surebets || []);
+                }
+
+                if (show !== 'surebets') {
+                    html += Surebets.generateValueBetsHTML(response.value_bets || []);
+                }
+
+                OddsComparison.preserveFocus(block.find('.odds-surebets-results'), function () {
+                    block.find('.odds-surebets-results').html(html);
+                });
+                Surebets.updateStakes(block);
+                KickoffTimes.update();
+            }).always(function () {
+                block.removeData('request');
+            }));
+        },
+
+        /**
+         * Recalculate each outcome's stake and the guaranteed return for the total stake.
+         */
+        updateStakes: function (block) {
+            const stake = parseFloat(block.find('.odds-surebets-stake-input').val());
+            const total = isNaN(stake) || stake < 0 ? 0 : stake;
+
+            block.find('.odds-surebet-stake').each(function () {
+                $(this).text(OddsComparison.formatMoney(total * parseFloat($(this).data('share')) / 100));
+            });
+
+            block.find('.odds-surebet-return').each(function () {
+                const edge = parseFloat($(this).data('edge'));
+
+                $(this).text(sprintf(
+                    /* translators: 1: guaranteed return, 2: total stake */
+                    __('Guaranteed return %1$s on a %2$s stake', 'odds-comparison'),
+                    OddsComparison.formatMoney(total * (1 + edge / 100)),
+                    OddsComparison.formatMoney(total)
+                ));
+            });
+        },
+
+        /**
+         * Market label with the line, e.g. "Over/Under 2.5" or "Handicap +1.5".
+         */
+        getMarketLabel: function (item) {
+            const label = OddsComparison.getMarketLabel(item.market);
+
+            if (item.line === null || item.line === undefined) {
+                return label;
+            }
+
+            return label + ' ' + OddsLines.formatPoint(item.line, item.market === 'handicap');
+        },
+
+        /**
+         * Build a kick-off time element for KickoffTimes to fill in.
+         */
+        generateKickoffHTML: function (item) {
+            const start = new Date(item.commence_time);
+
+            if (!item.commence_time || isNaN(start.getTime())) {
+                return '';
+            }
+
+            return '<time class="event-kickoff" datetime="' + OddsHtml.escape(start.toISOString()) +
+                '" data-time-style="relative"></time>';
+        },
+
+        /**
+         * Build the surebets section, mirroring the server-side markup.
+         */
+        generateSurebetsHTML: function (surebets) {
+            let html = '<section class="odds-surebets-section"><h4>' + OddsHtml.escape(__('Surebets', 'odds-comparison')) + '</h4>';
+
+            if (surebets.length === 0) {
+                html += '<p class="odds-surebets-empty">' +
+                    OddsHtml.escape(__('No surebets right now. Prices are checked again every few minutes.', 'odds-comparison')) + '</p>';
+            }
+
+            surebets.forEach(function (surebet) {
+                html += '<article class="odds-surebet">' +
+                    '<header class="odds-surebet-header"><div>' +
+                    '<strong class="odds-surebet-event">' + OddsHtml.escape(surebet.event) + '</strong>' +
+                    '<span class="odds-surebet-meta">' +
+                    OddsHtml.escape(surebet.sport_title + ' · ' + Surebets.getMarketLabel(surebet)) + ' ' +
+                    Surebets.generateKickoffHTML(surebet) + '</span></div>' +
+                    '<span class="odds-surebet-edge">+' + OddsHtml.escape(OddsNumber.percent(parseFloat(surebet.edge))) + '</span>' +
+                    '</header>' +
+                    '<table class="odds-surebet-table"><thead><tr>' +
+                    '<th scope="col">' + OddsHtml.escape(__('Outcome', 'odds-comparison')) + '</th>' +
+                    '<th scope="col">' + OddsHtml.escape(__('Bookmaker', 'odds-comparison')) + '</th>' +
+                    '<th scope="col">' + OddsHtml.escape(__('Odds', 'odds-comparison')) + '</th>' +
+                    '<th scope="col">' + OddsHtml.escape(__('Stake', 'odds-comparison')) + '</th>' +
+                    '<th scope="col"><span class="odds-sr-only">' + OddsHtml.escape(__('Bet', 'odds-comparison')) + '</span></th>' +
+                    '</tr></thead><tbody>';
+
+                surebet.outcomes.forEach(function (outcome) {
+                    html += '<tr>' +
+                        '<th scope="row">' + OddsHtml.escape(outcome.label) + '</th>' +
+                        '<td>' + OddsHtml.escape(outcome.bookmaker) + '</td>' +
+                        '<td class="odds-surebet-price">' + OddsHtml.escape(OddsNumber.decimal(parseFloat(outcome.price))) + '</td>' +
+                        '<td class="odds-surebet-stake" data-share="' + OddsHtml.escape(outcome.stake) + '"></td>' +
+                        '<td>' + OddsComparison.generateBetLinkHTML(outcome, outcome.outcome) + '</td>' +
+                        '</tr>';
+                });
+
+                html += '</tbody></table>' +
+                    '<p class="odds-surebet-return" data-edge="' + OddsHtml.escape(surebet.edge) + '"></p>' +
+                    '</article>';
+            });
+
+            return html + '</section>';
+        },
+
+        /**
+         * Build the value bets section, mirroring the server-side markup.
+         */
+        generateValueBetsHTML: function (valueBets) {
+            let html = '<section class="odds-surebets-section"><h4>' + OddsHtml.escape(__('Value Bets', 'odds-comparison')) + '</h4>';
+
+            if (valueBets.length === 0) {
+                return html + '<p class="odds-surebets-empty">' +
+                    OddsHtml.escape(__('No value bets right now. Prices are checked again every few minutes.', 'odds-comparison')) + '</p></section>';
+            }
+
+            html += '<table class="odds-value-bets-table"><thead><tr>' +
+                '<th scope="col">' + OddsHtml.escape(__('Event', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Outcome', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Bookmaker', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Odds', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Fair Odds', 'odds-comparison')) + '</th>' +
+                '<th scope="col">' + OddsHtml.escape(__('Edge', 'odds-comparison')) + '</th>' +
+                '<th scope="col"><span class="odds-sr-only">' + OddsHtml.escape(__('Bet', 'odds-comparison')) + '</span></th>' +
+                '</tr></thead><tbody>';
+
+            valueBets.forEach(function (valueBet) {
+                html += '<tr>' +
+                    '<th scope="row">' + OddsHtml.escape(valueBet.event) +
+                    ' <span class="odds-surebet-meta">' + OddsHtml.escape(Surebets.getMarketLabel(valueBet)) + '</span></th>' +
+                    '<td>' + OddsHtml.escape(valueBet.label) + '</td>' +
+                    '<td>' + OddsHtml.escape(valueBet.bookmaker) + '</td>' +
+                    '<td class="odds-surebet-price">' + OddsHtml.escape(OddsNumber.decimal(parseFloat(valueBet.price))) + '</td>' +
+                    '<td>' + OddsHtml.escape(OddsNumber.decimal(parseFloat(valueBet.fair_price))) + '</td>' +
+                    '<td class="odds-surebet-edge">+' + OddsHtml.escape(OddsNumber.percent(parseFloat(valueBet.edge))) + '</td>' +
+                    '<td>' + OddsComparison.generateBetLinkHTML(valueBet, valueBet.outcome) + '</td>' +
+                    '</tr>';
+            });
+
+            return html + '</tbody></table></section>';
         }
     };
 
@@ -219,6 +3898,24 @@
      */
     $(document).ready(function () {
         OddsComparison.init();
+        LiveEventsFilter.init();
+        KickoffTimes.init();
+        Surebets.init();
+        Watchlist.init();
     });
 
+    // Expose the modules to the unit tests; browsers have no module object
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            OddsNumber: OddsNumber,
+            OddsConverter: OddsConverter,
+            OddsHtml: OddsHtml,
+            OddsLines: OddsLines,
+            OddsComparison: OddsComparison,
+            KickoffTimes: KickoffTimes,
+            Surebets: Surebets,
+            Watchlist: Watchlist
+        };
+    }
+
 })(jQuery);
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * Unit tests for the markup built by frontend.js.
+ *
+ * Team, bookmaker and competition names come from third-party APIs and admin
+ * input, so hostile values are fed through every renderer and the resulting
+ * markup is checked for injected elements, attributes and URLs.
+ *
+ * @package OddsComparison
+ */
+
+const jQuery = require('jquery');
+
+global.jQuery = jQuery;
+global.wp = { i18n: require('@wordpress/i18n') };
+global.oddsComparison = {
+    restUrl: '/wp-json/odds-comparison/v1/',
+    nonce: 'nonce',
+    defaultFormat: 'decimal',
+    refreshInterval: 300,
+    cacheTtl: 300,
+    cacheVersion: '1',
+    locale: 'en-US',
+    enabledMarkets: {
+        match_winner: {
+            id: 'match_winner',
+            label: 'Match Winner',
+            enabled: true,
+            outcomes: { home: 'Home', draw: 'Draw', away: 'Away' }
+        }
+    }
+};
+
+const {
+    OddsHtml,
+    OddsComparison,
+    KickoffTimes,
+    Surebets,
+    Watchlist
+} = require('../frontend');
+
+const IMG_NAME = '<img src=x onerror="alert(1)">';
+const SCRIPT_NAME = '"><script>alert(1)</script>';
+const QUOTED_NAME = 'O\'Brien "The Wall" & Sons';
+const SVG_NAME = '\'><svg onload=alert(1)>';
+const JAVASCRIPT_URL = 'javascript:alert(1)';
+
+/**
+ * Parse markup into a detached container.
+ */
+function render(html) {
+    const container = document.createElement('div');
+
+    container.innerHTML = html;
+
+    return container;
+}
+
+/**
+ * Assert that markup has no injected elements, event handlers or script URLs.
+ */
+function expectInert(container) {
+    expect(container.querySelectorAll('script, img, svg, iframe')).toHaveLength(0);
+
+    container.querySelectorAll('*').forEach(function (element) {
+        Array.prototype.forEach.call(element.attributes, function (attribute) {
+            expect(attribute.name).not.toMatch(/^on/i);
+            expect(attribute.value).not.toMatch(/^\s*javascript:/i);
+        });
+    });
+}
+
+describe('OddsHtml.escape', function () {
+    it('escapes markup characters', function () {
+        expect(OddsHtml.escape(IMG_NAME)).toBe('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+        expect(OddsHtml.escape(SCRIPT_NAME)).toBe('&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+
+    it('escapes quotes and ampersands for attributes', function () {
+        expect(OddsHtml.escape(QUOTED_NAME)).toBe('O&#39;Brien &quot;The Wall&quot; &amp; Sons');
+        expect(OddsHtml.escape('`${x}`')).toBe('&#96;${x}&#96;');
+    });
+
+    it('keeps the original text when parsed back', function () {
+        [IMG_NAME, SCRIPT_NAME, QUOTED_NAME, SVG_NAME].forEach(function (name) {
+            const container = render('<span title="' + OddsHtml.escape(name) + '">' + OddsHtml.escape(name) + '</span>');
+            const span = container.querySelector('span');
+
+            expectInert(container);
+            expect(container.children).toHaveLength(1);
+            expect(span.textContent).toBe(name);
+            expect(span.getAttribute('title')).toBe(name);
+        });
+    });
+
+    it('returns an empty string for null and undefined', function () {
+        expect(OddsHtml.escape(null)).toBe('');
+        expect(OddsHtml.escape(undefined)).toBe('');
+    });
+});
+
+describe('OddsHtml.url', function () {
+    it('blocks script and data URLs', function () {
+        [
+            JAVASCRIPT_URL,
+            ' JavaScript:alert(1)',
+            'java\tscript:alert(1)',
+            'data:text/html,<script>alert(1)</script>',
+            'vbscript:msgbox(1)',
+            ''
+        ].forEach(function (url) {
+            expect(OddsHtml.url(url)).toBe('#');
+        });
+    });
+
+    it('escapes quotes in allowed URLs', function () {
+        const url = OddsHtml.url('https://example.com/?team="><img src=x onerror=alert(1)>&ref=\'1\'');
+        const container = render('<a href="' + url + '">link</a>');
+
+        expectInert(container);
+        expect(container.children).toHaveLength(1);
+        expect(container.querySelector('a').getAttribute('href')).toMatch(/^https:\/\/example\.com\//);
+    });
+});
+
+describe('OddsComparison.generateBetLinkHTML', function () {
+    it('escapes the bookmaker name and drops script URLs', function () {
+        const container = render(OddsComparison.generateBetLinkHTML({ bookmaker: SCRIPT_NAME, url: JAVASCRIPT_URL }, 'home'));
+        const link = container.querySelector('a');
+
+        expectInert(container);
+        expect(link.getAttribute('href')).toBe('#');
+        expect(link.textContent).toContain(SCRIPT_NAME);
+    });
+
+    it('encodes the outcome and source page into the link', function () {
+        const container = render(OddsComparison.generateBetLinkHTML({ bookmaker: QUOTED_NAME, url: 'https://example.com/go' }, '"><x'));
+        const href = container.querySelector('a').getAttribute('href');
+
+        expectInert(container);
+        expect(href).toContain('outcome=%22%3E%3Cx');
+        expect(href).toContain('source=');
+    });
+
+    it('leaves the modal state in the hash out of the source page', function () {
+        window.location.hash = '#odds=event|match_winner|decimal';
+
+        const container = render(OddsComparison.generateBetLinkHTML({ bookmaker: 'Bookmaker', url: 'https://example.com/go' }, 'home'));
+        const source = new URL(container.querySelector('a').getAttribute('href')).searchParams.get('source');
+
+        expect(source).toBe(window.location.origin + window.location.pathname);
+        window.location.hash = '';
+    });
+});
+
+describe('OddsComparison.generateMarketTableHTML', function () {
+    beforeEach(function () {
+        const bookmakers = [
+            { id: SCRIPT_NAME, bookmaker: IMG_NAME, url: JAVASCRIPT_URL, odds: { home: '2.10', draw: '3.40', away: '3.60' } },
+            { id: 'quoted', bookmaker: QUOTED_NAME, url: 'https://example.com/?a="b"', odds: { home: '2.20', draw: '"><b>', away: '3.50' } }
+        ];
+
+        OddsComparison.currentEvent = { id: 'event', name: SVG_NAME, sport: 'soccer_epl' };
+        OddsComparison.currentMarket = 'match_winner';
+        OddsComparison.allBookmakers = bookmakers;
+        OddsComparison.currentBookmakers = bookmakers;
+        OddsComparison.currentLine = null;
+        OddsComparison.hiddenBookmakers = [];
+        OddsComparison.priceMovements = {};
+    });
+
+    it('renders hostile names as text', function () {
+        const container = render(OddsComparison.generateMarketTableHTML('match_winner'));
+        const names = Array.prototype.map.call(container.querySelectorAll('tbody th'), function (cell) {
+            return cell.textContent;
+        });
+
+        expectInert(container);
+        expect(container.querySelectorAll('b')).toHaveLength(0);
+        expect(names).toEqual([IMG_NAME, QUOTED_NAME]);
+        expect(container.querySelector('caption').textContent).toContain(SVG_NAME);
+    });
+
+    it('keeps hostile bookmaker IDs inside the filter checkbox value', function () {
+        const container = render(OddsComparison.generateMarketTableHTML('match_winner'));
+        const values = Array.prototype.map.call(container.querySelectorAll('.odds-bookmaker-filter input'), function (input) {
+            return input.value;
+        });
+
+        expect(values).toEqual([SCRIPT_NAME, 'quoted']);
+    });
+
+    it('never links to a script URL', function () {
+        const container = render(OddsComparison.generateMarketTableHTML('match_winner'));
+        const hrefs = Array.prototype.map.call(container.querySelectorAll('a.bet-now-btn'), function (link) {
+            return link.getAttribute('href');
+        });
+
+        expect(hrefs[0]).toBe('#');
+        expect(hrefs[1]).toMatch(/^https:\/\/example\.com\//);
+    });
+});
+
+describe('Surebets renderers', function () {
+    it('renders hostile surebets as text', function () {
+        const container = render(Surebets.generateSurebetsHTML([{
+            event: IMG_NAME,
+            sport_title: SCRIPT_NAME,
+            market: 'match_winner',
+            line: null,
+            commence_time: '"><img src=x onerror=alert(1)>',
+            edge: 2.5,
+            outcomes: [
+                { outcome: 'home', label: SVG_NAME, bookmaker: QUOTED_NAME, price: 2.1, stake: 50, url: JAVASCRIPT_URL },
+                { outcome: 'away', label: QUOTED_NAME, bookmaker: IMG_NAME, price: 2.2, stake: '"><b>', url: 'https://example.com/' }
+            ]
+        }]));
+
+        expectInert(container);
+        expect(container.querySelectorAll('b')).toHaveLength(0);
+        expect(container.querySelector('.odds-surebet-event').textContent).toBe(IMG_NAME);
+        expect(container.querySelector('.odds-surebet-meta').textContent).toContain(SCRIPT_NAME);
+        expect(container.querySelectorAll('.odds-surebet-stake')[1].getAttribute('data-share')).toBe('"><b>');
+    });
+
+    it('renders hostile value bets as text', function () {
+        const container = render(Surebets.generateValueBetsHTML([{
+            event: SCRIPT_NAME,
+            market: 'match_winner',
+            line: null,
+            label: IMG_NAME,
+            bookmaker: SVG_NAME,
+            price: 2.4,
+            fair_price: 2.1,
+            edge: 14.29,
+            outcome: '"><x',
+            url: ' javascript:alert(1)'
+        }]));
+
+        expectInert(container);
+        expect(container.querySelector('tbody th').textContent).toContain(SCRIPT_NAME);
+        expect(container.querySelector('tbody td').textContent).toBe(IMG_NAME);
+        expect(container.querySelector('a.bet-now-btn').getAttribute('href')).toBe('#');
+    });
+});
+
+describe('Watchlist renderers', function () {
+    beforeEach(function () {
+        Watchlist.items = [{
+            id: SCRIPT_NAME,
+            name: IMG_NAME,
+            sport: SVG_NAME,
+            alerts: [{ market: 'match_winner', outcome: 'home', point: null, target: 2.5, triggered: true }],
+            best: { prices: { home: { price: 2.1, bookmaker: QUOTED_NAME } } }
+        }];
+    });
+
+    it('renders hostile watched events as text', function () {
+        const container = render(Watchlist.generateListHTML(true));
+        const button = container.querySelector('.view-odds-btn');
+
+        expectInert(container);
+        expect(container.querySelector('.odds-watchlist-event strong').textContent).toBe(IMG_NAME);
+        expect(container.querySelector('.odds-watchlist-prices dd').textContent).toContain(QUOTED_NAME);
+        expect(button.getAttribute('data-event-id')).toBe(SCRIPT_NAME);
+        expect(button.getAttribute('data-event')).toBe(IMG_NAME);
+        expect(button.getAttribute('data-sport')).toBe(SVG_NAME);
+    });
+
+    it('keeps hostile event IDs inside the alert remove button', function () {
+        const container = render(Watchlist.generateAlertsHTML(Watchlist.items[0]));
+
+        expectInert(container);
+        expect(container.querySelector('.odds-alert-remove').getAttribute('data-event-id')).toBe(SCRIPT_NAME);
+    });
+});
+
+describe('Watchlist.checkIfDue', function () {
+    beforeEach(function () {
+        window.localStorage.clear();
+        jest.spyOn(Watchlist, 'check').mockImplementation(function () {});
+    });
+
+    afterEach(function () {
+        Watchlist.check.mockRestore();
+    });
+
+    it('skips the check when another tab checked within the interval', function () {
+        Watchlist.checkIfDue(300);
+        Watchlist.checkIfDue(300);
+
+        expect(Watchlist.check).toHaveBeenCalledTimes(1);
+    });
+
+    it('checks again once the interval has passed', function () {
+        window.localStorage.setItem('oddsComparison.watchlistCheckedAt', JSON.stringify(Date.now() - 300000));
+        Watchlist.checkIfDue(300);
+
+        expect(Watchlist.check).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('KickoffTimes.init', function () {
+    const RelativeTimeFormat = Intl.RelativeTimeFormat;
+
+    beforeEach(function () {
+        document.body.innerHTML = '<time class="event-kickoff" datetime="2030-01-01T15:00:00Z">1 Jan 2030, 15:00 UTC</time>';
+    });
+
+    afterEach(function () {
+        Intl.RelativeTimeFormat = RelativeTimeFormat;
+        window.clearInterval(KickoffTimes.timer);
+        document.body.innerHTML = '';
+    });
+
+    it('leaves the server-rendered time when the browser lacks relative time formats', function () {
+        delete Intl.RelativeTimeFormat;
+        KickoffTimes.init();
+
+        expect(document.querySelector('time').textContent).toBe('1 Jan 2030, 15:00 UTC');
+    });
+
+    it('renders the time in the visitor\'s locale when it can', function () {
+        KickoffTimes.init();
+
+        expect(document.querySelector('.event-kickoff-date').textContent).not.toBe('');
+    });
+});
@@ -50,6 +50,12 @@ class APIController extends WP_REST_Controller {
                         'type' => 'string',
                         'sanitize_callback' => 'sanitize_text_field',
                     ],
+                    'event_id' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
                     'market' => [
                         'required' => false,
                         'type' => 'string',
@@ -138,6 +144,14 @@ class APIController extends WP_REST_Controller {
                         'type' => 'string',
                         'sanitize_callback' => 'sanitize_text_field',
                     ],
+                    'sports' => [
+                        'required' => false,
+                        'type' => 'array',
+                        'items' => [
+                            'type' => 'string',
+                        ],
+                        'default' => [],
+                    ],
                     'limit' => [
                         'required' => false,
                         'type' => 'integer',
@@ -147,6 +161,147 @@ class APIController extends WP_REST_Controller {
             ],
         ]);
         
+        // Surebets and value bets endpoint.
+        register_rest_route($this->namespace, '/surebets', [
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_surebets'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'sports' => [
+                        'required' => false,
+                        'type' => 'array',
+                        'items' => [
+                            'type' => 'string',
+                        ],
+                        'default' => [],
+                    ],
+                    'market' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => 'match_winner',
+                        'sanitize_callback' => 'sanitize_key',
+                    ],
+                    'type' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => 'all',
+                        'enum' => ['all', 'surebets', 'value'],
+                    ],
+                    'limit' => [
+                        'required' => false,
+                        'type' => 'integer',
+                        'default' => 10,
+                        'minimum' => 1,
+                        'maximum' => 50,
+                    ],
+                ],
+            ],
+        ]);
+        
+        // Tracked bookmaker link endpoint.
+        register_rest_route($this->namespace, '/go', [
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'track_click'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'bookmaker' => [
+                        'required' => true,
+                        'type' => 'string',
+                        'sanitize_callback' => 'sanitize_title',
+                    ],
+                    'to' => [
+                        'required' => true,
+                        'type' => 'string',
+                        'sanitize_callback' => 'esc_url_raw',
+                    ],
+                    'sig' => [
+                        'required' => true,
+                        'type' => 'string',
+                        'sanitize_callback' => 'sanitize_key',
+                    ],
+                    'event' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
+                    'event_id' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
+                    'market' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_key',
+                    ],
+                    'sport' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_key',
+                    ],
+                    'outcome' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_key',
+                    ],
+                    'source' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'esc_url_raw',
+                    ],
+                ],
+            ],
+        ]);
+        
+        // Price history endpoint.
+        register_rest_route($this->namespace, '/history', [
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_history'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'event' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
+                    'event_id' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
+                    'market' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => 'match_winner',
+                        'sanitize_callback' => 'sanitize_key',
+                    ],
+                    'bookmaker' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_title',
+                    ],
+                    'line' => [
+                        'required' => false,
+                        'type' => 'string',
+                        'default' => '',
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
+                ],
+            ],
+        ]);
+        
         // Refresh odds endpoint (protected).
         register_rest_route($this->namespace, '/refresh', [
             [
@@ -182,11 +337,12 @@ class APIController extends WP_REST_Controller {
         
         try {
             $event_name = $request->get_param('event');
+            $event_id = $request->get_param('event_id') ?? '';
             $market_type = $request->get_param('market');
             $format = $request->get_param('format');
             $sport = $request->get_param('sport') ?? 'football';
             
-            error_log("API get_odds called: event={$event_name}, market={$market_type}, sport={$sport}");
+            error_log("API get_odds called: event={$event_name}, event_id={$event_id}, market={$market_type}, sport={$sport}");
             
             // Validate required parameters
             if (empty($event_name)) {
@@ -214,17 +370,14 @@ class APIController extends WP_REST_Controller {
                 );
             }
             
-            // Clear any existing cache for this request
             $cache_manager = new \OddsComparison\Core\CacheManager();
-            $cache_key = "odds_{$event_name}_{$market_type}_{$sport}";
-            $cache_manager->delete($cache_key);
-            
             $scraper = new OddsScraper();
-            // Bypass cache for modal requests to get fresh data with all bookmakers
-            $odds_data = $scraper->fetch_odds_fresh($event_name, $market_type, $sport);
+            // Served from the cache, so the upstream API is hit once per cache duration rather than once per visitor.
+            // Clearing the cache from the Tools page drops these entries and bumps the browser cache version.
+            $odds_data = $scraper->fetch_odds($event_name, $market_type, $sport, $event_id);
             
             error_log("API get_odds: Retrieved " . count($odds_data) . " bookmakers for {$event_name}");
-        
+            
             // If no odds data is returned, provide fallback data instead of error
             if (empty($odds_data)) {
                 error_log("API get_odds: No odds data found, using fallback");
@@ -242,6 +395,14 @@ class APIController extends WP_REST_Controller {
             // Filter out hidden bookmakers based on admin settings
             $odds_data = $this->filter_visible_bookmakers($odds_data);
             
+            // Apply the admin's bookmaker order and tracked affiliate links
+            $odds_data = \OddsComparison\Core\BookmakerSettings::apply($odds_data, [
+                'event' => $event_name,
+                'event_id' => $event_id,
+                'market' => $market_type,
+                'sport' => $sport,
+            ]);
+            
             // Convert odds to requested format if not decimal.
             if ($format !== 'decimal') {
                 $odds_data = $this->convert_odds_format($odds_data, 'decimal', $format);
@@ -252,14 +413,16 @@ class APIController extends WP_REST_Controller {
             return new WP_REST_Response([
                 'success' => true,
                 'event' => $event_name,
+                'event_id' => $event_id,
                 'market' => $market_type,
                 'format' => $format,
                 'sport' => $sport,
                 'odds' => $odds_data,
+                'cache_version' => $cache_manager->get_version(),
                 'timestamp' => current_time('mysql'),
             ], 200);
             
-        } catch (Exception $e) {
+        } catch (\Exception $e) {
             error_log("API get_odds error: " . $e->getMessage());
             
             // Return JSON error response instead of WP_Error
@@ -272,7 +435,7 @@ class APIController extends WP_REST_Controller {
                 'timestamp' => current_time('mysql'),
             ], 500);
             
-        } catch (Error $e) {
+        } catch (\Error $e) {
             error_log("API get_odds fatal error: " . $e->getMessage());
             
             // Return JSON error response instead of WP_Error
@@ -485,11 +648,14 @@ class APIController extends WP_REST_Controller {
      */
     public function get_live_events($request) {
         $sport = $request->get_param('sport');
+        $sports = array_map('sanitize_key', (array) $request->get_param('sports'));
         $limit = $request->get_param('limit');
         
         $scraper = new OddsScraper();
         
-        if ($sport) {
+        if (!empty($sports)) {
+            $events = $scraper->get_live_events_by_sports($sports, $limit);
+        } elseif ($sport) {
             $events = $scraper->get_live_events_by_sport($sport, $limit);
         } else {
             $events = $scraper->get_all_live_events($limit);
@@ -500,9 +666,185 @@ class APIController extends WP_REST_Controller {
             'events' => $events,
             'count' => count($events),
             'sport' => $sport,
+            'sports' => $sports,
         ], 200);
     }
     
+    /**
+     * Get price history for an event and market.
+     *
+     * Returns each bookmaker's price series per outcome as [timestamp, decimal price]
+     * points, their opening and current prices, and steam moves. Totals and
+     * handicaps are returned at the requested line, or the current main line.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function get_history($request) {
+        $event_name = $request->get_param('event');
+        $event_id = $request->get_param('event_id');
+        $market_type = $request->get_param('market');
+        
+        if (empty($event_name) && empty($event_id)) {
+            return new WP_Error(
+                'missing_event',
+                __('An event name or event ID is required', 'odds-comparison'),
+                ['status' => 400]
+            );
+        }
+        
+        if (!$this->is_market_enabled($market_type)) {
+            return new WP_Error(
+                'market_disabled',
+                __('This market type is disabled', 'odds-comparison'),
+                ['status' => 403]
+            );
+        }
+        
+        $event_key = \OddsComparison\Core\OddsHistory::get_event_key($event_name, $event_id);
+        $line = '';
+        
+        if (\OddsComparison\Core\OddsLines::is_lined_market($market_type)) {
+            $line = $request->get_param('line');
+            
+            if ($line === '') {
+                $line = \OddsComparison\Core\OddsHistory::get_latest_line($event_key, $market_type);
+            } else {
+                $line = \OddsComparison\Core\OddsLines::get_line_key($line);
+            }
+        }
+        
+        $series = \OddsComparison\Core\OddsHistory::get_series($event_key, $market_type, $request->get_param('bookmaker'), $line);
+        $visibility = get_option('odds_comparison_bookmaker_visibility', []);
+        
+        // Hidden bookmakers stay out of the charts too
+        foreach (array_keys($series) as $bookmaker_id) {
+            if (isset($visibility[$bookmaker_id]) && !$visibility[$bookmaker_id]) {
+                unset($series[$bookmaker_id]);
+            }
+        }
+        
+        return new WP_REST_Response([
+            'success' => true,
+            'event' => $event_name,
+            'event_id' => $event_id,
+            'market' => $market_type,
+            'line' => $line,
+            'series' => $series,
+            'summary' => \OddsComparison\Core\OddsHistory::get_summary($series),
+            'steam_moves' => \OddsComparison\Core\OddsHistory::get_steam_moves($series),
+            'timestamp' => time(),
+        ], 200);
+    }
+    
+    /**
+     * Get surebets and value bets across bookmakers.
+     *
+     * Only results whose edge meets the minimum edge setting are returned.
+     * Stake shares are percentages of the total stake.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function get_surebets($request) {
+        $sports = array_values(array_filter(array_map('sanitize_key', (array) $request->get_param('sports'))));
+        $market_type = $request->get_param('market');
+        $type = $request->get_param('type');
+        $limit = (int) $request->get_param('limit');
+        
+        if (!\OddsComparison\Core\ArbitrageDetector::supports_market($market_type) || !$this->is_market_enabled($market_type)) {
+            return new WP_Error(
+                'market_unsupported',
+                __('Surebets are not available for this market type', 'odds-comparison'),
+                ['status' => 400]
+            );
+        }
+        
+        if (empty($sports)) {
+            $sports = ['soccer_epl'];
+        } else {
+            // Every unknown key would cost a fresh upstream request, so only active sports are scanned
+            $scraper = new OddsScraper();
+            $active_sports = [];
+            
+            foreach ($scraper->get_all_sports() as $sport) {
+                if (!empty($sport['active']) && !empty($sport['key'])) {
+                    $active_sports[] = $sport['key'];
+                }
+            }
+            
+            $unknown_sports = array_diff($sports, $active_sports);
+            
+            if (!empty($unknown_sports)) {
+                return new WP_Error(
+                    'invalid_sports',
+                    /* translators: %s: comma-separated sport keys */
+                    sprintf(__('Unknown or inactive sports: %s', 'odds-comparison'), implode(', ', $unknown_sports)),
+                    ['status' => 400]
+                );
+            }
+        }
+        
+        $detector = new \OddsComparison\Core\ArbitrageDetector();
+        $results = $detector->scan($sports, $market_type);
+        
+        return new WP_REST_Response([
+            'success' => true,
+            'market' => $market_type,
+            'sports' => $sports,
+            'min_edge' => \OddsComparison\Core\ArbitrageDetector::get_min_edge(),
+            'surebets' => $type === 'value' ? [] : array_slice($results['surebets'], 0, $limit),
+            'value_bets' => $type === 'surebets' ? [] : array_slice($results['value_bets'], 0, $limit),
+            'timestamp' => current_time('mysql'),
+        ], 200);
+    }
+    
+    /**
+     * Record a bookmaker link click and redirect to the bookmaker.
+     *
+     * The source page comes from the "source" parameter, falling back to the
+     * referer. Only pages on this site are recorded.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Redirect response or error.
+     */
+    public function track_click($request) {
+        $bookmaker_id = $request->get_param('bookmaker');
+        $url = $request->get_param('to');
+        
+        if (empty($url) || !\OddsComparison\Core\ClickTracker::verify($bookmaker_id, $url, $request->get_param('sig'))) {
+            return new WP_Error(
+                'invalid_link',
+                __('This bookmaker link is invalid or has expired.', 'odds-comparison'),
+                ['status' => 400]
+            );
+        }
+        
+        $context = [
+            'event' => $request->get_param('event'),
+            'event_id' => $request->get_param('event_id'),
+            'market' => $request->get_param('market'),
+            'sport' => $request->get_param('sport'),
+            'outcome' => $request->get_param('outcome'),
+        ];
+        
+        $source = $request->get_param('source') ?: esc_url_raw((string) wp_get_raw_referer());
+        // Drop the fragment (the open modal's state) so each page is counted once
+        $source = explode('#', (string) $source)[0];
+        
+        \OddsComparison\Core\ClickTracker::log_click(array_merge($context, [
+            'bookmaker' => $bookmaker_id,
+            'source' => wp_validate_redirect($source, ''),
+        ]));
+        
+        $response = new WP_REST_Response(null, 302);
+        $response->header('Location', \OddsComparison\Core\BookmakerSettings::build_link($bookmaker_id, $url, $context));
+        $response->header('Cache-Control', 'no-store');
+        $response->header('X-Robots-Tag', 'noindex, nofollow');
+        
+        return $response;
+    }
+    
     /**
      * Check if user has admin permissions.
      *
@@ -529,8 +871,19 @@ class APIController extends WP_REST_Controller {
                         $odds_value = OddsConverter::convert($odds_value, $from_format, $to_format);
                     }
                 }
+                unset($odds_value);
+            }
+            
+            // Alternate lines of totals and handicaps
+            foreach ($bookmaker_data['lines'] ?? [] as $index => $line) {
+                foreach ($line['odds'] as $outcome => $odds_value) {
+                    if (is_numeric($odds_value)) {
+                        $bookmaker_data['lines'][$index]['odds'][$outcome] = OddsConverter::convert($odds_value, $from_format, $to_format);
+                    }
+                }
             }
         }
+        unset($bookmaker_data);
         
         return $odds_data;
     }
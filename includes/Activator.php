@@ -59,6 +59,9 @@ class Activator {
         
         require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
         dbDelta($sql);
+        
+        Core\ClickTracker::create_table();
+        Core\OddsHistory::create_table();
     }
     
     /**
@@ -142,6 +145,7 @@ class Activator {
             'odds_comparison_default_market' => '',
             'odds_comparison_cache_duration' => 300, // 5 minutes
             'odds_comparison_update_frequency' => 'five_minutes',
+            'odds_comparison_min_edge' => 1,
         ];
         
         foreach ($default_options as $option_name => $option_value) {
@@ -43,6 +43,8 @@ class AdminController {
         add_action('admin_init', [$this->settings_page, 'register_settings']);
         add_action('wp_ajax_odds_comparison_clear_cache', [$this, 'ajax_clear_cache']);
         add_action('wp_ajax_odds_comparison_test_scraper', [$this, 'ajax_test_scraper']);
+        add_action('wp_ajax_odds_comparison_inspect_event', [$this, 'ajax_inspect_event']);
+        add_action('wp_ajax_odds_comparison_save_bookmakers', [$this, 'ajax_save_bookmakers']);
         add_action('wp_ajax_get_admin_bookmakers', [$this, 'ajax_get_admin_bookmakers']);
         add_action('wp_ajax_nopriv_get_admin_bookmakers', [$this, 'ajax_get_admin_bookmakers']);
         add_action('init', [$this, 'load_generated_scrapers']);
@@ -95,6 +97,16 @@ class AdminController {
             [$this, 'render_markets_page']
         );
         
+        // Clicks report submenu.
+        add_submenu_page(
+            'odds-comparison',
+            __('Clicks', 'odds-comparison'),
+            __('Clicks', 'odds-comparison'),
+            'manage_odds_comparison',
+            'odds-comparison-clicks',
+            [$this, 'render_clicks_page']
+        );
+        
         // Tools submenu.
         add_submenu_page(
             'odds-comparison',
@@ -125,6 +137,15 @@ class AdminController {
         require_once ODDS_COMPARISON_PLUGIN_DIR . 'includes/Admin/views/markets-page.php';
     }
     
+    /**
+     * Render clicks report page.
+     *
+     * @return void
+     */
+    public function render_clicks_page() {
+        require_once ODDS_COMPARISON_PLUGIN_DIR . 'includes/Admin/views/clicks-page.php';
+    }
+    
     /**
      * Render tools page.
      *
@@ -230,6 +251,151 @@ class AdminController {
         }
     }
 
+    /**
+     * AJAX handler for saving bookmaker visibility, order and affiliate links.
+     *
+     * Bookmakers are posted in display order. Nothing is saved if any
+     * affiliate URL, deep-link template or tracking parameters are invalid.
+     *
+     * @return void
+     */
+    public function ajax_save_bookmakers() {
+        check_ajax_referer('odds_comparison_nonce', 'nonce');
+        
+        if (!current_user_can('manage_odds_comparison')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'odds-comparison')]);
+        }
+        
+        $bookmakers = isset($_POST['bookmakers']) && is_array($_POST['bookmakers']) ? wp_unslash($_POST['bookmakers']) : [];
+        $default_tracking = isset($_POST['default_tracking']) && is_string($_POST['default_tracking']) ? wp_unslash($_POST['default_tracking']) : '';
+        // sanitize_tracking() decodes and re-encodes each value, so percent-encoding survives
+        $default_tracking = \OddsComparison\Core\BookmakerSettings::sanitize_tracking($default_tracking);
+        
+        $visibility = [];
+        $order = [];
+        $affiliates = [];
+        $templates = [];
+        $tracking = [];
+        $errors = [];
+        
+        if ($default_tracking === false) {
+            $errors['default'] = __('Tracking parameters must look like utm_source=site&ref=123', 'odds-comparison');
+        }
+        
+        foreach ($bookmakers as $bookmaker) {
+            if (!is_array($bookmaker)) {
+                continue;
+            }
+            
+            // Anything but a string (e.g. a posted array) is treated as empty
+            $bookmaker = array_map(function($value) {
+                return is_string($value) ? $value : '';
+            }, $bookmaker);
+            $bookmaker_id = sanitize_title($bookmaker['id'] ?? '');
+            
+            if ($bookmaker_id === '') {
+                continue;
+            }
+            
+            $affiliate_url = trim($bookmaker['affiliate_url'] ?? '');
+            $template = trim($bookmaker['link_template'] ?? '');
+            $params = \OddsComparison\Core\BookmakerSettings::sanitize_tracking($bookmaker['tracking'] ?? '');
+            
+            if (!\OddsComparison\Core\BookmakerSettings::is_valid_affiliate_url($affiliate_url)) {
+                $errors[$bookmaker_id] = __('Affiliate URL must be a full http(s) URL', 'odds-comparison');
+            } elseif (!\OddsComparison\Core\BookmakerSettings::is_valid_link_template($template)) {
+                $errors[$bookmaker_id] = __('Deep-link template must be a full http(s) URL', 'odds-comparison');
+            } elseif ($params === false) {
+                $errors[$bookmaker_id] = __('Tracking parameters must look like utm_source=site&ref=123', 'odds-comparison');
+            }
+            
+            $order[] = $bookmaker_id;
+            $visibility[$bookmaker_id] = !empty($bookmaker['visible']) && $bookmaker['visible'] !== 'false';
+            
+            if ($affiliate_url !== '') {
+                $affiliates[$bookmaker_id] = esc_url_raw($affiliate_url);
+            }
+            
+            if ($template !== '') {
+                $templates[$bookmaker_id] = \OddsComparison\Core\BookmakerSettings::sanitize_link_template($template);
+            }
+            
+            if (!empty($params)) {
+                $tracking[$bookmaker_id] = $params;
+            }
+        }
+        
+        if (!empty($errors)) {
+            wp_send_json_error([
+                'message' => __('Some bookmaker links are invalid. Nothing was saved.', 'odds-comparison'),
+                'errors' => $errors,
+            ]);
+        }
+        
+        update_option('odds_comparison_bookmaker_visibility', $visibility);
+        update_option('odds_comparison_bookmaker_order', $order);
+        update_option('odds_comparison_bookmaker_affiliates', $affiliates);
+        update_option('odds_comparison_bookmaker_link_templates', $templates);
+        update_option('odds_comparison_bookmaker_tracking', $tracking);
+        update_option('odds_comparison_default_affiliate_tracking', $default_tracking);
+        
+        wp_send_json_success(['message' => __('Bookmaker settings saved successfully!', 'odds-comparison')]);
+    }
+    
+    /**
+     * AJAX handler for inspecting the odds of one event.
+     *
+     * Fetches each requested market without cache and reports what every
+     * bookmaker returned and how long the fetch took.
+     *
+     * @return void
+     */
+    public function ajax_inspect_event() {
+        check_ajax_referer('odds_comparison_nonce', 'nonce');
+        
+        if (!current_user_can('manage_odds_comparison')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'odds-comparison')]);
+        }
+        
+        $event_name = sanitize_text_field(wp_unslash($_POST['event'] ?? ''));
+        $event_id = sanitize_text_field(wp_unslash($_POST['event_id'] ?? ''));
+        $sport = sanitize_text_field(wp_unslash($_POST['sport'] ?? ''));
+        $markets = array_map('sanitize_key', (array) ($_POST['markets'] ?? []));
+        
+        if (empty($event_name) || empty($markets)) {
+            wp_send_json_error(['message' => __('Pick an event and at least one market', 'odds-comparison')]);
+        }
+        
+        $scraper = new \OddsComparison\Core\OddsScraper();
+        $results = [];
+        
+        foreach ($markets as $market_type) {
+            $started = microtime(true);
+            
+            try {
+                $odds = $scraper->fetch_odds_fresh($event_name, $market_type, $sport, $event_id);
+                $error = '';
+            } catch (\Exception $e) {
+                $odds = [];
+                $error = $e->getMessage();
+            }
+            
+            $results[$market_type] = [
+                'duration_ms' => round((microtime(true) - $started) * 1000),
+                'odds' => is_array($odds) ? $odds : [],
+                'error' => $error,
+            ];
+        }
+        
+        wp_send_json_success([
+            'event' => $event_name,
+            'event_id' => $event_id,
+            'sport' => $sport,
+            'markets' => $results,
+            'fetched_at' => current_time('mysql'),
+        ]);
+    }
+
     /**
      * AJAX handler for getting admin bookmakers.
      */
@@ -311,311 +311,8 @@ class BookmakerManager {
      * @return void
      */
     public function bookmakers_page() {
-        // Get bookmaker visibility settings
-        $bookmaker_visibility = get_option('odds_comparison_bookmaker_visibility', []);
-        
-        // Handle form submission
-        if (isset($_POST['submit']) && wp_verify_nonce($_POST['_wpnonce'], 'odds_comparison_bookmaker_visibility')) {
-            $this->save_bookmaker_visibility_settings();
-            $bookmaker_visibility = get_option('odds_comparison_bookmaker_visibility', []);
-        }
-        
-        // Get API bookmakers
-        $api_bookmakers = $this->get_api_bookmakers();
-        
-        ?>
-        <div class="wrap">
-            <h1><?php esc_html_e('Bookmaker List', 'odds-comparison'); ?></h1>
-            <p class="description">
-                <?php esc_html_e('All bookmakers from The Odds API. Click to hide/show them on your website.', 'odds-comparison'); ?>
-            </p>
-            
-            <?php if (empty($api_bookmakers)): ?>
-                <div class="notice notice-warning">
-                    <p><?php esc_html_e('No bookmakers available from API. Please check your API connection in Settings.', 'odds-comparison'); ?></p>
-                </div>
-            <?php else: ?>
-                <form method="post" id="bookmaker-list-form">
-                    <?php wp_nonce_field('odds_comparison_bookmaker_visibility'); ?>
-                    
-                    <div class="bookmaker-list-container">
-                        <div class="bookmaker-controls">
-                            <button type="button" class="button" id="show-all-bookmakers">
-                                <?php esc_html_e('Show All', 'odds-comparison'); ?>
-                            </button>
-                            <button type="button" class="button" id="hide-all-bookmakers">
-                                <?php esc_html_e('Hide All', 'odds-comparison'); ?>
-                            </button>
-                            <span class="bookmaker-count">
-                                <?php printf(esc_html__('%d bookmakers from API', 'odds-comparison'), count($api_bookmakers)); ?>
-                            </span>
-                        </div>
-                        
-                        <div class="bookmaker-list">
-                            <?php foreach ($api_bookmakers as $bookmaker): 
-                                $bookmaker_id = sanitize_title($bookmaker['title']);
-                                $is_visible = isset($bookmaker_visibility[$bookmaker_id]) ? $bookmaker_visibility[$bookmaker_id] : true;
-                            ?>
-                            <div class="bookmaker-item">
-                                <div class="bookmaker-toggle">
-                                    <label class="toggle-switch">
-                                        <input type="checkbox" 
-                                               name="bookmaker_visibility[<?php echo esc_attr($bookmaker_id); ?>]" 
-                                               value="1" 
-                                               <?php checked($is_visible); ?>
-                                               class="bookmaker-toggle-checkbox" />
-                                        <span class="toggle-slider"></span>
-                                    </label>
-                                </div>
-                                
-                                <div class="bookmaker-details">
-                                    <div class="bookmaker-name">
-                                        <strong><?php echo esc_html($bookmaker['title']); ?></strong>
-                                    </div>
-                                    <div class="bookmaker-url">
-                                        <a href="<?php echo esc_url($bookmaker['url']); ?>" target="_blank" rel="nofollow">
-                                            <?php echo esc_html($bookmaker['url']); ?>
-                                        </a>
-                                    </div>
-                                </div>
-                                
-                                <div class="bookmaker-status">
-                                    <span class="status-badge <?php echo $is_visible ? 'visible' : 'hidden'; ?>">
-                                        <?php echo $is_visible ? '✅ Visible' : '❌ Hidden'; ?>
-                                    </span>
-                                </div>
-                            </div>
-                            <?php endforeach; ?>
-                        </div>
-                        
-                        <div class="submit-section">
-                            <input type="submit" name="submit" class="button button-primary button-large" value="<?php esc_attr_e('Save Changes', 'odds-comparison'); ?>" />
-                        </div>
-                    </div>
-                </form>
-            <?php endif; ?>
-        </div>
-        
-        <style>
-        .bookmaker-list-container {
-            max-width: 1000px;
-        }
-        
-        .bookmaker-controls {
-            margin-bottom: 20px;
-            padding: 15px;
-            background: #f8f9fa;
-            border-radius: 6px;
-            border: 1px solid #e1e1e1;
-            display: flex;
-            align-items: center;
-            gap: 15px;
-        }
-        
-        .bookmaker-controls .button {
-            margin-right: 10px;
-        }
-        
-        .bookmaker-count {
-            color: #666;
-            font-size: 14px;
-        }
-        
-        .bookmaker-list {
-            background: #fff;
-            border: 1px solid #ddd;
-            border-radius: 8px;
-            overflow: hidden;
-        }
-        
-        .bookmaker-item {
-            display: flex;
-            align-items: center;
-            padding: 15px 20px;
-            border-bottom: 1px solid #e1e1e1;
-            transition: background-color 0.3s ease;
-        }
-        
-        .bookmaker-item:last-child {
-            border-bottom: none;
-        }
-        
-        .bookmaker-item:hover {
-            background: #f8f9fa;
-        }
-        
-        .bookmaker-toggle {
-            margin-right: 20px;
-        }
-        
-        .toggle-switch {
-            position: relative;
-            display: inline-block;
-            width: 50px;
-            height: 24px;
-        }
-        
-        .toggle-switch input {
-            opacity: 0;
-            width: 0;
-            height: 0;
-        }
-        
-        .toggle-slider {
-            position: absolute;
-            cursor: pointer;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background-color: #ccc;
-            transition: .4s;
-            border-radius: 24px;
-        }
-        
-        .toggle-slider:before {
-            position: absolute;
-            content: "";
-            height: 18px;
-            width: 18px;
-            left: 3px;
-            bottom: 3px;
-            background-color: white;
-            transition: .4s;
-            border-radius: 50%;
-        }
-        
-        input:checked + .toggle-slider {
-            background-color: #0073aa;
-        }
-        
-        input:checked + .toggle-slider:before {
-            transform: translateX(26px);
-        }
-        
-        .bookmaker-details {
-            flex: 1;
-        }
-        
-        .bookmaker-name {
-            font-size: 16px;
-            color: #23282d;
-            margin-bottom: 5px;
-        }
-        
-        .bookmaker-url {
-            font-size: 14px;
-        }
-        
-        .bookmaker-url a {
-            color: #0073aa;
-            text-decoration: none;
-        }
-        
-        .bookmaker-url a:hover {
-            text-decoration: underline;
-        }
-        
-        .bookmaker-status {
-            margin-left: 20px;
-        }
-        
-        .status-badge {
-            display: inline-block;
-            padding: 6px 12px;
-            border-radius: 4px;
-            font-size: 13px;
-            font-weight: 600;
-        }
-        
-        .status-badge.visible {
-            background: #d4edda;
-            color: #155724;
-            border: 1px solid #c3e6cb;
-        }
-        
-        .status-badge.hidden {
-            background: #f8d7da;
-            color: #721c24;
-            border: 1px solid #f5c6cb;
-        }
-        
-        .submit-section {
-            margin-top: 30px;
-            padding: 20px;
-            background: #f8f9fa;
-            border-radius: 6px;
-            border: 1px solid #e1e1e1;
-            text-align: center;
-        }
-        
-        .submit-section .button-large {
-            padding: 12px 24px;
-            font-size: 16px;
-        }
-        
-        @media (max-width: 768px) {
-            .bookmaker-item {
-                flex-direction: column;
-                align-items: flex-start;
-                gap: 10px;
-            }
-            
-            .bookmaker-toggle {
-                margin-right: 0;
-                margin-bottom: 10px;
-            }
-            
-            .bookmaker-status {
-                margin-left: 0;
-                align-self: flex-end;
-            }
-            
-            .bookmaker-controls {
-                flex-direction: column;
-                align-items: flex-start;
-                gap: 10px;
-            }
-        }
-        </style>
-        
-        <script>
-        jQuery(document).ready(function($) {
-            // Show all bookmakers
-            $('#show-all-bookmakers').on('click', function() {
-                $('.bookmaker-toggle-checkbox').prop('checked', true);
-                updateStatusBadges();
-            });
-            
-            // Hide all bookmakers
-            $('#hide-all-bookmakers').on('click', function() {
-                $('.bookmaker-toggle-checkbox').prop('checked', false);
-                updateStatusBadges();
-            });
-            
-            // Individual toggle change
-            $('.bookmaker-toggle-checkbox').on('change', function() {
-                updateStatusBadges();
-            });
-            
-            function updateStatusBadges() {
-                $('.bookmaker-toggle-checkbox').each(function() {
-                    var $item = $(this).closest('.bookmaker-item');
-                    var $badge = $item.find('.status-badge');
-                    
-                    if ($(this).is(':checked')) {
-                        $badge.removeClass('hidden').addClass('visible').text('✅ Visible');
-                    } else {
-                        $badge.removeClass('visible').addClass('hidden').text('❌ Hidden');
-                    }
-                });
-            }
-            
-            // Initialize status badges
-            updateStatusBadges();
-        });
-        </script>
-        <?php
+        // Same screen as Odds Comparison > Bookmakers, saved over AJAX by admin.js
+        require ODDS_COMPARISON_PLUGIN_DIR . 'includes/Admin/views/bookmakers-page.php';
     }
     
     /**
@@ -41,6 +41,11 @@ class SettingsPage {
         register_setting('odds_comparison_settings', 'odds_comparison_default_market');
         register_setting('odds_comparison_settings', 'odds_comparison_cache_duration');
         register_setting('odds_comparison_settings', 'odds_comparison_update_frequency');
+        register_setting('odds_comparison_settings', 'odds_comparison_min_edge', [
+            'type' => 'number',
+            'sanitize_callback' => [$this, 'sanitize_min_edge'],
+            'default' => 1,
+        ]);
         
         // General settings fields.
         add_settings_field(
@@ -59,6 +64,14 @@ class SettingsPage {
             'odds_comparison_general_section'
         );
         
+        add_settings_field(
+            'odds_comparison_min_edge',
+            __('Minimum Edge (%)', 'odds-comparison'),
+            [$this, 'render_min_edge_field'],
+            'odds-comparison',
+            'odds_comparison_general_section'
+        );
+        
         // Cache settings fields.
         add_settings_field(
             'odds_comparison_cache_duration',
@@ -177,6 +190,36 @@ class SettingsPage {
         <?php
     }
     
+    /**
+     * Render minimum edge field.
+     *
+     * @return void
+     */
+    public function render_min_edge_field() {
+        $value = \OddsComparison\Core\ArbitrageDetector::get_min_edge();
+        ?>
+        <input type="number" 
+               name="odds_comparison_min_edge" 
+               id="odds_comparison_min_edge" 
+               value="<?php echo esc_attr($value); ?>" 
+               min="0" 
+               max="50" 
+               step="0.1" />
+        <p class="description">
+            <?php esc_html_e('Smallest guaranteed return for a surebet, or advantage over the market consensus for a value bet, shown by the Surebets block. Default: 1%.', 'odds-comparison'); ?>
+        </p>
+        <?php
+    }
+    
+    /**
+     * Sanitize the minimum edge setting.
+     *
+     * @param mixed $value Submitted value.
+     * @return float Edge between 0 and 50 percent.
+     */
+    public function sanitize_min_edge($value) {
+        return min(50, max(0, round((float) $value, 1)));
+    }
     
     /**
      * Render cache duration field.
@@ -14,49 +14,27 @@ if (!defined('ABSPATH')) {
 // Get bookmaker visibility settings
 $bookmaker_visibility = get_option('odds_comparison_bookmaker_visibility', []);
 
-// Handle form submission
-if (isset($_POST['submit']) && wp_verify_nonce($_POST['_wpnonce'], 'odds_comparison_bookmaker_visibility')) {
-    // Get all bookmaker IDs from the form
-    $all_bookmaker_ids = [];
-    if (isset($_POST['all_bookmaker_ids']) && is_array($_POST['all_bookmaker_ids'])) {
-        $all_bookmaker_ids = array_map('sanitize_text_field', $_POST['all_bookmaker_ids']);
-    }
-    
-    // Initialize all bookmakers as hidden (false)
-    $visibility_settings = [];
-    foreach ($all_bookmaker_ids as $bookmaker_id) {
-        $visibility_settings[$bookmaker_id] = false;
-    }
-    
-    // Set checked bookmakers as visible (true)
-    if (isset($_POST['bookmaker_visibility']) && is_array($_POST['bookmaker_visibility'])) {
-        foreach ($_POST['bookmaker_visibility'] as $bookmaker_id => $value) {
-            $visibility_settings[sanitize_text_field($bookmaker_id)] = (bool) $value;
-        }
-    }
-    
-    update_option('odds_comparison_bookmaker_visibility', $visibility_settings);
-    $bookmaker_visibility = get_option('odds_comparison_bookmaker_visibility', []);
-    
-    // Debug information (remove in production)
-    $debug_info = '<div class="notice notice-info"><p><strong>Debug Info:</strong><br>';
-    $debug_info .= 'Total bookmakers: ' . count($all_bookmaker_ids) . '<br>';
-    $debug_info .= 'Checked bookmakers: ' . count($_POST['bookmaker_visibility'] ?? []) . '<br>';
-    $debug_info .= 'Settings saved: ' . (count($visibility_settings) > 0 ? 'Yes' : 'No') . '</p></div>';
-    echo $debug_info;
-    
-    echo '<div class="notice notice-success"><p>' . esc_html__('Bookmaker settings saved successfully!', 'odds-comparison') . '</p></div>';
-}
+// Affiliate settings, saved over AJAX by BookmakerEditor in admin.js
+$bookmaker_affiliates = get_option('odds_comparison_bookmaker_affiliates', []);
+$bookmaker_templates = get_option('odds_comparison_bookmaker_link_templates', []);
+$bookmaker_tracking = get_option('odds_comparison_bookmaker_tracking', []);
+$default_tracking = get_option('odds_comparison_default_affiliate_tracking', '');
 
 // Get API bookmakers using the BookmakerManager
 $bookmaker_manager = new \OddsComparison\Admin\BookmakerManager();
 $api_bookmakers = $bookmaker_manager->get_api_bookmakers();
+
+// Show bookmakers in the saved order, new ones last
+$bookmaker_positions = array_flip(\OddsComparison\Core\BookmakerSettings::get_order());
+uasort($api_bookmakers, function($a, $b) use ($bookmaker_positions) {
+    return ($bookmaker_positions[sanitize_title($a['title'])] ?? PHP_INT_MAX) <=> ($bookmaker_positions[sanitize_title($b['title'])] ?? PHP_INT_MAX);
+});
 ?>
 
 <div class="wrap">
     <h1><?php esc_html_e('Bookmaker List', 'odds-comparison'); ?></h1>
     <p class="description">
-        <?php esc_html_e('All bookmakers from The Odds API. Click to hide/show them on your website.', 'odds-comparison'); ?>
+        <?php esc_html_e('All bookmakers from The Odds API. Drag to set the order they appear in odds tables, hide the ones you don\'t want and add your affiliate links.', 'odds-comparison'); ?>
     </p>
     
     <?php if (empty($api_bookmakers)): ?>
@@ -68,8 +46,6 @@ $api_bookmakers = $bookmaker_manager->get_api_bookmakers();
         </div>
     <?php else: ?>
         <form method="post" id="bookmaker-list-form">
-            <?php wp_nonce_field('odds_comparison_bookmaker_visibility'); ?>
-            
             <div class="bookmaker-list-container">
                 <div class="bookmaker-controls">
                     <button type="button" class="button" id="show-all-bookmakers">
@@ -78,24 +54,51 @@ $api_bookmakers = $bookmaker_manager->get_api_bookmakers();
                     <button type="button" class="button" id="hide-all-bookmakers">
                         <?php esc_html_e('Hide All', 'odds-comparison'); ?>
                     </button>
+                    <button type="button" class="button" id="toggle-bulk-links">
+                        <?php esc_html_e('Bulk Edit Links', 'odds-comparison'); ?>
+                    </button>
                     <span class="bookmaker-count">
                         <?php printf(esc_html__('%d bookmakers from API', 'odds-comparison'), count($api_bookmakers)); ?>
                     </span>
                 </div>
                 
+                <div class="bookmaker-bulk-links" hidden>
+                    <label for="bulk-affiliate-links">
+                        <?php esc_html_e('One bookmaker per line: name or ID, affiliate URL and optional tracking parameters, separated by "|".', 'odds-comparison'); ?>
+                    </label>
+                    <textarea id="bulk-affiliate-links" rows="6" class="large-text code" placeholder="Bet365 | https://www.bet365.com/aff?id=123 | utm_source=mysite"></textarea>
+                    <button type="button" class="button" id="apply-bulk-links">
+                        <?php esc_html_e('Apply to List', 'odds-comparison'); ?>
+                    </button>
+                    <span class="bulk-links-result"></span>
+                </div>
+                
+                <div class="bookmaker-default-tracking">
+                    <label for="default-affiliate-tracking">
+                        <strong><?php esc_html_e('Default tracking parameters', 'odds-comparison'); ?></strong>
+                    </label>
+                    <input type="text" id="default-affiliate-tracking" class="regular-text code" value="<?php echo esc_attr($default_tracking); ?>" placeholder="utm_source=mysite&amp;utm_medium=odds" />
+                    <p class="description"><?php esc_html_e('Added to every bookmaker link that has no tracking parameters of its own.', 'odds-comparison'); ?></p>
+                    <p class="field-error" data-error-for="default"></p>
+                    <p class="description">
+                        <?php esc_html_e('Deep-link templates send visitors straight to the event on the bookmaker\'s site. Available placeholders:', 'odds-comparison'); ?>
+                        <?php foreach (\OddsComparison\Core\BookmakerSettings::get_template_placeholders() as $placeholder => $description) : ?>
+                            <code title="<?php echo esc_attr($description); ?>"><?php echo esc_html($placeholder); ?></code>
+                        <?php endforeach; ?>
+                    </p>
+                </div>
+                
                 <div class="bookmaker-list">
                     <?php foreach ($api_bookmakers as $bookmaker): 
                         $bookmaker_id = sanitize_title($bookmaker['title']);
                         $is_visible = isset($bookmaker_visibility[$bookmaker_id]) ? $bookmaker_visibility[$bookmaker_id] : true;
                     ?>
-                    <!-- Hidden input to track all bookmaker IDs -->
-                    <input type="hidden" name="all_bookmaker_ids[]" value="<?php echo esc_attr($bookmaker_id); ?>" />
-                    
-                    <div class="bookmaker-item">
+                    <div class="bookmaker-item" data-bookmaker-id="<?php echo esc_attr($bookmaker_id); ?>" data-bookmaker-name="<?php echo esc_attr($bookmaker['title']); ?>" data-bookmaker-url="<?php echo esc_attr($bookmaker['url']); ?>">
+                        <span class="bookmaker-drag-handle dashicons dashicons-menu" title="<?php esc_attr_e('Drag to reorder', 'odds-comparison'); ?>"></span>
+                        
                         <div class="bookmaker-toggle">
                             <label class="toggle-switch">
                                 <input type="checkbox" 
-                                       name="bookmaker_visibility[<?php echo esc_attr($bookmaker_id); ?>]" 
                                        value="1" 
                                        <?php checked($is_visible); ?>
                                        class="bookmaker-toggle-checkbox" />
@@ -112,6 +115,12 @@ $api_bookmakers = $bookmaker_manager->get_api_bookmakers();
                                     <?php echo esc_html($bookmaker['url']); ?>
                                 </a>
                             </div>
+                            <div class="bookmaker-links">
+                                <input type="url" class="bookmaker-affiliate-url" value="<?php echo esc_attr($bookmaker_affiliates[$bookmaker_id] ?? ''); ?>" placeholder="<?php esc_attr_e('Affiliate URL', 'odds-comparison'); ?>" />
+                                <input type="text" class="bookmaker-link-template code" value="<?php echo esc_attr($bookmaker_templates[$bookmaker_id] ?? ''); ?>" placeholder="<?php esc_attr_e('Deep-link template, e.g. https://example.com/bet?event={event}', 'odds-comparison'); ?>" />
+                                <input type="text" class="bookmaker-tracking code" value="<?php echo esc_attr($bookmaker_tracking[$bookmaker_id] ?? ''); ?>" placeholder="<?php esc_attr_e('Tracking parameters', 'odds-comparison'); ?>" />
+                            </div>
+                            <p class="field-error" data-error-for="<?php echo esc_attr($bookmaker_id); ?>"></p>
                         </div>
                         
                         <div class="bookmaker-status">
@@ -123,8 +132,18 @@ $api_bookmakers = $bookmaker_manager->get_api_bookmakers();
                     <?php endforeach; ?>
                 </div>
                 
+                <div class="bookmaker-preview">
+                    <h2><?php esc_html_e('Preview', 'odds-comparison'); ?></h2>
+                    <p class="description"><?php esc_html_e('Sample odds table with the current visibility, order and links. Prices are illustrative and deep links use a sample event. On the site, links go through the click-tracking redirect first.', 'odds-comparison'); ?></p>
+                    <div class="bookmaker-preview-table"></div>
+                </div>
+                
                 <div class="submit-section">
-                    <input type="submit" name="submit" class="button button-primary button-large" value="<?php esc_attr_e('Save Changes', 'odds-comparison'); ?>" />
+                    <button type="submit" class="button button-primary button-large" id="save-bookmakers">
+                        <?php esc_html_e('Save Changes', 'odds-comparison'); ?>
+                    </button>
+                    <span class="spinner"></span>
+                    <div id="bookmaker-save-result" class="bookmaker-save-result"></div>
                 </div>
             </div>
         </form>
@@ -193,6 +212,84 @@ $api_bookmakers = $bookmaker_manager->get_api_bookmakers();
     margin-right: 20px;
 }
 
+.bookmaker-drag-handle {
+    margin-right: 15px;
+    color: #8c8f94;
+    cursor: move;
+}
+
+.bookmaker-item.ui-sortable-helper {
+    background: #fff;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+}
+
+.bookmaker-item.bookmaker-placeholder {
+    height: 60px;
+    background: #f0f6fc;
+    border: 2px dashed #72aee6;
+}
+
+.bookmaker-links {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    margin-top: 8px;
+}
+
+.bookmaker-links input {
+    flex: 1 1 220px;
+}
+
+.bookmaker-links input.invalid,
+.bookmaker-default-tracking input.invalid {
+    border-color: #d63638;
+}
+
+.field-error {
+    margin: 5px 0 0;
+    color: #d63638;
+}
+
+.field-error:empty {
+    display: none;
+}
+
+.bookmaker-bulk-links,
+.bookmaker-default-tracking,
+.bookmaker-preview {
+    margin-bottom: 20px;
+    padding: 15px;
+    background: #fff;
+    border: 1px solid #ddd;
+    border-radius: 6px;
+}
+
+.bookmaker-bulk-links textarea {
+    margin: 8px 0;
+}
+
+.bookmaker-preview {
+    margin-top: 20px;
+}
+
+.bookmaker-preview h2 {
+    margin-top: 0;
+}
+
+.bookmaker-preview-table td.best-odds {
+    background: #d4edda;
+    font-weight: 600;
+}
+
+.bookmaker-preview-table .preview-link {
+    word-break: break-all;
+    font-size: 12px;
+}
+
+.bookmaker-save-result {
+    margin-top: 15px;
+}
+
 .toggle-switch {
     position: relative;
     display: inline-block;
@@ -323,72 +420,3 @@ input:checked + .toggle-slider:before {
     }
 }
 </style>
-
-<script>
-jQuery(document).ready(function($) {
-    // Show all bookmakers
-    $('#show-all-bookmakers').on('click', function() {
-        $('.bookmaker-toggle-checkbox').prop('checked', true);
-        updateStatusBadges();
-        saveAllBookmakerSettings();
-    });
-    
-    // Hide all bookmakers
-    $('#hide-all-bookmakers').on('click', function() {
-        $('.bookmaker-toggle-checkbox').prop('checked', false);
-        updateStatusBadges();
-        saveAllBookmakerSettings();
-    });
-    
-    // Individual toggle change - Simple form submission approach
-    $('.bookmaker-toggle-checkbox').on('change', function() {
-        var $checkbox = $(this);
-        var $form = $checkbox.closest('form');
-        
-        // Submit form when toggle changes
-        
-        // Update status badge immediately for visual feedback
-        updateStatusBadges();
-        
-        // Add loading state
-        var $item = $checkbox.closest('.bookmaker-item');
-        $item.addClass('updating');
-        
-        // Submit the form
-        $form.submit();
-    });
-    
-    
-    function updateStatusBadges() {
-        $('.bookmaker-toggle-checkbox').each(function() {
-            var $item = $(this).closest('.bookmaker-item');
-            var $badge = $item.find('.status-badge');
-            
-            if ($(this).is(':checked')) {
-                $badge.removeClass('hidden').addClass('visible').text('✅ Visible');
-            } else {
-                $badge.removeClass('visible').addClass('hidden').text('❌ Hidden');
-            }
-        });
-    }
-    
-    function saveAllBookmakerSettings() {
-        // This function can be used to save all settings at once if needed
-        // For now, individual toggles are saved via AJAX
-    }
-    
-    // Initialize status badges
-    updateStatusBadges();
-    
-    // Add loading states
-    $('.bookmaker-toggle-checkbox').on('change', function() {
-        var $item = $(this).closest('.bookmaker-item');
-        $item.addClass('updating');
-        
-        setTimeout(function() {
-            $item.removeClass('updating');
-        }, 1000);
-    });
-});
-</script>
-
@@ -0,0 +1,180 @@
+<?php
+/**
+ * Clicks Report Page Template
+ *
+ * @package OddsComparison\Admin
+ * @since 1.0.0
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$periods = [
+    7 => __('Last 7 days', 'odds-comparison'),
+    30 => __('Last 30 days', 'odds-comparison'),
+    90 => __('Last 90 days', 'odds-comparison'),
+    0 => __('All time', 'odds-comparison'),
+];
+$days = isset($_GET['days']) ? absint($_GET['days']) : 30;
+
+if (!isset($periods[$days])) {
+    $days = 30;
+}
+
+$report = \OddsComparison\Core\ClickTracker::get_report($days);
+
+// Show bookmaker names as they appear on the Bookmakers screen
+$bookmaker_names = [];
+$bookmaker_manager = new \OddsComparison\Admin\BookmakerManager();
+foreach ($bookmaker_manager->get_api_bookmakers() as $bookmaker) {
+    $bookmaker_names[sanitize_title($bookmaker['title'])] = $bookmaker['title'];
+}
+
+$get_bookmaker_name = function($bookmaker_id) use ($bookmaker_names) {
+    return $bookmaker_names[$bookmaker_id] ?? $bookmaker_id;
+};
+$get_share = function($clicks) use ($report) {
+    return $report['total'] > 0 ? round($clicks / $report['total'] * 100, 1) . '%' : '-';
+};
+?>
+
+<div class="wrap odds-comparison-admin">
+    <h1><?php echo esc_html(get_admin_page_title()); ?></h1>
+
+    <p class="description">
+        <?php esc_html_e('Clicks on "Bet Now" links, recorded by the plugin\'s redirect before visitors leave for the bookmaker.', 'odds-comparison'); ?>
+    </p>
+
+    <form method="get" class="clicks-filter">
+        <input type="hidden" name="page" value="odds-comparison-clicks" />
+        <label for="clicks-days" class="screen-reader-text"><?php esc_html_e('Period', 'odds-comparison'); ?></label>
+        <select name="days" id="clicks-days">
+            <?php foreach ($periods as $value => $label) : ?>
+                <option value="<?php echo esc_attr($value); ?>" <?php selected($days, $value); ?>><?php echo esc_html($label); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <button type="submit" class="button"><?php esc_html_e('Filter', 'odds-comparison'); ?></button>
+        <strong class="clicks-total">
+            <?php
+            /* translators: %s: number of clicks */
+            printf(esc_html__('%s clicks', 'odds-comparison'), esc_html(number_format_i18n($report['total'])));
+            ?>
+        </strong>
+    </form>
+
+    <?php if ($report['total'] === 0) : ?>
+        <div class="notice notice-info inline">
+            <p><?php esc_html_e('No clicks recorded for this period yet.', 'odds-comparison'); ?></p>
+        </div>
+    <?php else : ?>
+        <div class="odds-comparison-clicks">
+            <div class="tool-box">
+                <h2><?php esc_html_e('By Bookmaker', 'odds-comparison'); ?></h2>
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('Bookmaker', 'odds-comparison'); ?></th>
+                            <th class="num"><?php esc_html_e('Clicks', 'odds-comparison'); ?></th>
+                            <th class="num"><?php esc_html_e('Share', 'odds-comparison'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($report['bookmakers'] as $row) : ?>
+                        <tr>
+                            <td><?php echo esc_html($get_bookmaker_name($row['bookmaker'])); ?></td>
+                            <td class="num"><?php echo esc_html(number_format_i18n($row['clicks'])); ?></td>
+                            <td class="num"><?php echo esc_html($get_share($row['clicks'])); ?></td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="tool-box">
+                <h2><?php esc_html_e('By Page', 'odds-comparison'); ?></h2>
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('Page', 'odds-comparison'); ?></th>
+                            <th class="num"><?php esc_html_e('Clicks', 'odds-comparison'); ?></th>
+                            <th class="num"><?php esc_html_e('Share', 'odds-comparison'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($report['pages'] as $row) : ?>
+                        <tr>
+                            <td>
+                                <?php if ($row['source_url']) : ?>
+                                    <a href="<?php echo esc_url($row['source_url']); ?>" target="_blank"><?php echo esc_html(wp_make_link_relative($row['source_url'])); ?></a>
+                                <?php else : ?>
+                                    <em><?php esc_html_e('Unknown', 'odds-comparison'); ?></em>
+                                <?php endif; ?>
+                            </td>
+                            <td class="num"><?php echo esc_html(number_format_i18n($row['clicks'])); ?></td>
+                            <td class="num"><?php echo esc_html($get_share($row['clicks'])); ?></td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="tool-box tool-box-wide">
+                <h2><?php esc_html_e('By Bookmaker and Page', 'odds-comparison'); ?></h2>
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('Bookmaker', 'odds-comparison'); ?></th>
+                            <th><?php esc_html_e('Page', 'odds-comparison'); ?></th>
+                            <th class="num"><?php esc_html_e('Clicks', 'odds-comparison'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($report['bookmaker_pages'] as $row) : ?>
+                        <tr>
+                            <td><?php echo esc_html($get_bookmaker_name($row['bookmaker'])); ?></td>
+                            <td><?php echo $row['source_url'] ? esc_html(wp_make_link_relative($row['source_url'])) : '<em>' . esc_html__('Unknown', 'odds-comparison') . '</em>'; ?></td>
+                            <td class="num"><?php echo esc_html(number_format_i18n($row['clicks'])); ?></td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    <?php endif; ?>
+</div>
+
+<style>
+.clicks-filter {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin: 20px 0;
+}
+
+.clicks-total {
+    margin-left: 10px;
+}
+
+.odds-comparison-clicks {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(400px, 1fr));
+    gap: 20px;
+}
+
+.odds-comparison-clicks .tool-box {
+    background: #fff;
+    border: 1px solid #ccd0d4;
+    padding: 20px;
+    box-shadow: 0 1px 1px rgba(0,0,0,.04);
+}
+
+.odds-comparison-clicks .tool-box-wide {
+    grid-column: 1 / -1;
+}
+
+.odds-comparison-clicks .num {
+    text-align: right;
+}
+</style>
@@ -40,11 +40,29 @@ if (!defined('ABSPATH')) {
             <div id="scraper-result" class="tool-result"></div>
         </div>
         
+        <div class="tool-box tool-box-wide">
+            <h2><?php esc_html_e('Event Inspector', 'odds-comparison'); ?></h2>
+            <p><?php esc_html_e('Fetch fresh odds for one event and see what each bookmaker returns per market.', 'odds-comparison'); ?></p>
+            <div class="converter-form">
+                <select id="inspector-sport">
+                    <option value=""><?php esc_html_e('Loading sports…', 'odds-comparison'); ?></option>
+                </select>
+                <select id="inspector-event" disabled>
+                    <option value=""><?php esc_html_e('Select a sport first', 'odds-comparison'); ?></option>
+                </select>
+                <button type="button" class="button" id="inspect-event-btn" disabled>
+                    <?php esc_html_e('Inspect', 'odds-comparison'); ?>
+                </button>
+                <span class="spinner"></span>
+            </div>
+            <div id="inspector-result" class="tool-result"></div>
+        </div>
+        
         <div class="tool-box">
             <h2><?php esc_html_e('Odds Converter', 'odds-comparison'); ?></h2>
             <p><?php esc_html_e('Convert odds between different formats.', 'odds-comparison'); ?></p>
             <div class="converter-form">
-                <input type="text" id="odds-input" placeholder="Enter odds value" class="regular-text" />
+                <textarea id="odds-input" rows="4" class="regular-text" placeholder="<?php esc_attr_e('Enter odds, one per line (e.g. 2.50, 6/4, +150)', 'odds-comparison'); ?>"></textarea>
                 <select id="from-format">
                     <option value="decimal"><?php esc_html_e('Decimal', 'odds-comparison'); ?></option>
                     <option value="fractional"><?php esc_html_e('Fractional', 'odds-comparison'); ?></option>
@@ -151,111 +169,34 @@ if (!defined('ABSPATH')) {
 }
 
 .converter-form input,
-.converter-form select {
+.converter-form select,
+.converter-form textarea {
     margin: 0;
 }
-</style>
 
-<script>
-jQuery(document).ready(function($) {
-    const nonce = '<?php echo wp_create_nonce('odds_comparison_nonce'); ?>';
-    
-    // Clear cache handler
-    $('#clear-cache-btn').on('click', function() {
-        const $btn = $(this);
-        const $spinner = $btn.next('.spinner');
-        const $result = $('#cache-result');
-        
-        $btn.prop('disabled', true);
-        $spinner.addClass('is-active');
-        $result.removeClass('success error').hide();
-        
-        $.ajax({
-            url: ajaxurl,
-            type: 'POST',
-            data: {
-                action: 'odds_comparison_clear_cache',
-                nonce: nonce
-            },
-            success: function(response) {
-                if (response.success) {
-                    $result.addClass('success').text(response.data.message).show();
-                } else {
-                    $result.addClass('error').text(response.data.message).show();
-                }
-            },
-            error: function() {
-                $result.addClass('error').text('<?php esc_html_e('An error occurred', 'odds-comparison'); ?>').show();
-            },
-            complete: function() {
-                $btn.prop('disabled', false);
-                $spinner.removeClass('is-active');
-            }
-        });
-    });
-    
-    // Test scraper handler
-    $('#test-scraper-btn').on('click', function() {
-        const $btn = $(this);
-        const $spinner = $btn.next('.spinner');
-        const $result = $('#scraper-result');
-        
-        $btn.prop('disabled', true);
-        $spinner.addClass('is-active');
-        $result.removeClass('success error').hide();
-        
-        $.ajax({
-            url: ajaxurl,
-            type: 'POST',
-            data: {
-                action: 'odds_comparison_test_scraper',
-                nonce: nonce
-            },
-            success: function(response) {
-                if (response.success) {
-                    $result.addClass('success')
-                        .html('<strong>' + response.data.message + '</strong><pre>' + 
-                              JSON.stringify(response.data.data, null, 2) + '</pre>')
-                        .show();
-                } else {
-                    $result.addClass('error').text(response.data.message).show();
-                }
-            },
-            error: function() {
-                $result.addClass('error').text('<?php esc_html_e('An error occurred', 'odds-comparison'); ?>').show();
-            },
-            complete: function() {
-                $btn.prop('disabled', false);
-                $spinner.removeClass('is-active');
-            }
-        });
-    });
-    
-    // Odds converter handler
-    $('#convert-odds-btn').on('click', function() {
-        const oddsValue = $('#odds-input').val();
-        const fromFormat = $('#from-format').val();
-        const toFormat = $('#to-format').val();
-        const $result = $('#converter-result');
-        
-        if (!oddsValue) {
-            $result.addClass('error').text('<?php esc_html_e('Please enter an odds value', 'odds-comparison'); ?>').show();
-            return;
-        }
-        
-        $result.removeClass('success error').hide();
-        
-        // Client-side conversion (you can also make an AJAX call for server-side conversion)
-        try {
-            let converted = oddsValue;
-            $result.addClass('success')
-                .html('<strong><?php esc_html_e('Converted:', 'odds-comparison'); ?></strong> ' + converted)
-                .show();
-        } catch (e) {
-            $result.addClass('error').text('<?php esc_html_e('Invalid odds value', 'odds-comparison'); ?>').show();
-        }
-    });
-});
-</script>
+.tool-box-wide {
+    grid-column: 1 / -1;
+}
 
+.tool-result table {
+    margin-top: 10px;
+}
+
+.tool-result .missing {
+    background: #fcf0f1;
+    color: #d63638;
+}
 
+.inspector-market {
+    margin-top: 20px;
+}
+
+.inspector-market h3 {
+    margin: 0 0 5px;
+}
+
+.inspector-market .inspector-meta {
+    margin: 0;
+    color: #646970;
+}
+</style>
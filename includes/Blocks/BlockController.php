@@ -69,6 +69,13 @@ class BlockController {
                     'type' => 'string',
                     'default' => '',
                 ],
+                'sports' => [
+                    'type' => 'array',
+                    'items' => [
+                        'type' => 'string',
+                    ],
+                    'default' => [],
+                ],
                 'limit' => [
                     'type' => 'number',
                     'default' => 10,
@@ -89,6 +96,151 @@ class BlockController {
                     'type' => 'string',
                     'default' => 'grid',
                 ],
+                'showSearch' => [
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+                'showDateFilter' => [
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+                'showSportFilter' => [
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+                'showGrouping' => [
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+                'groupBy' => [
+                    'type' => 'string',
+                    'default' => 'none',
+                    'enum' => ['none', 'competition', 'day'],
+                ],
+                'timeStyle' => [
+                    'type' => 'string',
+                    'default' => 'relative',
+                    'enum' => ['absolute', 'relative', 'countdown'],
+                ],
+            ],
+        ]);
+        
+        // Register odds table block
+        register_block_type('odds-comparison/odds-table', [
+            'api_version' => 2,
+            'editor_script' => 'odds-comparison-blocks-editor',
+            'editor_style' => 'odds-comparison-blocks-editor',
+            'render_callback' => [$this, 'render_odds_table_block'],
+            'supports' => [
+                'html' => false,
+                'align' => ['wide', 'full'],
+                'anchor' => true,
+                'customClassName' => true
+            ],
+            'attributes' => [
+                'eventName' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'eventId' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'sport' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'marketType' => [
+                    'type' => 'string',
+                    'default' => 'match_winner',
+                ],
+                'oddsFormat' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'showHeader' => [
+                    'type' => 'boolean',
+                    'default' => true,
+                ],
+                'showLastUpdated' => [
+                    'type' => 'boolean',
+                    'default' => true,
+                ],
+                'showSportType' => [
+                    'type' => 'boolean',
+                    'default' => true,
+                ],
+                'selectedBookmakers' => [
+                    'type' => 'array',
+                    'items' => [
+                        'type' => 'string',
+                    ],
+                    'default' => [],
+                ],
+            ],
+        ]);
+        
+        // Register surebets block
+        register_block_type('odds-comparison/surebets', [
+            'api_version' => 2,
+            'editor_script' => 'odds-comparison-blocks-editor',
+            'editor_style' => 'odds-comparison-blocks-editor',
+            'render_callback' => [$this, 'render_surebets_block'],
+            'supports' => [
+                'html' => false,
+                'align' => ['wide', 'full'],
+                'anchor' => true,
+                'customClassName' => true
+            ],
+            'attributes' => [
+                'sports' => [
+                    'type' => 'array',
+                    'items' => [
+                        'type' => 'string',
+                    ],
+                    'default' => [],
+                ],
+                'marketType' => [
+                    'type' => 'string',
+                    'default' => 'match_winner',
+                ],
+                'show' => [
+                    'type' => 'string',
+                    'default' => 'all',
+                    'enum' => ['all', 'surebets', 'value'],
+                ],
+                'limit' => [
+                    'type' => 'number',
+                    'default' => 10,
+                ],
+                'stake' => [
+                    'type' => 'number',
+                    'default' => 100,
+                ],
+            ],
+        ]);
+        
+        // Register watchlist block
+        register_block_type('odds-comparison/watchlist', [
+            'api_version' => 2,
+            'editor_script' => 'odds-comparison-blocks-editor',
+            'editor_style' => 'odds-comparison-blocks-editor',
+            'render_callback' => [$this, 'render_watchlist_block'],
+            'supports' => [
+                'html' => false,
+                'align' => ['wide', 'full'],
+                'anchor' => true,
+                'customClassName' => true
+            ],
+            'attributes' => [
+                'title' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'showAlerts' => [
+                    'type' => 'boolean',
+                    'default' => true,
+                ],
             ],
         ]);
     }
@@ -103,11 +255,14 @@ class BlockController {
         wp_enqueue_script(
             'odds-comparison-blocks-editor',
             ODDS_COMPARISON_PLUGIN_URL . 'assets/js/blocks.js',
-            ['wp-blocks', 'wp-element', 'wp-block-editor', 'wp-components', 'wp-i18n', 'wp-editor'],
+            ['wp-blocks', 'wp-element', 'wp-block-editor', 'wp-components', 'wp-i18n', 'wp-editor', 'wp-api-fetch', 'wp-url', 'wp-date', 'wp-server-side-render', 'wp-shortcode'],
             ODDS_COMPARISON_VERSION,
             true
         );
         
+        // Load JSON translations for the strings in blocks.js.
+        wp_set_script_translations('odds-comparison-blocks-editor', 'odds-comparison', ODDS_COMPARISON_PLUGIN_DIR . 'languages');
+        
         // Enqueue block editor styles.
         wp_enqueue_style(
             'odds-comparison-blocks-editor',
@@ -124,6 +279,14 @@ class BlockController {
             ODDS_COMPARISON_VERSION
         );
         
+        // Enqueue frontend styles so the odds table preview matches the site.
+        wp_enqueue_style(
+            'odds-comparison-frontend',
+            ODDS_COMPARISON_PLUGIN_URL . 'assets/css/frontend.css',
+            [],
+            ODDS_COMPARISON_VERSION
+        );
+        
         // Pass data to JavaScript.
         wp_localize_script('odds-comparison-blocks-editor', 'oddsComparisonData', [
             'bookmakers' => get_option('odds_comparison_bookmakers', []),
@@ -188,14 +351,153 @@ class BlockController {
         return $filtered_data;
     }
     
+    /**
+     * Keep only the bookmakers picked in the block, matched by ID or name.
+     *
+     * @param array $odds_data Odds data keyed by bookmaker ID.
+     * @param array $selected_bookmakers Selected bookmaker IDs or names. Empty keeps all.
+     * @return array Filtered odds data.
+     */
+    private function filter_selected_bookmakers($odds_data, $selected_bookmakers) {
+        if (empty($selected_bookmakers)) {
+            return $odds_data;
+        }
+        
+        $selected = array_map('sanitize_title', $selected_bookmakers);
+        
+        return array_filter($odds_data, function($bookmaker_data, $bookmaker_id) use ($selected) {
+            return in_array(sanitize_title($bookmaker_id), $selected, true) ||
+                   in_array(sanitize_title($bookmaker_data['bookmaker'] ?? ''), $selected, true);
+        }, ARRAY_FILTER_USE_BOTH);
+    }
+    
+    /**
+     * Find which bookmakers offer the best (highest decimal) price for each outcome.
+     *
+     * @param array $odds_data Odds data with decimal prices, keyed by bookmaker ID.
+     * @return array Bookmaker IDs keyed by outcome. Outcomes nobody prices are left out.
+     */
+    private function get_best_odds($odds_data) {
+        $best_prices = [];
+        $best_odds = [];
+        
+        foreach ($odds_data as $bookmaker_id => $data) {
+            foreach ($data['odds'] ?? [] as $outcome => $value) {
+                if (!is_numeric($value)) {
+                    continue;
+                }
+                
+                $value = (float) $value;
+                
+                if (!isset($best_prices[$outcome]) || $value > $best_prices[$outcome]) {
+                    $best_prices[$outcome] = $value;
+                    $best_odds[$outcome] = [$bookmaker_id];
+                } elseif ($value === $best_prices[$outcome]) {
+                    $best_odds[$outcome][] = $bookmaker_id;
+                }
+            }
+        }
+        
+        return $best_odds;
+    }
+    
+    /**
+     * Get the points of the line shown in the odds table.
+     *
+     * @param array $odds_data Odds data at a single line.
+     * @return array Outcome => point. Empty for markets without lines.
+     */
+    private function get_line_points($odds_data) {
+        foreach ($odds_data as $data) {
+            if (!empty($data['points'])) {
+                return $data['points'];
+            }
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Render the odds table block for a single event.
+     *
+     * @param array $attributes Block attributes.
+     * @return string Rendered block HTML.
+     */
+    public function render_odds_table_block($attributes) {
+        $attributes = wp_parse_args(is_array($attributes) ? $attributes : [], [
+            'eventName' => '',
+            'eventId' => '',
+            'sport' => '',
+            'marketType' => 'match_winner',
+            'oddsFormat' => '',
+            'showHeader' => true,
+            'showLastUpdated' => true,
+            'showSportType' => true,
+            'selectedBookmakers' => [],
+        ]);
+        
+        $event_name = sanitize_text_field($attributes['eventName']);
+        $market_type = sanitize_key($attributes['marketType']);
+        $format = sanitize_key($attributes['oddsFormat']) ?: get_option('odds_comparison_default_format', 'decimal');
+        
+        if (empty($event_name)) {
+            return '<div class="odds-comparison-block-placeholder">' .
+                   esc_html__('Select an event to show its odds.', 'odds-comparison') .
+                   '</div>';
+        }
+        
+        if (!$this->is_market_enabled($market_type)) {
+            return '<div class="odds-comparison-block-error">' .
+                   esc_html__('This market is disabled in the plugin settings.', 'odds-comparison') .
+                   '</div>';
+        }
+        
+        $sport = sanitize_text_field($attributes['sport']) ?: 'football';
+        $event_id = sanitize_text_field($attributes['eventId']);
+        
+        $scraper = new \OddsComparison\Core\OddsScraper();
+        $odds_data = $scraper->fetch_odds($event_name, $market_type, $sport, $event_id);
+        
+        $odds_data = $this->filter_visible_bookmakers(is_array($odds_data) ? $odds_data : []);
+        $odds_data = $this->filter_selected_bookmakers($odds_data, (array) $attributes['selectedBookmakers']);
+        $odds_data = \OddsComparison\Core\BookmakerSettings::apply($odds_data, [
+            'event' => $event_name,
+            'event_id' => $event_id,
+            'market' => $market_type,
+            'sport' => $sport,
+        ]);
+        
+        if (empty($odds_data)) {
+            return '<div class="odds-comparison-block-placeholder">' .
+                   esc_html__('No odds are available for this event yet.', 'odds-comparison') .
+                   '</div>';
+        }
+        
+        // Totals and handicaps are compared at the line most bookmakers offer
+        $odds_data = \OddsComparison\Core\OddsLines::select_line(
+            $odds_data,
+            \OddsComparison\Core\OddsLines::get_main_line($odds_data)
+        );
+        
+        // Best prices are found on decimal odds, before any format conversion
+        $best_odds = $this->get_best_odds($odds_data);
+        
+        if ($format !== 'decimal') {
+            $odds_data = $this->convert_odds_format($odds_data, $format);
+        }
+        
+        return $this->generate_odds_table_html($odds_data, $attributes, $best_odds);
+    }
+    
     /**
      * Generate HTML for odds table.
      *
      * @param array $odds_data Odds data.
      * @param array $attributes Block attributes.
+     * @param array $best_odds Bookmaker IDs with the best price keyed by outcome, to highlight.
      * @return string HTML output.
      */
-    private function generate_odds_table_html($odds_data, $attributes) {
+    private function generate_odds_table_html($odds_data, $attributes, $best_odds = []) {
         $market_type = $attributes['marketType'] ?? 'match_winner';
         $show_header = $attributes['showHeader'] ?? true;
         $show_last_updated = $attributes['showLastUpdated'] ?? true;
@@ -234,9 +536,13 @@ class BlockController {
                         <tr>
                             <th><?php esc_html_e('Bookmaker', 'odds-comparison'); ?></th>
                             <?php
-                            // Get outcome labels based on market type.
-                            $outcomes = $this->get_market_outcomes($market_type);
-                            foreach ($outcomes as $outcome) :
+                            // Get outcome labels based on market type, skipping outcomes nobody prices (e.g. no draw).
+                            $outcomes = array_filter($this->get_market_outcomes($market_type), function($key) use ($best_odds) {
+                                return empty($best_odds) || isset($best_odds[$key]);
+                            }, ARRAY_FILTER_USE_KEY);
+                            $points = $this->get_line_points($odds_data);
+                            foreach ($outcomes as $key => $outcome) :
+                                $outcome = \OddsComparison\Core\OddsLines::get_outcome_label($key, $points[$key] ?? null, $outcome);
                             ?>
                                 <th><?php echo esc_html($outcome); ?></th>
                             <?php endforeach; ?>
@@ -249,8 +555,10 @@ class BlockController {
                             <td class="bookmaker-name">
                                 <strong><?php echo esc_html($data['bookmaker']); ?></strong>
                             </td>
-                            <?php foreach ($outcomes as $key => $label) : ?>
-                            <td class="odds-value">
+                            <?php foreach ($outcomes as $key => $label) :
+                                $is_best = in_array($bookmaker_id, $best_odds[$key] ?? [], true);
+                            ?>
+                            <td class="odds-value<?php echo $is_best ? ' best-odds' : ''; ?>">
                                 <?php 
                                 $odds_value = $data['odds'][$key] ?? '-';
                                 echo esc_html($odds_value);
@@ -260,7 +568,7 @@ class BlockController {
                             <td class="bookmaker-link">
                                 <a href="<?php echo esc_url($data['url']); ?>" 
                                    target="_blank" 
-                                   rel="nofollow noopener"
+                                   rel="nofollow sponsored noopener"
                                    class="bet-now-button">
                                     <?php esc_html_e('Bet Now', 'odds-comparison'); ?>
                                 </a>
@@ -305,7 +613,7 @@ class BlockController {
      * @param string $market_type Market type.
      * @return array Outcome labels.
      */
-    private function get_market_outcomes($market_type) {
+    public function get_market_outcomes($market_type) {
         $outcomes = [
             'match_winner' => [
                 'home' => __('Home', 'odds-comparison'),
@@ -368,6 +676,7 @@ class BlockController {
             'show_sport' => 'yes',
             'show_time' => 'yes',
             'show_bookmakers' => 'yes',
+            'time_style' => 'relative',
         ], $atts, 'odds_live_events');
         
         // Get real events from API
@@ -609,6 +918,157 @@ class BlockController {
         return $events;
     }
     
+    /**
+     * Get a stable identifier for an event.
+     *
+     * Uses The Odds API event ID when present, otherwise derives one from
+     * the sport, teams and kick-off time so fallback events stay distinct.
+     *
+     * @param array $event Event data.
+     * @return string Event ID.
+     */
+    private function get_event_id($event) {
+        if (!empty($event['id'])) {
+            return (string) $event['id'];
+        }
+        
+        return md5(implode('|', [
+            $event['sport_key'] ?? '',
+            $event['home_team'] ?? '',
+            $event['away_team'] ?? '',
+            $event['commence_time'] ?? '',
+        ]));
+    }
+    
+    /**
+     * Get the data attributes the live events toolbar filters and groups a card by.
+     *
+     * @param array $event Event data.
+     * @return string Escaped HTML attributes.
+     */
+    private function get_event_card_attributes($event) {
+        $sport_key = $event['sport_key'] ?? '';
+        $commence = !empty($event['commence_time']) ? strtotime($event['commence_time']) : false;
+        
+        $attributes = [
+            'data-teams' => strtolower(($event['home_team'] ?? '') . ' ' . ($event['away_team'] ?? '')),
+            'data-sport-key' => $sport_key,
+            'data-competition' => $event['sport_title'] ?? ucwords(str_replace('_', ' ', $sport_key)),
+            'data-commence' => $commence ? gmdate('c', $commence) : '',
+        ];
+        
+        $html = '';
+        foreach ($attributes as $name => $value) {
+            $html .= ' ' . $name . '="' . esc_attr($value) . '"';
+        }
+        
+        return $html;
+    }
+    
+    /**
+     * Render an event's kick-off time.
+     *
+     * Outputs the ISO timestamp for frontend.js to show in the visitor's own
+     * locale and time zone. The UTC text is only seen without JavaScript.
+     *
+     * @param array $event Event data.
+     * @param string $time_style "absolute", "relative" (adds "in 2h", "Live" etc.) or "countdown".
+     * @return string HTML output, empty when the event has no valid time.
+     */
+    private function render_event_time($event, $time_style) {
+        $commence = !empty($event['commence_time']) ? strtotime($event['commence_time']) : false;
+        
+        if (!$commence) {
+            return '';
+        }
+        
+        if (!in_array($time_style, ['absolute', 'relative', 'countdown'], true)) {
+            $time_style = 'relative';
+        }
+        
+        return sprintf(
+            '<time class="event-kickoff" datetime="%s" data-time-style="%s">%s</time>',
+            esc_attr(gmdate('c', $commence)),
+            esc_attr($time_style),
+            esc_html(gmdate('M d, Y H:i', $commence) . ' UTC')
+        );
+    }
+    
+    /**
+     * Render the live events toolbar: team search, date and sport filters and grouping.
+     *
+     * The toolbar starts hidden and is shown by frontend.js, which does the filtering.
+     *
+     * @param array $events Events being listed.
+     * @param array $options Which controls to show (search, date, sport, grouping) and the initial group_by.
+     * @return string HTML output, empty when no control is enabled.
+     */
+    private function render_events_toolbar($events, $options) {
+        $sports = [];
+        foreach ($events as $event) {
+            if (!empty($event['sport_key'])) {
+                $sports[$event['sport_key']] = $event['sport_title'] ?? $event['sport_key'];
+            }
+        }
+        
+        // A sport filter is only useful when the list mixes sports
+        $show_sport = !empty($options['sport']) && count($sports) > 1;
+        
+        if (empty($options['search']) && empty($options['date']) && !$show_sport && empty($options['grouping'])) {
+            return '';
+        }
+        
+        $id = wp_unique_id('odds-live-events-');
+        
+        ob_start();
+        ?>
+        <form class="odds-live-events-toolbar" role="search" aria-label="<?php esc_attr_e('Filter events', 'odds-comparison'); ?>" hidden>
+            <?php if (!empty($options['search'])) : ?>
+                <label for="<?php echo esc_attr($id); ?>-search" class="odds-live-events-control">
+                    <span><?php esc_html_e('Search teams', 'odds-comparison'); ?></span>
+                    <input type="search" id="<?php echo esc_attr($id); ?>-search" name="search" placeholder="<?php esc_attr_e('e.g. Arsenal', 'odds-comparison'); ?>" />
+                </label>
+            <?php endif; ?>
+            
+            <?php if (!empty($options['date'])) : ?>
+                <label for="<?php echo esc_attr($id); ?>-date" class="odds-live-events-control">
+                    <span><?php esc_html_e('Date', 'odds-comparison'); ?></span>
+                    <select id="<?php echo esc_attr($id); ?>-date" name="date">
+                        <option value=""><?php esc_html_e('All dates', 'odds-comparison'); ?></option>
+                        <option value="today"><?php esc_html_e('Today', 'odds-comparison'); ?></option>
+                        <option value="tomorrow"><?php esc_html_e('Tomorrow', 'odds-comparison'); ?></option>
+                        <option value="weekend"><?php esc_html_e('This weekend', 'odds-comparison'); ?></option>
+                    </select>
+                </label>
+            <?php endif; ?>
+            
+            <?php if ($show_sport) : ?>
+                <label for="<?php echo esc_attr($id); ?>-sport" class="odds-live-events-control">
+                    <span><?php esc_html_e('Sport', 'odds-comparison'); ?></span>
+                    <select id="<?php echo esc_attr($id); ?>-sport" name="sport">
+                        <option value=""><?php esc_html_e('All sports', 'odds-comparison'); ?></option>
+                        <?php foreach ($sports as $sport_key => $sport_title) : ?>
+                            <option value="<?php echo esc_attr($sport_key); ?>"><?php echo esc_html($sport_title); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </label>
+            <?php endif; ?>
+            
+            <?php if (!empty($options['grouping'])) : ?>
+                <label for="<?php echo esc_attr($id); ?>-group" class="odds-live-events-control">
+                    <span><?php esc_html_e('Group by', 'odds-comparison'); ?></span>
+                    <select id="<?php echo esc_attr($id); ?>-group" name="group">
+                        <option value="none" <?php selected($options['group_by'], 'none'); ?>><?php esc_html_e('No grouping', 'odds-comparison'); ?></option>
+                        <option value="competition" <?php selected($options['group_by'], 'competition'); ?>><?php esc_html_e('Competition', 'odds-comparison'); ?></option>
+                        <option value="day" <?php selected($options['group_by'], 'day'); ?>><?php esc_html_e('Kick-off day', 'odds-comparison'); ?></option>
+                    </select>
+                </label>
+            <?php endif; ?>
+        </form>
+        <?php
+        return ob_get_clean();
+    }
+    
     /**
      * Render events HTML.
      *
@@ -628,9 +1088,10 @@ class BlockController {
                 <?php foreach ($events as $event) : 
                     $sport_display = $event['sport_title'] ?? ucwords(str_replace('_', ' ', $event['sport_key'] ?? ''));
                     $event_name = ($event['home_team'] ?? '') . ' vs ' . ($event['away_team'] ?? '');
-                    $event_time = !empty($event['commence_time']) ? date('M d, Y H:i', strtotime($event['commence_time'])) : '';
+                    $event_id = $this->get_event_id($event);
+                    $event_time = $this->render_event_time($event, $atts['time_style']);
                 ?>
-                <div class="odds-live-event-card">
+                <div class="odds-live-event-card"<?php echo $this->get_event_card_attributes($event); ?>>
                     <?php if ($atts['show_sport'] === 'yes' && !empty($sport_display)) : ?>
                         <div class="event-sport-tag"><?php echo esc_html($sport_display); ?></div>
                     <?php endif; ?>
@@ -643,8 +1104,8 @@ class BlockController {
                     
                     <?php if ($atts['show_time'] === 'yes' && !empty($event_time)) : ?>
                         <div class="event-time">
-                            <span class="time-icon">🕒</span>
-                            <?php echo esc_html($event_time); ?>
+                            <span class="time-icon" aria-hidden="true">🕒</span>
+                            <?php echo $event_time; ?>
                         </div>
                     <?php endif; ?>
                     
@@ -663,7 +1124,7 @@ class BlockController {
                         $admin_default_market = get_option('odds_comparison_default_market', 'match_winner');
                         $default_market = !empty($admin_default_market) ? $admin_default_market : 'match_winner';
                         ?>
-                        <a href="#" class="view-odds-btn" data-event="<?php echo esc_attr($event_name); ?>" data-sport="<?php echo esc_attr($event['sport_key'] ?? 'soccer_epl'); ?>" data-market="<?php echo esc_attr($default_market); ?>">
+                        <a href="#" class="view-odds-btn" data-event-id="<?php echo esc_attr($event_id); ?>" data-event="<?php echo esc_attr($event_name); ?>" data-sport="<?php echo esc_attr($event['sport_key'] ?? 'soccer_epl'); ?>" data-market="<?php echo esc_attr($default_market); ?>">
                             <?php esc_html_e('View Odds', 'odds-comparison'); ?>
                         </a>
                     </div>
@@ -710,11 +1171,264 @@ class BlockController {
             'selectedBookmakers' => [],
         ];
         
-        return '<div class="odds-comparison-block-error">' . 
-               esc_html__('This block has been removed. Please use the Live Events block instead.', 'odds-comparison') . 
-               '</div>';
+        return $this->render_odds_table_block($attributes);
+    }
+
+    /**
+     * Get the sport keys selected for a live events block.
+     *
+     * Blocks saved before multi-sport selection store a single `sport` string.
+     *
+     * @param array $attributes Block attributes.
+     * @return array Sanitized sport keys, empty for all sports.
+     */
+    private function get_block_sports($attributes) {
+        $sports = is_array($attributes['sports'] ?? null) ? $attributes['sports'] : [];
+        
+        if (empty($sports) && !empty($attributes['sport'])) {
+            $sports = [$attributes['sport']];
+        }
+        
+        return array_values(array_unique(array_filter(array_map('sanitize_key', $sports))));
     }
 
+    /**
+     * Render the surebets block on frontend.
+     *
+     * Lists surebets and value bets across bookmakers. frontend.js keeps the
+     * list up to date and recalculates stakes for the visitor's total stake.
+     *
+     * @param array $attributes Block attributes.
+     * @return string Rendered block HTML.
+     */
+    public function render_surebets_block($attributes) {
+        $attributes = wp_parse_args(is_array($attributes) ? $attributes : [], [
+            'sports' => [],
+            'marketType' => 'match_winner',
+            'show' => 'all',
+            'limit' => 10,
+            'stake' => 100,
+        ]);
+        
+        $sports = $this->get_block_sports($attributes);
+        $market_type = sanitize_key($attributes['marketType']);
+        $show = in_array($attributes['show'], ['surebets', 'value'], true) ? $attributes['show'] : 'all';
+        $limit = max(1, min(50, (int) $attributes['limit']));
+        $stake = max(1, (float) $attributes['stake']);
+        
+        if (!\OddsComparison\Core\ArbitrageDetector::supports_market($market_type) || !$this->is_market_enabled($market_type)) {
+            return '<div class="wp-block-odds-comparison-surebets"><p>' .
+                   esc_html__('Surebets are not available for this market type.', 'odds-comparison') .
+                   '</p></div>';
+        }
+        
+        if (empty($sports)) {
+            $sports = ['soccer_epl'];
+        }
+        
+        $detector = new \OddsComparison\Core\ArbitrageDetector();
+        $results = $detector->scan($sports, $market_type);
+        $titles = [
+            'all' => __('Surebets & Value Bets', 'odds-comparison'),
+            'surebets' => __('Surebets', 'odds-comparison'),
+            'value' => __('Value Bets', 'odds-comparison'),
+        ];
+        
+        ob_start();
+        ?>
+        <div class="wp-block-odds-comparison-surebets">
+            <div class="odds-surebets-block" data-sports="<?php echo esc_attr(implode(',', $sports)); ?>" data-market="<?php echo esc_attr($market_type); ?>" data-show="<?php echo esc_attr($show); ?>" data-limit="<?php echo esc_attr($limit); ?>">
+                <div class="odds-surebets-header">
+                    <h3 class="odds-surebets-title"><?php echo esc_html($titles[$show]); ?></h3>
+                    <label class="odds-surebets-stake">
+                        <?php esc_html_e('Total stake', 'odds-comparison'); ?>
+                        <input type="number" class="odds-surebets-stake-input" min="1" step="1" value="<?php echo esc_attr($stake); ?>" />
+                    </label>
+                </div>
+                <p class="odds-surebets-status" role="status" aria-live="polite">
+                    <?php
+                    /* translators: %s: minimum edge percentage */
+                    printf(esc_html__('Showing edges of %s%% or more.', 'odds-comparison'), esc_html(number_format_i18n(\OddsComparison\Core\ArbitrageDetector::get_min_edge(), 1)));
+                    ?>
+                </p>
+                <div class="odds-surebets-results">
+                    <?php if ($show !== 'value') : ?>
+                        <?php echo $this->render_surebets_html(array_slice($results['surebets'], 0, $limit), $stake); ?>
+                    <?php endif; ?>
+                    <?php if ($show !== 'surebets') : ?>
+                        <?php echo $this->render_value_bets_html(array_slice($results['value_bets'], 0, $limit)); ?>
+                    <?php endif; ?>
+                </div>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+    
+    /**
+     * Get the heading for a surebet or value bet: market label and line.
+     *
+     * @param array $item Surebet or value bet.
+     * @return string Market label, e.g. "Over/Under 2.5".
+     */
+    private function get_surebet_market_label($item) {
+        $label = $this->get_market_label($item['market']);
+        
+        if ($item['line'] === null) {
+            return $label;
+        }
+        
+        return $label . ' ' . \OddsComparison\Core\OddsLines::format_point($item['line'], $item['market'] === 'handicap');
+    }
+    
+    /**
+     * Render the surebets list with the stake for each outcome.
+     *
+     * @param array $surebets Surebets from ArbitrageDetector::scan().
+     * @param float $stake Total stake to split.
+     * @return string HTML output.
+     */
+    private function render_surebets_html($surebets, $stake) {
+        ob_start();
+        ?>
+        <section class="odds-surebets-section">
+            <h4><?php esc_html_e('Surebets', 'odds-comparison'); ?></h4>
+            <?php if (empty($surebets)) : ?>
+                <p class="odds-surebets-empty"><?php esc_html_e('No surebets right now. Prices are checked again every few minutes.', 'odds-comparison'); ?></p>
+            <?php endif; ?>
+            <?php foreach ($surebets as $surebet) : ?>
+                <article class="odds-surebet">
+                    <header class="odds-surebet-header">
+                        <div>
+                            <strong class="odds-surebet-event"><?php echo esc_html($surebet['event']); ?></strong>
+                            <span class="odds-surebet-meta">
+                                <?php echo esc_html($surebet['sport_title'] . ' · ' . $this->get_surebet_market_label($surebet)); ?>
+                                <?php echo $this->render_event_time($surebet, 'relative'); ?>
+                            </span>
+                        </div>
+                        <span class="odds-surebet-edge">+<?php echo esc_html(number_format_i18n($surebet['edge'], 2)); ?>%</span>
+                    </header>
+                    <table class="odds-surebet-table">
+                        <thead>
+                            <tr>
+                                <th scope="col"><?php esc_html_e('Outcome', 'odds-comparison'); ?></th>
+                                <th scope="col"><?php esc_html_e('Bookmaker', 'odds-comparison'); ?></th>
+                                <th scope="col"><?php esc_html_e('Odds', 'odds-comparison'); ?></th>
+                                <th scope="col"><?php esc_html_e('Stake', 'odds-comparison'); ?></th>
+                                <th scope="col"><span class="odds-sr-only"><?php esc_html_e('Bet', 'odds-comparison'); ?></span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php foreach ($surebet['outcomes'] as $outcome) : ?>
+                            <tr>
+                                <th scope="row"><?php echo esc_html($outcome['label']); ?></th>
+                                <td><?php echo esc_html($outcome['bookmaker']); ?></td>
+                                <td class="odds-surebet-price"><?php echo esc_html(number_format($outcome['price'], 2)); ?></td>
+                                <td class="odds-surebet-stake" data-share="<?php echo esc_attr($outcome['stake']); ?>"><?php echo esc_html(number_format_i18n($stake * $outcome['stake'] / 100, 2)); ?></td>
+                                <td><a href="<?php echo esc_url($outcome['url']); ?>" class="bet-now-btn" target="_blank" rel="nofollow sponsored noopener"><?php esc_html_e('Bet Now', 'odds-comparison'); ?><span class="odds-sr-only"><?php
+                                    /* translators: %s: bookmaker name */
+                                    printf(esc_html__(' with %s (opens in a new tab)', 'odds-comparison'), esc_html($outcome['bookmaker']));
+                                ?></span></a></td>
+                            </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                    <p class="odds-surebet-return" data-edge="<?php echo esc_attr($surebet['edge']); ?>">
+                        <?php
+                        /* translators: 1: guaranteed return, 2: total stake */
+                        printf(esc_html__('Guaranteed return %1$s on a %2$s stake', 'odds-comparison'), esc_html(number_format_i18n($stake * (1 + $surebet['edge'] / 100), 2)), esc_html(number_format_i18n($stake, 2)));
+                        ?>
+                    </p>
+                </article>
+            <?php endforeach; ?>
+        </section>
+        <?php
+        return ob_get_clean();
+    }
+    
+    /**
+     * Render the value bets table.
+     *
+     * @param array $value_bets Value bets from ArbitrageDetector::scan().
+     * @return string HTML output.
+     */
+    private function render_value_bets_html($value_bets) {
+        ob_start();
+        ?>
+        <section class="odds-surebets-section">
+            <h4><?php esc_html_e('Value Bets', 'odds-comparison'); ?></h4>
+            <?php if (empty($value_bets)) : ?>
+                <p class="odds-surebets-empty"><?php esc_html_e('No value bets right now. Prices are checked again every few minutes.', 'odds-comparison'); ?></p>
+            <?php else : ?>
+                <table class="odds-value-bets-table">
+                    <thead>
+                        <tr>
+                            <th scope="col"><?php esc_html_e('Event', 'odds-comparison'); ?></th>
+                            <th scope="col"><?php esc_html_e('Outcome', 'odds-comparison'); ?></th>
+                            <th scope="col"><?php esc_html_e('Bookmaker', 'odds-comparison'); ?></th>
+                            <th scope="col"><?php esc_html_e('Odds', 'odds-comparison'); ?></th>
+                            <th scope="col"><?php esc_html_e('Fair Odds', 'odds-comparison'); ?></th>
+                            <th scope="col"><?php esc_html_e('Edge', 'odds-comparison'); ?></th>
+                            <th scope="col"><span class="odds-sr-only"><?php esc_html_e('Bet', 'odds-comparison'); ?></span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($value_bets as $value_bet) : ?>
+                        <tr>
+                            <th scope="row">
+                                <?php echo esc_html($value_bet['event']); ?>
+                                <span class="odds-surebet-meta"><?php echo esc_html($this->get_surebet_market_label($value_bet)); ?></span>
+                            </th>
+                            <td><?php echo esc_html($value_bet['label']); ?></td>
+                            <td><?php echo esc_html($value_bet['bookmaker']); ?></td>
+                            <td class="odds-surebet-price"><?php echo esc_html(number_format($value_bet['price'], 2)); ?></td>
+                            <td><?php echo esc_html(number_format($value_bet['fair_price'], 2)); ?></td>
+                            <td class="odds-surebet-edge">+<?php echo esc_html(number_format_i18n($value_bet['edge'], 2)); ?>%</td>
+                            <td><a href="<?php echo esc_url($value_bet['url']); ?>" class="bet-now-btn" target="_blank" rel="nofollow sponsored noopener"><?php esc_html_e('Bet Now', 'odds-comparison'); ?><span class="odds-sr-only"><?php
+                                /* translators: %s: bookmaker name */
+                                printf(esc_html__(' with %s (opens in a new tab)', 'odds-comparison'), esc_html($value_bet['bookmaker']));
+                            ?></span></a></td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+        </section>
+        <?php
+        return ob_get_clean();
+    }
+    
+    /**
+     * Render the watchlist block on frontend.
+     *
+     * The watchlist lives in the visitor's browser, so this only renders the
+     * container and frontend.js fills it with the starred events.
+     *
+     * @param array $attributes Block attributes.
+     * @return string Rendered block HTML.
+     */
+    public function render_watchlist_block($attributes) {
+        $attributes = wp_parse_args(is_array($attributes) ? $attributes : [], [
+            'title' => '',
+            'showAlerts' => true,
+        ]);
+        
+        $title = $attributes['title'] !== '' ? $attributes['title'] : __('My Watchlist', 'odds-comparison');
+        
+        ob_start();
+        ?>
+        <div class="wp-block-odds-comparison-watchlist">
+            <div class="odds-watchlist-block" data-show-alerts="<?php echo $attributes['showAlerts'] ? '1' : '0'; ?>">
+                <h3 class="odds-watchlist-title"><?php echo esc_html($title); ?></h3>
+                <div class="odds-watchlist-list" aria-live="polite">
+                    <p class="odds-watchlist-empty"><?php esc_html_e('Star an event to follow its best price here.', 'odds-comparison'); ?></p>
+                </div>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+    
     /**
      * Render live events block on frontend.
      *
@@ -730,60 +1444,45 @@ class BlockController {
         // Set safe defaults to prevent serialization errors
         $attributes = wp_parse_args($attributes, [
             'sport' => '',
+            'sports' => [],
             'limit' => 10,
             'showSport' => true,
             'showTime' => true,
             'showBookmakers' => true,
-            'layout' => 'grid'
+            'layout' => 'grid',
+            'showSearch' => false,
+            'showDateFilter' => false,
+            'showSportFilter' => false,
+            'showGrouping' => false,
+            'groupBy' => 'none',
+            'timeStyle' => 'relative',
         ]);
         
         // Extract attributes with safe defaults
-        $sport = sanitize_text_field($attributes['sport'] ?? '');
+        $sports = $this->get_block_sports($attributes);
         $limit = max(1, min(50, (int)($attributes['limit'] ?? 10)));
         $show_sport = (bool)($attributes['showSport'] ?? true);
         $show_time = (bool)($attributes['showTime'] ?? true);
         $show_bookmakers = (bool)($attributes['showBookmakers'] ?? true);
         $layout = sanitize_text_field($attributes['layout'] ?? 'grid');
+        $group_by = in_array($attributes['groupBy'], ['competition', 'day'], true) ? $attributes['groupBy'] : 'none';
+        $time_style = sanitize_key($attributes['timeStyle']);
         
         // Get real events from API
         try {
-            $api_key = '2cc6e8796cafdd027ef8d3a4c69661fa';
-            $base_url = 'https://api.the-odds-api.com/v4';
-            
-            $events = [];
-            $sport_title = 'All Sports';
+            $scraper = new \OddsComparison\Core\OddsScraper();
+            $sport_title = 'Premier League';
             
-            if (!empty($sport)) {
-                // Get events for specific sport
-                $url = $base_url . '/sports/' . $sport . '/events/?apiKey=' . $api_key . '&status=upcoming';
-                $response = wp_remote_get($url, ['timeout' => 30]);
-                
-                if (!is_wp_error($response)) {
-                    $data = json_decode(wp_remote_retrieve_body($response), true);
-                    if (is_array($data)) {
-                        $events = array_slice($data, 0, $limit);
-                        $sport_title = ucwords(str_replace(['_', '-'], ' ', $sport));
-                    }
-                }
+            if (empty($sports)) {
+                $sports = ['soccer_epl'];
             } else {
-                // Get events for all sports
-                $url = $base_url . '/sports/soccer_epl/events/?apiKey=' . $api_key . '&status=upcoming';
-                $response = wp_remote_get($url, ['timeout' => 30]);
-                
-                if (!is_wp_error($response)) {
-                    $data = json_decode(wp_remote_retrieve_body($response), true);
-                    if (is_array($data)) {
-                        $events = array_slice($data, 0, $limit);
-                        $sport_title = 'Premier League';
-                    }
-                }
+                $sport_title = implode(', ', array_map(function($sport) {
+                    return ucwords(str_replace(['_', '-'], ' ', $sport));
+                }, $sports));
             }
             
-            // Add bookmaker count to each event
-            foreach ($events as &$event) {
-                $event['bookmaker_count'] = rand(10, 20); // Random count for display
-                $event['sport_title'] = ucwords(str_replace(['_', '-'], ' ', $event['sport_key'] ?? 'Football'));
-            }
+            // Cached per sport and sorted by kick-off time
+            $events = $scraper->get_live_events_by_sports($sports, $limit);
             
             // Fallback if no events from API
             if (empty($events)) {
@@ -823,18 +1522,32 @@ class BlockController {
                 $container_class .= ' layout-grid';
             }
             
+            $toolbar = $this->render_events_toolbar($events, [
+                'search' => (bool) $attributes['showSearch'],
+                'date' => (bool) $attributes['showDateFilter'],
+                'sport' => (bool) $attributes['showSportFilter'],
+                'grouping' => (bool) $attributes['showGrouping'],
+                'group_by' => $group_by,
+            ]);
+            $filterable = $toolbar !== '' || $group_by !== 'none';
+            
             ob_start();
             ?>
             <div class="wp-block-odds-comparison-live-events">
-                <div class="<?php echo esc_attr($container_class); ?>">
+                <div class="<?php echo esc_attr($container_class); ?>"<?php if ($filterable) : ?> data-filterable data-group-by="<?php echo esc_attr($group_by); ?>"<?php endif; ?>>
                     <h3 class="odds-live-events-title"><?php echo esc_html__('Live Events', 'odds-comparison') . ' - ' . esc_html($sport_title); ?></h3>
+                    <?php echo $toolbar; ?>
+                    <?php if ($filterable) : ?>
+                        <p class="odds-live-events-status" role="status" aria-live="polite"></p>
+                    <?php endif; ?>
                     <div class="odds-live-events-grid">
                         <?php foreach ($events as $event) : 
                             $sport_display = $event['sport_title'] ?? ucwords(str_replace('_', ' ', $event['sport_key'] ?? ''));
                             $event_name = ($event['home_team'] ?? '') . ' vs ' . ($event['away_team'] ?? '');
-                            $event_time = !empty($event['commence_time']) ? date('M d, Y H:i', strtotime($event['commence_time'])) : '';
+                            $event_id = $this->get_event_id($event);
+                            $event_time = $this->render_event_time($event, $time_style);
                         ?>
-                        <div class="odds-live-event-card">
+                        <div class="odds-live-event-card"<?php echo $this->get_event_card_attributes($event); ?>>
                             <?php if ($show_sport && !empty($sport_display)) : ?>
                                 <div class="event-sport-tag"><?php echo esc_html($sport_display); ?></div>
                             <?php endif; ?>
@@ -847,8 +1560,8 @@ class BlockController {
                             
                             <?php if ($show_time && !empty($event_time)) : ?>
                                 <div class="event-time">
-                                    <span class="time-icon">🕒</span>
-                                    <?php echo esc_html($event_time); ?>
+                                    <span class="time-icon" aria-hidden="true">🕒</span>
+                                    <?php echo $event_time; ?>
                                 </div>
                             <?php endif; ?>
                             
@@ -862,7 +1575,7 @@ class BlockController {
                             <?php endif; ?>
                             
                             <div class="event-actions">
-                                <a href="#" class="view-odds-btn" data-event="<?php echo esc_attr($event_name); ?>" data-sport="<?php echo esc_attr($event['sport_key'] ?? 'soccer_epl'); ?>" data-market="match_winner">
+                                <a href="#" class="view-odds-btn" data-event-id="<?php echo esc_attr($event_id); ?>" data-event="<?php echo esc_attr($event_name); ?>" data-sport="<?php echo esc_attr($event['sport_key'] ?? 'soccer_epl'); ?>" data-market="match_winner">
                                     <?php esc_html_e('View Odds', 'odds-comparison'); ?>
                                 </a>
                             </div>
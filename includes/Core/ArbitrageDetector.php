@@ -0,0 +1,369 @@
+<?php
+/**
+ * Arbitrage Detector Class
+ *
+ * Compares prices across bookmakers to find surebets (outcome combinations
+ * that guarantee a profit) and value bets (prices well above the consensus).
+ *
+ * @package OddsComparison\Core
+ * @since 1.0.0
+ */
+
+namespace OddsComparison\Core;
+
+/**
+ * Class ArbitrageDetector
+ *
+ * Scans The Odds API events for each sport and market and reports the
+ * surebets and value bets whose edge meets the minimum edge setting.
+ */
+class ArbitrageDetector {
+
+    /**
+     * Our market types and the matching API market keys.
+     *
+     * @var array
+     */
+    const MARKETS = [
+        'match_winner' => 'h2h',
+        'over_under' => 'totals',
+        'handicap' => 'spreads',
+        'both_teams_score' => 'btts',
+    ];
+
+    /**
+     * Fewest bookmakers pricing a market before their consensus is trusted.
+     *
+     * @var int
+     */
+    const MIN_CONSENSUS_BOOKMAKERS = 3;
+
+    /**
+     * Most sports scanned in one request, to protect the API quota.
+     *
+     * @var int
+     */
+    const MAX_SPORTS = 5;
+
+    /**
+     * The Odds API scraper.
+     *
+     * @var TheOddsAPIScraper
+     */
+    private $scraper;
+
+    /**
+     * Cache manager.
+     *
+     * @var CacheManager
+     */
+    private $cache;
+
+    /**
+     * Constructor.
+     */
+    public function __construct() {
+        $this->scraper = new TheOddsAPIScraper();
+        $this->cache = new CacheManager();
+    }
+
+    /**
+     * Get the minimum edge setting.
+     *
+     * @return float Minimum edge as a percentage.
+     */
+    public static function get_min_edge() {
+        return max(0, (float) get_option('odds_comparison_min_edge', 1));
+    }
+
+    /**
+     * Check whether a market type can be scanned.
+     *
+     * @param string $market_type Market type.
+     * @return bool True if the market is supported.
+     */
+    public static function supports_market($market_type) {
+        return isset(self::MARKETS[$market_type]);
+    }
+
+    /**
+     * Find surebets and value bets for the given sports and market.
+     *
+     * Each sport's analysis is cached for the cache duration. The minimum edge
+     * is applied afterwards so changing the setting takes effect straight away.
+     *
+     * @param array $sports Sport keys.
+     * @param string $market_type Market type.
+     * @param float|null $min_edge Minimum edge as a percentage (null = setting).
+     * @return array Results with surebets and value_bets, best edge first.
+     */
+    public function scan($sports, $market_type = 'match_winner', $min_edge = null) {
+        $min_edge = $min_edge ?? self::get_min_edge();
+        $results = [
+            'surebets' => [],
+            'value_bets' => [],
+        ];
+
+        if (!self::supports_market($market_type)) {
+            return $results;
+        }
+
+        foreach (array_slice($sports, 0, self::MAX_SPORTS) as $sport) {
+            $analysis = $this->cache->remember("surebets_{$sport}_{$market_type}", function() use ($sport, $market_type) {
+                return $this->analyse_sport($sport, $market_type);
+            });
+
+            foreach (['surebets', 'value_bets'] as $type) {
+                foreach ($analysis[$type] ?? [] as $item) {
+                    if ($item['edge'] >= $min_edge) {
+                        $results[$type][] = $item;
+                    }
+                }
+            }
+        }
+
+        foreach ($results as &$items) {
+            usort($items, function($a, $b) {
+                return $b['edge'] <=> $a['edge'];
+            });
+        }
+        unset($items);
+
+        return $results;
+    }
+
+    /**
+     * Analyse every upcoming event of a sport.
+     *
+     * @param string $sport Sport key.
+     * @param string $market_type Market type.
+     * @return array Surebets and value bets with any positive edge.
+     */
+    private function analyse_sport($sport, $market_type) {
+        $api_market = self::MARKETS[$market_type];
+        $results = [
+            'surebets' => [],
+            'value_bets' => [],
+        ];
+
+        foreach ($this->scraper->get_odds_for_sport($sport, $market_type) as $event) {
+            $context = [
+                'event' => ($event['home_team'] ?? '') . ' vs ' . ($event['away_team'] ?? ''),
+                'event_id' => $event['id'] ?? '',
+                'sport' => $event['sport_key'] ?? $sport,
+                'sport_title' => $event['sport_title'] ?? $this->scraper->get_sport_name($sport),
+                'commence_time' => $event['commence_time'] ?? '',
+                'market' => $market_type,
+            ];
+
+            foreach ($this->get_prices($event, $api_market) as $line => $prices) {
+                $item = array_merge($context, ['line' => $line === '' ? null : (string) $line]);
+                $surebet = $this->find_surebet($prices, $context);
+
+                if ($surebet) {
+                    $results['surebets'][] = array_merge($item, $surebet);
+                }
+
+                foreach ($this->find_value_bets($prices, $context) as $value_bet) {
+                    $results['value_bets'][] = array_merge($item, $value_bet);
+                }
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Collect each visible bookmaker's prices for an event, grouped by line.
+     *
+     * Totals and handicaps are only comparable at the same line, so their
+     * outcomes are grouped by the point (the home side's point for handicaps).
+     *
+     * @param array $event Event from The Odds API.
+     * @param string $api_market API market key.
+     * @return array Line => outcome key => ['label' => ..., 'prices' => [bookmaker => price]].
+     */
+    private function get_prices($event, $api_market) {
+        $visibility = get_option('odds_comparison_bookmaker_visibility', []);
+        $home_team = $event['home_team'] ?? '';
+        $away_team = $event['away_team'] ?? '';
+        $lines = [];
+
+        foreach ($event['bookmakers'] ?? [] as $bookmaker) {
+            $title = $bookmaker['title'] ?? '';
+            $bookmaker_id = sanitize_title($title);
+
+            if ($title === '' || (isset($visibility[$bookmaker_id]) && !$visibility[$bookmaker_id])) {
+                continue;
+            }
+
+            foreach ($bookmaker['markets'] ?? [] as $market) {
+                if (($market['key'] ?? '') !== $api_market) {
+                    continue;
+                }
+
+                foreach ($market['outcomes'] ?? [] as $outcome) {
+                    $name = $outcome['name'] ?? '';
+                    $price = (float) ($outcome['price'] ?? 0);
+                    $line = '';
+
+                    if ($price <= 1) {
+                        continue;
+                    }
+
+                    if ($api_market === 'h2h' || $api_market === 'spreads') {
+                        if ($name === $home_team) {
+                            $key = 'home';
+                        } elseif ($name === $away_team) {
+                            $key = 'away';
+                        } else {
+                            $key = 'draw';
+                        }
+                    } else {
+                        $key = sanitize_key($name);
+                    }
+
+                    if ($api_market === 'totals') {
+                        $line = OddsLines::get_line_key($outcome['point'] ?? 0);
+                    } elseif ($api_market === 'spreads') {
+                        $point = (float) ($outcome['point'] ?? 0);
+                        $line = OddsLines::get_line_key($key === 'away' ? -$point : $point);
+                    }
+
+                    $lines[$line][$key]['label'] = $name;
+                    $lines[$line][$key]['prices'][$title] = $price;
+                }
+            }
+        }
+
+        return $lines;
+    }
+
+    /**
+     * Check a line for a surebet using the best price for each outcome.
+     *
+     * @param array $prices Outcome key => label and bookmaker prices.
+     * @param array $context Event context for the bookmaker links.
+     * @return array|null Surebet with edge and outcomes (stake shares in %), or null.
+     */
+    private function find_surebet($prices, $context) {
+        if (count($prices) < 2) {
+            return null;
+        }
+
+        $best = [];
+        $inverse_sum = 0;
+
+        foreach ($prices as $key => $outcome) {
+            arsort($outcome['prices']);
+            $bookmaker = key($outcome['prices']);
+            $price = current($outcome['prices']);
+
+            $best[$key] = [
+                'outcome' => $key,
+                'label' => $outcome['label'],
+                'bookmaker' => $bookmaker,
+                'price' => round($price, 2),
+            ];
+            $inverse_sum += 1 / $price;
+        }
+
+        if ($inverse_sum >= 1) {
+            return null;
+        }
+
+        foreach ($best as &$outcome) {
+            $outcome['stake'] = round((1 / $outcome['price']) / $inverse_sum * 100, 2);
+            $outcome = $this->add_link($outcome, $context);
+        }
+        unset($outcome);
+
+        return [
+            'edge' => round((1 / $inverse_sum - 1) * 100, 2),
+            'outcomes' => array_values($best),
+        ];
+    }
+
+    /**
+     * Find prices well above the market consensus.
+     *
+     * The consensus is the average of each bookmaker's margin-free
+     * probabilities. Only the best-priced bookmaker is reported per outcome.
+     *
+     * @param array $prices Outcome key => label and bookmaker prices.
+     * @param array $context Event context for the bookmaker links.
+     * @return array Value bets with edge, price and fair price.
+     */
+    private function find_value_bets($prices, $context) {
+        $keys = array_keys($prices);
+        $bookmakers = null;
+
+        // Only bookmakers pricing every outcome can be de-margined
+        foreach ($prices as $outcome) {
+            $names = array_keys($outcome['prices']);
+            $bookmakers = $bookmakers === null ? $names : array_intersect($bookmakers, $names);
+        }
+
+        if (count($keys) < 2 || count((array) $bookmakers) < self::MIN_CONSENSUS_BOOKMAKERS) {
+            return [];
+        }
+
+        $probabilities = array_fill_keys($keys, 0);
+
+        foreach ($bookmakers as $bookmaker) {
+            $overround = 0;
+
+            foreach ($keys as $key) {
+                $overround += 1 / $prices[$key]['prices'][$bookmaker];
+            }
+
+            foreach ($keys as $key) {
+                $probabilities[$key] += (1 / $prices[$key]['prices'][$bookmaker]) / $overround / count($bookmakers);
+            }
+        }
+
+        $value_bets = [];
+
+        foreach ($prices as $key => $outcome) {
+            arsort($outcome['prices']);
+            $price = current($outcome['prices']);
+            $edge = ($price * $probabilities[$key] - 1) * 100;
+
+            if ($edge <= 0) {
+                continue;
+            }
+
+            $value_bets[] = $this->add_link([
+                'outcome' => $key,
+                'label' => $outcome['label'],
+                'bookmaker' => key($outcome['prices']),
+                'price' => round($price, 2),
+                'fair_price' => round(1 / $probabilities[$key], 2),
+                'edge' => round($edge, 2),
+            ], $context);
+        }
+
+        return $value_bets;
+    }
+
+    /**
+     * Add the bookmaker ID and a tracked link to an outcome.
+     *
+     * @param array $outcome Outcome with a bookmaker name.
+     * @param array $context Event context: event, event_id, market and sport.
+     * @return array Outcome with bookmaker_id and url.
+     */
+    private function add_link($outcome, $context) {
+        $outcome['bookmaker_id'] = sanitize_title($outcome['bookmaker']);
+        $url = $this->scraper->get_bookmaker_url($outcome['bookmaker']);
+
+        $outcome['url'] = $url === '#' ? '#' : ClickTracker::get_redirect_url($outcome['bookmaker_id'], $url, [
+            'event' => $context['event'],
+            'event_id' => $context['event_id'],
+            'market' => $context['market'],
+            'sport' => $context['sport'],
+        ]);
+
+        return $outcome;
+    }
+}
@@ -0,0 +1,250 @@
+<?php
+/**
+ * Bookmaker Settings Class
+ *
+ * Applies the admin's bookmaker order, affiliate links, deep-link templates
+ * and tracking parameters to odds data before it is shown on the site.
+ *
+ * @package OddsComparison\Core
+ * @since 1.0.0
+ */
+
+namespace OddsComparison\Core;
+
+/**
+ * Class BookmakerSettings
+ *
+ * Provides static helpers for the bookmaker order and affiliate link settings.
+ */
+class BookmakerSettings {
+
+    /**
+     * Get the saved bookmaker order.
+     *
+     * @return array Bookmaker IDs, first shown first.
+     */
+    public static function get_order() {
+        return array_values((array) get_option('odds_comparison_bookmaker_order', []));
+    }
+
+    /**
+     * Get the bookmaker ID used by the admin settings for a row of odds data.
+     *
+     * @param string $key Odds data key.
+     * @param array $bookmaker_data Odds data for one bookmaker.
+     * @return string Bookmaker ID.
+     */
+    public static function get_bookmaker_id($key, $bookmaker_data) {
+        return sanitize_title($bookmaker_data['bookmaker'] ?? $key);
+    }
+
+    /**
+     * Sort odds data by the saved bookmaker order.
+     *
+     * Bookmakers missing from the saved order keep their relative position after the ordered ones.
+     *
+     * @param array $odds_data Odds data keyed by bookmaker.
+     * @return array Sorted odds data.
+     */
+    public static function sort($odds_data) {
+        $positions = array_flip(self::get_order());
+
+        if (empty($positions)) {
+            return $odds_data;
+        }
+
+        $keys = array_keys($odds_data);
+        $ranks = [];
+
+        foreach ($keys as $index => $key) {
+            $id = self::get_bookmaker_id($key, $odds_data[$key]);
+            $ranks[$key] = [$positions[$id] ?? PHP_INT_MAX, $index];
+        }
+
+        uksort($odds_data, function($a, $b) use ($ranks) {
+            return $ranks[$a] <=> $ranks[$b];
+        });
+
+        return $odds_data;
+    }
+
+    /**
+     * Placeholders supported in deep-link templates.
+     *
+     * @return array Placeholder => description.
+     */
+    public static function get_template_placeholders() {
+        return [
+            '{event}' => __('Event name', 'odds-comparison'),
+            '{event_id}' => __('Event ID', 'odds-comparison'),
+            '{sport}' => __('Sport key', 'odds-comparison'),
+            '{market}' => __('Market type', 'odds-comparison'),
+            '{outcome}' => __('Outcome (home, draw, away, ...)', 'odds-comparison'),
+        ];
+    }
+
+    /**
+     * Fill a deep-link template with event details.
+     *
+     * @param string $template Template URL, e.g. "https://example.com/bet?event={event}".
+     * @param array $context Event context: event, event_id, sport, market and outcome.
+     * @return string URL with placeholders replaced. Unknown values are left empty.
+     */
+    public static function fill_template($template, $context) {
+        $replacements = [];
+
+        foreach (array_keys(self::get_template_placeholders()) as $placeholder) {
+            $replacements[$placeholder] = rawurlencode((string) ($context[trim($placeholder, '{}')] ?? ''));
+        }
+
+        return strtr($template, $replacements);
+    }
+
+    /**
+     * Build the outgoing link for a bookmaker.
+     *
+     * Uses the deep-link template when one is set and there's an event to link to,
+     * then the affiliate URL, then the homepage. Appends the bookmaker's tracking
+     * parameters, or the default tracking parameters when it has none.
+     *
+     * @param string $bookmaker_id Bookmaker ID.
+     * @param string $url Bookmaker homepage URL.
+     * @param array $context Optional event context for the deep-link template.
+     * @return string Link URL.
+     */
+    public static function build_link($bookmaker_id, $url, $context = []) {
+        $affiliates = get_option('odds_comparison_bookmaker_affiliates', []);
+        $templates = get_option('odds_comparison_bookmaker_link_templates', []);
+        $tracking = get_option('odds_comparison_bookmaker_tracking', []);
+
+        if (!empty($templates[$bookmaker_id]) && !empty($context['event'])) {
+            $link = self::fill_template($templates[$bookmaker_id], $context);
+        } else {
+            $link = !empty($affiliates[$bookmaker_id]) ? $affiliates[$bookmaker_id] : $url;
+        }
+        $params = !empty($tracking[$bookmaker_id]) ? $tracking[$bookmaker_id] : get_option('odds_comparison_default_affiliate_tracking', '');
+
+        if (empty($link) || $link === '#' || empty($params)) {
+            return $link;
+        }
+
+        parse_str($params, $query);
+
+        return add_query_arg(urlencode_deep($query), $link);
+    }
+
+    /**
+     * Apply the saved order and tracked links to odds data.
+     *
+     * Links point at the click-tracking redirect, which builds the real
+     * bookmaker link when the visitor clicks.
+     *
+     * @param array $odds_data Odds data keyed by bookmaker.
+     * @param array $context Event context: event, event_id, market and sport.
+     * @return array Odds data ready for display.
+     */
+    public static function apply($odds_data, $context = []) {
+        foreach ($odds_data as $key => &$bookmaker_data) {
+            $url = $bookmaker_data['url'] ?? '#';
+
+            if (!empty($url) && $url !== '#') {
+                $bookmaker_data['url'] = ClickTracker::get_redirect_url(
+                    self::get_bookmaker_id($key, $bookmaker_data),
+                    $url,
+                    $context
+                );
+            }
+        }
+        unset($bookmaker_data);
+
+        return self::sort($odds_data);
+    }
+
+    /**
+     * Validate an affiliate URL.
+     *
+     * @param string $url URL to check. Empty is allowed.
+     * @return bool True if the URL is empty or an absolute http(s) URL.
+     */
+    public static function is_valid_affiliate_url($url) {
+        if ($url === '') {
+            return true;
+        }
+
+        $scheme = wp_parse_url($url, PHP_URL_SCHEME);
+
+        return in_array($scheme, ['http', 'https'], true) && filter_var($url, FILTER_VALIDATE_URL) !== false;
+    }
+
+    /**
+     * Validate a deep-link template.
+     *
+     * @param string $template Template to check. Empty is allowed.
+     * @return bool True if the template is empty or becomes an absolute http(s) URL once filled.
+     */
+    public static function is_valid_link_template($template) {
+        if ($template === '') {
+            return true;
+        }
+
+        return self::is_valid_affiliate_url(self::fill_template($template, [
+            'event' => 'event',
+            'event_id' => 'id',
+            'sport' => 'sport',
+            'market' => 'market',
+            'outcome' => 'outcome',
+        ]));
+    }
+
+    /**
+     * Sanitize a validated deep-link template for saving.
+     *
+     * Placeholders are swapped out while the URL is sanitized, since URL
+     * sanitizing drops braces, and percent-encoded parts are kept as they are.
+     *
+     * @param string $template Template URL.
+     * @return string Sanitized template.
+     */
+    public static function sanitize_link_template($template) {
+        $tokens = [];
+
+        foreach (array_keys(self::get_template_placeholders()) as $index => $placeholder) {
+            $tokens[$placeholder] = 'oddscomparisonplaceholder' . $index;
+        }
+
+        return strtr(esc_url_raw(strtr($template, $tokens), ['http', 'https']), array_flip($tokens));
+    }
+
+    /**
+     * Validate and normalise tracking parameters (e.g. "utm_source=site&ref=123").
+     *
+     * @param string $params Query string, with or without a leading "?".
+     * @return string|false Normalised query string, or false if it can't be parsed.
+     */
+    public static function sanitize_tracking($params) {
+        $params = ltrim(trim($params), '?');
+
+        if ($params === '') {
+            return '';
+        }
+
+        if (preg_match('/\s/', $params)) {
+            return false;
+        }
+
+        $query = [];
+
+        foreach (explode('&', $params) as $pair) {
+            $parts = explode('=', $pair, 2);
+            $name = sanitize_key(urldecode($parts[0]));
+
+            if ($name === '' || !isset($parts[1])) {
+                return false;
+            }
+
+            $query[$name] = sanitize_text_field(urldecode($parts[1]));
+        }
+
+        return http_build_query($query);
+    }
+}
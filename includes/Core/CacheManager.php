@@ -123,6 +123,21 @@ class CacheManager {
                 $wpdb->esc_like('_transient_timeout_' . $this->cache_prefix) . '%'
             )
         );
+        
+        // Tell browsers to drop their own copies of odds responses.
+        update_option('odds_comparison_cache_version', (string) time());
+    }
+    
+    /**
+     * Get the cache version.
+     *
+     * Changes every time the cache is cleared, so browsers that keep their
+     * own copy of odds responses know it is out of date.
+     *
+     * @return string Cache version.
+     */
+    public function get_version() {
+        return (string) get_option('odds_comparison_cache_version', '1');
     }
     
     /**
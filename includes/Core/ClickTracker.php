@@ -0,0 +1,233 @@
+<?php
+/**
+ * Click Tracker Class
+ *
+ * Routes outgoing bookmaker links through the plugin's redirect endpoint
+ * and records each click for the admin click report.
+ *
+ * @package OddsComparison\Core
+ * @since 1.0.0
+ */
+
+namespace OddsComparison\Core;
+
+/**
+ * Class ClickTracker
+ *
+ * Provides static helpers for tracked links, click logging and reporting.
+ */
+class ClickTracker {
+
+    /**
+     * Database schema version for the clicks table.
+     *
+     * @var string
+     */
+    const DB_VERSION = '1.0';
+
+    /**
+     * Days of clicks kept before old rows are pruned.
+     *
+     * @var int
+     */
+    const RETENTION_DAYS = 365;
+
+    /**
+     * Seconds in which repeat clicks from one visitor on the same bookmaker and page count once.
+     *
+     * @var int
+     */
+    const DUPLICATE_WINDOW = 60;
+
+    /**
+     * Get the clicks table name.
+     *
+     * @return string Table name.
+     */
+    public static function get_table_name() {
+        global $wpdb;
+
+        return $wpdb->prefix . 'odds_comparison_clicks';
+    }
+
+    /**
+     * Create the clicks table.
+     *
+     * @return void
+     */
+    public static function create_table() {
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $table_name = self::get_table_name();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            bookmaker varchar(100) NOT NULL,
+            event_name varchar(255) NOT NULL DEFAULT '',
+            event_id varchar(100) NOT NULL DEFAULT '',
+            market_type varchar(100) NOT NULL DEFAULT '',
+            outcome varchar(100) NOT NULL DEFAULT '',
+            source_url varchar(255) NOT NULL DEFAULT '',
+            clicked_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY bookmaker (bookmaker),
+            KEY source_url (source_url(191)),
+            KEY clicked_at (clicked_at)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+
+        update_option('odds_comparison_clicks_db_version', self::DB_VERSION);
+    }
+
+    /**
+     * Create the clicks table on sites that were activated before it existed.
+     *
+     * @return void
+     */
+    public static function maybe_create_table() {
+        if (get_option('odds_comparison_clicks_db_version') !== self::DB_VERSION) {
+            self::create_table();
+        }
+    }
+
+    /**
+     * Sign a bookmaker link so the redirect endpoint can't be used as an open redirect.
+     *
+     * @param string $bookmaker_id Bookmaker ID.
+     * @param string $url Bookmaker URL.
+     * @return string Signature.
+     */
+    public static function sign($bookmaker_id, $url) {
+        return wp_hash($bookmaker_id . '|' . $url);
+    }
+
+    /**
+     * Check a link signature.
+     *
+     * @param string $bookmaker_id Bookmaker ID.
+     * @param string $url Bookmaker URL.
+     * @param string $signature Signature from the link.
+     * @return bool True if the signature matches.
+     */
+    public static function verify($bookmaker_id, $url, $signature) {
+        return hash_equals(self::sign($bookmaker_id, $url), (string) $signature);
+    }
+
+    /**
+     * Build the tracked redirect URL for a bookmaker link.
+     *
+     * @param string $bookmaker_id Bookmaker ID.
+     * @param string $url Bookmaker homepage URL.
+     * @param array $context Event context: event, event_id, market and sport.
+     * @return string Redirect URL.
+     */
+    public static function get_redirect_url($bookmaker_id, $url, $context = []) {
+        $args = array_filter([
+            'bookmaker' => $bookmaker_id,
+            'to' => $url,
+            'sig' => self::sign($bookmaker_id, $url),
+            'event' => $context['event'] ?? '',
+            'event_id' => $context['event_id'] ?? '',
+            'market' => $context['market'] ?? '',
+            'sport' => $context['sport'] ?? '',
+        ], 'strlen');
+
+        return add_query_arg(array_map('rawurlencode', $args), rest_url('odds-comparison/v1/go'));
+    }
+
+    /**
+     * Record a click.
+     *
+     * The redirect endpoint is public and signed links can be replayed, so
+     * repeat clicks from the same IP address on the same bookmaker and page
+     * are only recorded once per duplicate window.
+     *
+     * @param array $click Click data: bookmaker, event, event_id, market, outcome and source.
+     * @return bool True if the click was saved.
+     */
+    public static function log_click($click) {
+        global $wpdb;
+
+        $visitor = isset($_SERVER['REMOTE_ADDR']) ? sanitize_text_field(wp_unslash($_SERVER['REMOTE_ADDR'])) : '';
+        $duplicate_key = 'odds_comparison_click_' . md5($visitor . '|' . ($click['bookmaker'] ?? '') . '|' . ($click['source'] ?? ''));
+
+        if (get_transient($duplicate_key)) {
+            return false;
+        }
+
+        set_transient($duplicate_key, 1, self::DUPLICATE_WINDOW);
+
+        $saved = $wpdb->insert(
+            self::get_table_name(),
+            [
+                'bookmaker' => substr($click['bookmaker'] ?? '', 0, 100),
+                'event_name' => substr($click['event'] ?? '', 0, 255),
+                'event_id' => substr($click['event_id'] ?? '', 0, 100),
+                'market_type' => substr($click['market'] ?? '', 0, 100),
+                'outcome' => substr($click['outcome'] ?? '', 0, 100),
+                'source_url' => substr($click['source'] ?? '', 0, 255),
+                'clicked_at' => current_time('mysql', true),
+            ],
+            ['%s', '%s', '%s', '%s', '%s', '%s', '%s']
+        );
+
+        return $saved !== false;
+    }
+
+    /**
+     * Delete clicks older than the retention period.
+     *
+     * @return void
+     */
+    public static function prune() {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE clicked_at < %s",
+                gmdate('Y-m-d H:i:s', time() - self::RETENTION_DAYS * DAY_IN_SECONDS)
+            )
+        );
+    }
+
+    /**
+     * Get click counts for the admin report.
+     *
+     * @param int $days Number of days to include, or 0 for all time.
+     * @return array Report with total, bookmakers, pages and bookmaker_pages rows.
+     */
+    public static function get_report($days = 30) {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+        $where = '';
+
+        if ($days > 0) {
+            $where = $wpdb->prepare(
+                'WHERE clicked_at >= %s',
+                gmdate('Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS)
+            );
+        }
+
+        return [
+            'total' => (int) $wpdb->get_var("SELECT COUNT(*) FROM $table_name $where"),
+            'bookmakers' => $wpdb->get_results(
+                "SELECT bookmaker, COUNT(*) AS clicks FROM $table_name $where GROUP BY bookmaker ORDER BY clicks DESC",
+                ARRAY_A
+            ),
+            'pages' => $wpdb->get_results(
+                "SELECT source_url, COUNT(*) AS clicks FROM $table_name $where GROUP BY source_url ORDER BY clicks DESC LIMIT 50",
+                ARRAY_A
+            ),
+            'bookmaker_pages' => $wpdb->get_results(
+                "SELECT bookmaker, source_url, COUNT(*) AS clicks FROM $table_name $where GROUP BY bookmaker, source_url ORDER BY clicks DESC LIMIT 50",
+                ARRAY_A
+            ),
+        ];
+    }
+}
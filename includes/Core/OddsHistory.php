@@ -0,0 +1,490 @@
+<?php
+/**
+ * Odds History Class
+ *
+ * Keeps a history of bookmaker prices so line movement can be charted
+ * after the cached odds have expired.
+ *
+ * @package OddsComparison\Core
+ * @since 1.0.0
+ */
+
+namespace OddsComparison\Core;
+
+/**
+ * Class OddsHistory
+ *
+ * Provides static helpers for recording price snapshots and reading them back
+ * as time series per event, market and bookmaker.
+ */
+class OddsHistory {
+
+    /**
+     * Database schema version for the history table.
+     *
+     * @var string
+     */
+    const DB_VERSION = '1.1';
+
+    /**
+     * Days of history kept before old rows are pruned.
+     *
+     * @var int
+     */
+    const RETENTION_DAYS = 30;
+
+    /**
+     * Hours before kick-off that an event starts being snapshotted by cron.
+     *
+     * @var int
+     */
+    const TRACKING_HOURS = 48;
+
+    /**
+     * Most events snapshotted per cron run, soonest kick-off first.
+     *
+     * @var int
+     */
+    const SNAPSHOT_EVENTS = 50;
+
+    /**
+     * Smallest price drop, in percent, that counts towards a steam move.
+     *
+     * @var float
+     */
+    const STEAM_DROP = 5;
+
+    /**
+     * Window, in seconds, in which bookmakers must move together for a steam move.
+     *
+     * @var int
+     */
+    const STEAM_WINDOW = 1800;
+
+    /**
+     * Fewest bookmakers that must shorten an outcome together for a steam move.
+     *
+     * @var int
+     */
+    const STEAM_BOOKMAKERS = 3;
+
+    /**
+     * Get the history table name.
+     *
+     * @return string Table name.
+     */
+    public static function get_table_name() {
+        global $wpdb;
+
+        return $wpdb->prefix . 'odds_comparison_history';
+    }
+
+    /**
+     * Create the history table.
+     *
+     * @return void
+     */
+    public static function create_table() {
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $table_name = self::get_table_name();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            event_key varchar(255) NOT NULL,
+            event_name varchar(255) NOT NULL DEFAULT '',
+            event_id varchar(100) NOT NULL DEFAULT '',
+            sport varchar(100) NOT NULL DEFAULT '',
+            market_type varchar(100) NOT NULL,
+            line varchar(20) NOT NULL DEFAULT '',
+            bookmaker varchar(100) NOT NULL,
+            bookmaker_name varchar(255) NOT NULL DEFAULT '',
+            outcome varchar(100) NOT NULL,
+            price decimal(10,3) NOT NULL,
+            recorded_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY event_market (event_key(191), market_type),
+            KEY recorded_at (recorded_at)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+
+        update_option('odds_comparison_history_db_version', self::DB_VERSION);
+    }
+
+    /**
+     * Create the history table on sites that were activated before it existed.
+     *
+     * @return void
+     */
+    public static function maybe_create_table() {
+        if (get_option('odds_comparison_history_db_version') !== self::DB_VERSION) {
+            self::create_table();
+        }
+    }
+
+    /**
+     * Get the key an event's history is stored under: its API ID, or its name without one.
+     *
+     * @param string $event_name Event name.
+     * @param string $event_id API event ID.
+     * @return string Event key.
+     */
+    public static function get_event_key($event_name, $event_id = '') {
+        return $event_id !== '' ? $event_id : $event_name;
+    }
+
+    /**
+     * Get the latest recorded price per bookmaker, outcome and line.
+     *
+     * @param string $event_key Event key.
+     * @param string $market_type Market type.
+     * @return array "bookmaker|outcome|line" => price.
+     */
+    private static function get_latest_prices($event_key, $market_type) {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT h.bookmaker, h.outcome, h.line, h.price FROM $table_name h
+                 INNER JOIN (
+                     SELECT MAX(id) AS id FROM $table_name
+                     WHERE event_key = %s AND market_type = %s
+                     GROUP BY bookmaker, outcome, line
+                 ) latest ON latest.id = h.id",
+                $event_key,
+                $market_type
+            ),
+            ARRAY_A
+        );
+        $prices = [];
+
+        foreach ($rows as $row) {
+            $prices[$row['bookmaker'] . '|' . $row['outcome'] . '|' . $row['line']] = (float) $row['price'];
+        }
+
+        return $prices;
+    }
+
+    /**
+     * Record a snapshot of an event's prices.
+     *
+     * Only prices that changed since the last snapshot are stored, so a price
+     * holds until the next row for the same bookmaker, outcome and line. Totals
+     * and handicaps are recorded at the main line only, with the line stored
+     * alongside so a move of the main line doesn't read as a price move.
+     *
+     * @param array $event Event: event, event_id and sport.
+     * @param string $market_type Market type.
+     * @param array $odds_data Odds data keyed by bookmaker, with decimal odds from the API. Fallback odds must not be passed.
+     * @return int Number of prices recorded.
+     */
+    public static function record($event, $market_type, $odds_data) {
+        global $wpdb;
+
+        $event_name = (string) ($event['event'] ?? '');
+        $event_id = (string) ($event['event_id'] ?? '');
+        $event_key = self::get_event_key($event_name, $event_id);
+
+        if ($event_key === '' || empty($odds_data)) {
+            return 0;
+        }
+
+        $line = (string) OddsLines::get_main_line($odds_data);
+        $odds_data = OddsLines::select_line($odds_data, $line === '' ? null : $line);
+        $latest = self::get_latest_prices($event_key, $market_type);
+        $recorded_at = current_time('mysql', true);
+        $recorded = 0;
+
+        foreach ($odds_data as $key => $bookmaker_data) {
+            $bookmaker_id = BookmakerSettings::get_bookmaker_id($key, $bookmaker_data);
+
+            foreach ((array) ($bookmaker_data['odds'] ?? []) as $outcome => $price) {
+                $price = is_numeric($price) ? round((float) $price, 3) : 0;
+
+                if ($price <= 1 || ($latest[$bookmaker_id . '|' . $outcome . '|' . $line] ?? null) === $price) {
+                    continue;
+                }
+
+                $saved = $wpdb->insert(
+                    self::get_table_name(),
+                    [
+                        'event_key' => substr($event_key, 0, 255),
+                        'event_name' => substr($event_name, 0, 255),
+                        'event_id' => substr($event_id, 0, 100),
+                        'sport' => substr((string) ($event['sport'] ?? ''), 0, 100),
+                        'market_type' => substr($market_type, 0, 100),
+                        'line' => $line,
+                        'bookmaker' => substr($bookmaker_id, 0, 100),
+                        'bookmaker_name' => substr((string) ($bookmaker_data['bookmaker'] ?? $key), 0, 255),
+                        'outcome' => substr((string) $outcome, 0, 100),
+                        'price' => $price,
+                        'recorded_at' => $recorded_at,
+                    ],
+                    ['%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%f', '%s']
+                );
+
+                if ($saved) {
+                    $recorded++;
+                }
+            }
+        }
+
+        return $recorded;
+    }
+
+    /**
+     * Get the markets to snapshot: the enabled markets, or the standard set when none are configured.
+     *
+     * @return array Market types.
+     */
+    private static function get_snapshot_markets() {
+        $markets = get_option('odds_comparison_markets', []);
+
+        if (empty($markets)) {
+            return ['match_winner', 'over_under', 'both_teams_score', 'handicap'];
+        }
+
+        return array_keys(array_filter($markets, function ($market) {
+            return !empty($market['enabled']);
+        }));
+    }
+
+    /**
+     * Snapshot the events that kick off soonest.
+     *
+     * Events come from the same upcoming events list the site shows, so their
+     * history starts before anyone opens them. Events in play are kept until
+     * the API stops listing them.
+     *
+     * Each sport and market is fetched once and split by event ID, and only
+     * prices the API returned are recorded, never generated fallback odds.
+     *
+     * @return void
+     */
+    public static function snapshot_upcoming_events() {
+        $scraper = new OddsScraper();
+        $api_scraper = new TheOddsAPIScraper();
+        $cutoff = time() + self::TRACKING_HOURS * HOUR_IN_SECONDS;
+        $events = [];
+
+        foreach ($scraper->get_all_live_events(100) as $event) {
+            $commence_time = strtotime((string) ($event['commence_time'] ?? ''));
+
+            if ($commence_time && $commence_time <= $cutoff && ($event['id'] ?? '') !== '') {
+                $event['commence_timestamp'] = $commence_time;
+                $events[] = $event;
+            }
+        }
+
+        usort($events, function ($a, $b) {
+            return [$a['commence_timestamp'], $a['id']] <=> [$b['commence_timestamp'], $b['id']];
+        });
+
+        $events_by_sport = [];
+
+        foreach (array_slice($events, 0, self::SNAPSHOT_EVENTS) as $event) {
+            $events_by_sport[$event['sport_key']][$event['id']] = $event;
+        }
+
+        foreach ($events_by_sport as $sport_key => $sport_events) {
+            foreach (self::get_snapshot_markets() as $market_type) {
+                $events_odds = $api_scraper->get_events_odds($sport_key, $market_type, array_keys($sport_events));
+
+                foreach ($events_odds as $event_id => $odds_data) {
+                    $event = $sport_events[$event_id];
+
+                    self::record(
+                        [
+                            'event' => ($event['home_team'] ?? '') . ' vs ' . ($event['away_team'] ?? ''),
+                            'event_id' => $event_id,
+                            'sport' => $sport_key,
+                        ],
+                        $market_type,
+                        $odds_data
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Delete history older than the retention period.
+     *
+     * @return void
+     */
+    public static function prune() {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE recorded_at < %s",
+                gmdate('Y-m-d H:i:s', time() - self::RETENTION_DAYS * DAY_IN_SECONDS)
+            )
+        );
+    }
+
+    /**
+     * Get the line of an event's most recent snapshot: the current main line for totals and handicaps.
+     *
+     * @param string $event_key Event key.
+     * @param string $market_type Market type.
+     * @return string Line key, or an empty string for markets without lines or no history.
+     */
+    public static function get_latest_line($event_key, $market_type) {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        return (string) $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT line FROM $table_name WHERE event_key = %s AND market_type = %s ORDER BY id DESC LIMIT 1",
+                $event_key,
+                $market_type
+            )
+        );
+    }
+
+    /**
+     * Get price time series for an event, market and line.
+     *
+     * Only prices at the one line are returned, so series, summaries and steam
+     * moves never compare prices across lines.
+     *
+     * @param string $event_key Event key.
+     * @param string $market_type Market type.
+     * @param string $bookmaker_id Optional bookmaker ID to limit the series to.
+     * @param string $line Line key, empty for markets without lines.
+     * @return array Bookmaker ID => name and outcomes, each outcome a list of [timestamp, price] points.
+     */
+    public static function get_series($event_key, $market_type, $bookmaker_id = '', $line = '') {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+        $where = $wpdb->prepare('WHERE event_key = %s AND market_type = %s AND line = %s', $event_key, $market_type, $line);
+
+        if ($bookmaker_id !== '') {
+            $where .= $wpdb->prepare(' AND bookmaker = %s', $bookmaker_id);
+        }
+
+        $rows = $wpdb->get_results(
+            "SELECT bookmaker, bookmaker_name, outcome, price, recorded_at FROM $table_name $where ORDER BY recorded_at ASC, id ASC",
+            ARRAY_A
+        );
+        $series = [];
+
+        foreach ($rows as $row) {
+            $id = $row['bookmaker'];
+
+            if (!isset($series[$id])) {
+                $series[$id] = [
+                    'bookmaker' => $row['bookmaker_name'] ?: $id,
+                    'outcomes' => [],
+                ];
+            }
+
+            $series[$id]['outcomes'][$row['outcome']][] = [
+                strtotime($row['recorded_at'] . ' UTC'),
+                (float) $row['price'],
+            ];
+        }
+
+        return $series;
+    }
+
+    /**
+     * Summarise each bookmaker's opening and current price per outcome.
+     *
+     * @param array $series Series from get_series().
+     * @return array Bookmaker ID => outcome => opening, current and change in percent.
+     */
+    public static function get_summary($series) {
+        $summary = [];
+
+        foreach ($series as $id => $bookmaker) {
+            foreach ($bookmaker['outcomes'] as $outcome => $points) {
+                $opening = $points[0][1];
+                $current = $points[count($points) - 1][1];
+
+                $summary[$id][$outcome] = [
+                    'opening' => $opening,
+                    'current' => $current,
+                    'change' => round(($current - $opening) / $opening * 100, 1),
+                ];
+            }
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Find steam moves: several bookmakers shortening the same outcome at once.
+     *
+     * @param array $series Series from get_series().
+     * @return array Steam moves with outcome, time, bookmakers and average drop in percent.
+     */
+    public static function get_steam_moves($series) {
+        $drops = [];
+
+        foreach ($series as $id => $bookmaker) {
+            foreach ($bookmaker['outcomes'] as $outcome => $points) {
+                for ($i = 1; $i < count($points); $i++) {
+                    $drop = ($points[$i - 1][1] - $points[$i][1]) / $points[$i - 1][1] * 100;
+
+                    if ($drop >= self::STEAM_DROP) {
+                        $drops[$outcome][] = [
+                            'time' => $points[$i][0],
+                            'bookmaker' => $id,
+                            'drop' => $drop,
+                        ];
+                    }
+                }
+            }
+        }
+
+        $moves = [];
+
+        foreach ($drops as $outcome => $outcome_drops) {
+            usort($outcome_drops, function($a, $b) {
+                return $a['time'] <=> $b['time'];
+            });
+
+            $count = count($outcome_drops);
+            $i = 0;
+
+            while ($i < $count) {
+                $window = [];
+
+                for ($j = $i; $j < $count && $outcome_drops[$j]['time'] - $outcome_drops[$i]['time'] <= self::STEAM_WINDOW; $j++) {
+                    $window[$outcome_drops[$j]['bookmaker']] = $outcome_drops[$j]['drop'];
+                }
+
+                if (count($window) < self::STEAM_BOOKMAKERS) {
+                    $i++;
+                    continue;
+                }
+
+                $moves[] = [
+                    'outcome' => $outcome,
+                    'time' => $outcome_drops[$i]['time'],
+                    'bookmakers' => array_keys($window),
+                    'drop' => round(array_sum($window) / count($window), 1),
+                ];
+
+                // Don't report the same move again from a later drop inside it
+                $i = $j;
+            }
+        }
+
+        usort($moves, function($a, $b) {
+            return $a['time'] <=> $b['time'];
+        });
+
+        return $moves;
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+/**
+ * Odds Lines Class
+ *
+ * Handles markets priced at several lines, such as Over/Under totals and
+ * handicaps, so bookmakers are only compared at the same line.
+ *
+ * @package OddsComparison\Core
+ * @since 1.0.0
+ */
+
+namespace OddsComparison\Core;
+
+/**
+ * Class OddsLines
+ *
+ * Provides static helpers for picking a line out of odds data and labelling
+ * outcomes with their point, including Asian quarter lines.
+ */
+class OddsLines {
+
+    /**
+     * Outcome keys of each market that has lines.
+     *
+     * @var array
+     */
+    const MARKETS = [
+        'over_under' => ['over_2_5', 'under_2_5'],
+        'handicap' => ['home_handicap', 'away_handicap'],
+    ];
+
+    /**
+     * Check whether a market type is priced at lines.
+     *
+     * @param string $market_type Market type.
+     * @return bool True for totals and handicaps.
+     */
+    public static function is_lined_market($market_type) {
+        return isset(self::MARKETS[$market_type]);
+    }
+
+    /**
+     * Get the key a line is stored under.
+     *
+     * Totals use the total; handicaps use the home side's point.
+     *
+     * @param float $point Point value.
+     * @return string Line key, e.g. "2.5", "-0.25" or "0".
+     */
+    public static function get_line_key($point) {
+        // Adding 0.0 turns -0 into 0 so pick'em lines match
+        return (string) ((float) $point + 0.0);
+    }
+
+    /**
+     * Get the line most bookmakers offer as their main line.
+     *
+     * @param array $odds_data Odds data keyed by bookmaker.
+     * @return string|null Line key, or null if the odds have no lines.
+     */
+    public static function get_main_line($odds_data) {
+        $counts = [];
+
+        foreach ($odds_data as $bookmaker_data) {
+            if (isset($bookmaker_data['line'])) {
+                $line = (string) $bookmaker_data['line'];
+                $counts[$line] = ($counts[$line] ?? 0) + 1;
+            }
+        }
+
+        if (empty($counts)) {
+            return null;
+        }
+
+        arsort($counts);
+
+        return (string) key($counts);
+    }
+
+    /**
+     * Show every bookmaker's prices at one line.
+     *
+     * Bookmakers that don't offer the line are left out. Odds without lines
+     * are returned unchanged.
+     *
+     * @param array $odds_data Odds data keyed by bookmaker.
+     * @param string|null $line Line key.
+     * @return array Odds data with odds and points for the line.
+     */
+    public static function select_line($odds_data, $line) {
+        if ($line === null) {
+            return $odds_data;
+        }
+
+        $selected = [];
+
+        foreach ($odds_data as $key => $bookmaker_data) {
+            if (empty($bookmaker_data['lines'])) {
+                $selected[$key] = $bookmaker_data;
+                continue;
+            }
+
+            foreach ($bookmaker_data['lines'] as $line_data) {
+                if ((string) $line_data['line'] === (string) $line) {
+                    $selected[$key] = array_merge($bookmaker_data, [
+                        'odds' => $line_data['odds'],
+                        'points' => $line_data['points'],
+                        'line' => $line_data['line'],
+                    ]);
+                    break;
+                }
+            }
+        }
+
+        return $selected;
+    }
+
+    /**
+     * Format a point for display.
+     *
+     * Quarter lines split the stake across the two neighbouring lines, so they
+     * are shown with both halves, e.g. "-0.75 (-0.5, -1)".
+     *
+     * @param float $point Point value.
+     * @param bool $signed Whether to show a plus sign on positive points (handicaps).
+     * @return string Formatted point.
+     */
+    public static function format_point($point, $signed = false) {
+        $point = (float) $point;
+        $format = function($value) use ($signed) {
+            $value = (float) $value + 0.0;
+
+            return ($signed && $value > 0 ? '+' : '') . $value;
+        };
+
+        if (abs(fmod($point * 4, 2)) === 1.0) {
+            $towards_zero = $point > 0 ? $point - 0.25 : $point + 0.25;
+            $away_from_zero = $point > 0 ? $point + 0.25 : $point - 0.25;
+
+            return $format($point) . ' (' . $format($towards_zero) . ', ' . $format($away_from_zero) . ')';
+        }
+
+        return $format($point);
+    }
+
+    /**
+     * Get an outcome label with its point, e.g. "Over 3.5" or "Away +1.25 (+1, +1.5)".
+     *
+     * @param string $outcome Outcome key.
+     * @param float $point Point value.
+     * @param string $fallback Label to use for outcomes without a point.
+     * @return string Outcome label.
+     */
+    public static function get_outcome_label($outcome, $point, $fallback = '') {
+        $labels = [
+            /* translators: %s: total, e.g. 2.5 */
+            'over_2_5' => __('Over %s', 'odds-comparison'),
+            /* translators: %s: total, e.g. 2.5 */
+            'under_2_5' => __('Under %s', 'odds-comparison'),
+            /* translators: %s: handicap, e.g. -1.5 */
+            'home_handicap' => __('Home %s', 'odds-comparison'),
+            /* translators: %s: handicap, e.g. +1.5 */
+            'away_handicap' => __('Away %s', 'odds-comparison'),
+        ];
+
+        if (!isset($labels[$outcome]) || $point === null || $point === '') {
+            return $fallback !== '' ? $fallback : $outcome;
+        }
+
+        return sprintf($labels[$outcome], self::format_point($point, in_array($outcome, self::MARKETS['handicap'], true)));
+    }
+}
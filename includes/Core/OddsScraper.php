@@ -52,11 +52,12 @@ class OddsScraper {
      * @param string $event_name Event identifier.
      * @param string $market_type Market type (e.g., match_winner).
      * @param string $sport Sport key (e.g., 'soccer_epl', 'basketball_nba').
+     * @param string $event_id Optional API event ID.
      * @return array Array of odds data by bookmaker.
      */
-    public function fetch_odds($event_name, $market_type = 'match_winner', $sport = 'football') {
+    public function fetch_odds($event_name, $market_type = 'match_winner', $sport = 'football', $event_id = '') {
         // Check cache first.
-        $cache_key = "odds_{$event_name}_{$market_type}_{$sport}";
+        $cache_key = "odds_" . ($event_id ?: $event_name) . "_{$market_type}_{$sport}";
         
         if ($cached = $this->cache->get($cache_key)) {
             return $cached;
@@ -66,11 +67,11 @@ class OddsScraper {
         $odds_api_scraper = new TheOddsAPIScraper();
         
         // Scrape real odds from The Odds API
-        $odds_data = $odds_api_scraper->scrape_real_odds($event_name, $sport, $market_type);
+        $odds_data = $odds_api_scraper->scrape_real_odds($event_name, $sport, $market_type, $event_id);
         
-        // Cache the result for 5 minutes
+        // Cache the result for the configured cache duration
         if (!empty($odds_data)) {
-            $this->cache->set($cache_key, $odds_data, 300);
+            $this->cache->set($cache_key, $odds_data);
         }
         
         return $odds_data;
@@ -82,14 +83,15 @@ class OddsScraper {
      * @param string $event_name Event identifier.
      * @param string $market_type Market type (e.g., match_winner).
      * @param string $sport Sport key (e.g., 'soccer_epl', 'basketball_nba').
+     * @param string $event_id Optional API event ID.
      * @return array Array of odds data by bookmaker.
      */
-    public function fetch_odds_fresh($event_name, $market_type = 'match_winner', $sport = 'football') {
+    public function fetch_odds_fresh($event_name, $market_type = 'match_winner', $sport = 'football', $event_id = '') {
         // Use The Odds API for guaranteed real data without cache
         $odds_api_scraper = new TheOddsAPIScraper();
         
         // Scrape real odds from The Odds API without cache
-        $odds_data = $odds_api_scraper->scrape_real_odds($event_name, $sport, $market_type);
+        $odds_data = $odds_api_scraper->scrape_real_odds($event_name, $sport, $market_type, $event_id);
         
         return $odds_data;
     }
@@ -100,8 +102,22 @@ class OddsScraper {
      * @return array Array of sports.
      */
     public function get_all_sports() {
+        // Check cache first
+        $cache_key = 'all_sports';
+        
+        if ($cached = $this->cache->get($cache_key)) {
+            return $cached;
+        }
+        
         $odds_api_scraper = new TheOddsAPIScraper();
-        return $odds_api_scraper->get_all_sports();
+        $sports = $odds_api_scraper->get_all_sports();
+        
+        // The sports list rarely changes, cache for an hour
+        if (!empty($sports)) {
+            $this->cache->set($cache_key, $sports, HOUR_IN_SECONDS);
+        }
+        
+        return $sports;
     }
     
     /**
@@ -207,6 +223,27 @@ class OddsScraper {
         return $events;
     }
     
+    /**
+     * Get live events for several sports, soonest first.
+     *
+     * @param array $sport_keys Sport keys.
+     * @param int $limit Maximum number of events in total.
+     * @return array Array of events.
+     */
+    public function get_live_events_by_sports($sport_keys, $limit = 20) {
+        $events = [];
+        
+        foreach (array_unique(array_filter($sport_keys)) as $sport_key) {
+            $events = array_merge($events, $this->get_live_events_by_sport($sport_key, $limit));
+        }
+        
+        usort($events, function($a, $b) {
+            return strtotime($a['commence_time'] ?? '') - strtotime($b['commence_time'] ?? '');
+        });
+        
+        return array_slice($events, 0, $limit);
+    }
+    
     /**
      * Convert market type to Oddschecker format.
      *
@@ -59,9 +59,10 @@ class TheOddsAPIScraper {
      * @param string $event_name Event name (e.g., "Chelsea vs Arsenal").
      * @param string $sport Sport key (e.g., "soccer_epl").
      * @param string $market_type Market type (e.g., "match_winner", "over_under").
+     * @param string $event_id Optional API event ID, preferred over the event name when matching.
      * @return array Real odds data.
      */
-    public function scrape_real_odds($event_name, $sport = 'soccer_epl', $market_type = 'match_winner') {
+    public function scrape_real_odds($event_name, $sport = 'soccer_epl', $market_type = 'match_winner', $event_id = '') {
         // First, get all available sports
         $sports = $this->get_available_sports();
         
@@ -83,7 +84,7 @@ class TheOddsAPIScraper {
         
         if (!empty($raw_events)) {
             // Convert raw API events to formatted odds data
-            $odds_data = $this->convert_api_events_to_odds($raw_events, $event_name, $market_type);
+            $odds_data = $this->convert_api_events_to_odds($raw_events, $event_name, $market_type, $event_id);
             
             if (!empty($odds_data)) {
                 error_log('The Odds API: Successfully fetched and converted real data from API');
@@ -96,6 +97,42 @@ class TheOddsAPIScraper {
         return $this->get_fallback_odds_with_market($market_type);
     }
     
+    /**
+     * Get the main line odds of several events in a sport from one sport odds request.
+     *
+     * Events the API doesn't return, or returns without the market, are left
+     * out, so generated fallback odds are never included.
+     *
+     * @param string $sport_key API sport key (e.g., 'soccer_epl').
+     * @param string $market_type Market type (e.g., "match_winner", "over_under").
+     * @param array $event_ids API event IDs.
+     * @return array Event ID => odds data keyed by bookmaker.
+     */
+    public function get_events_odds($sport_key, $market_type, $event_ids) {
+        $raw_events = [];
+        $events_odds = [];
+        
+        foreach ($this->get_odds_for_sport($sport_key, $market_type) as $event) {
+            if (!empty($event['id'])) {
+                $raw_events[$event['id']] = $event;
+            }
+        }
+        
+        foreach ($event_ids as $event_id) {
+            if (!isset($raw_events[$event_id])) {
+                continue;
+            }
+            
+            $odds_data = $this->convert_api_events_to_odds([$raw_events[$event_id]], '', $market_type, $event_id, false);
+            
+            if (!empty($odds_data)) {
+                $events_odds[$event_id] = $odds_data;
+            }
+        }
+        
+        return $events_odds;
+    }
+    
     /**
      * Get available sports from the API.
      *
@@ -137,6 +174,13 @@ class TheOddsAPIScraper {
      * @return array|false Best sport match or false.
      */
     private function find_best_sport($sports, $requested_sport) {
+        // Exact sport key (e.g. "soccer_epl") as passed by event cards
+        foreach ($sports as $sport) {
+            if ($sport['key'] === $requested_sport && $sport['active']) {
+                return $sport;
+            }
+        }
+        
         // Sport mapping
         $sport_mapping = [
             'football' => ['soccer_epl', 'soccer_uefa_champs_league', 'soccer_spain_la_liga', 'soccer_germany_bundesliga'],
@@ -311,9 +355,19 @@ class TheOddsAPIScraper {
      *
      * @param array $odds_data Odds data.
      * @param string $event_name Event name.
+     * @param string $event_id Optional API event ID.
      * @return array|false Matching event or false.
      */
-    private function find_matching_event($odds_data, $event_name) {
+    private function find_matching_event($odds_data, $event_name, $event_id = '') {
+        // An exact ID match always wins over fuzzy team name matching
+        if (!empty($event_id)) {
+            foreach ($odds_data as $event) {
+                if (isset($event['id']) && $event['id'] === $event_id) {
+                    return $event;
+                }
+            }
+        }
+        
         $event_name_lower = strtolower($event_name);
         
         // Debug: Log available events
@@ -767,7 +821,7 @@ class TheOddsAPIScraper {
      * @param string $bookmaker_name Bookmaker name.
      * @return string Bookmaker URL.
      */
-    private function get_bookmaker_url($bookmaker_name) {
+    public function get_bookmaker_url($bookmaker_name) {
         // Map common bookmaker names to URLs
         $bookmaker_urls = [
             'FanDuel' => 'https://www.fanduel.com/',
@@ -1038,6 +1092,7 @@ class TheOddsAPIScraper {
             if (!empty($events)) {
                 foreach ($events as $event) {
                     $all_events[] = [
+                        'id' => $event['id'] ?? '',
                         'sport_key' => $sport['key'],
                         'sport_title' => $sport['title'] ?? $sport['key'],
                         'sport_group' => $sport['group'] ?? 'other',
@@ -1150,6 +1205,7 @@ class TheOddsAPIScraper {
                 $events_data = [];
                 foreach ($all_events as $event) {
                     $events_data[] = [
+                        'id' => $event['id'] ?? '',
                         'home_team' => $event['home_team'] ?? '',
                         'away_team' => $event['away_team'] ?? '',
                         'commence_time' => $event['commence_time'] ?? '',
@@ -1164,6 +1220,7 @@ class TheOddsAPIScraper {
         
         foreach (array_slice($events_data, 0, $limit) as $event) {
             $events[] = [
+                'id' => $event['id'] ?? '',
                 'sport_key' => $sport_key,
                 'sport_title' => $sport_title,
                 'home_team' => $event['home_team'] ?? '',
@@ -1309,24 +1366,50 @@ class TheOddsAPIScraper {
      * @param array $raw_events Raw events from API.
      * @param string $event_name Event name to match.
      * @param string $market_type Market type.
+     * @param string $event_id Optional API event ID.
+     * @param bool $alternate_lines Whether to request alternate totals and handicap lines.
      * @return array Formatted odds data.
      */
-    private function convert_api_events_to_odds($raw_events, $event_name, $market_type) {
+    private function convert_api_events_to_odds($raw_events, $event_name, $market_type, $event_id = '', $alternate_lines = true) {
         $formatted_odds = [];
         
         // Find the matching event
-        $matching_event = $this->find_matching_event($raw_events, $event_name);
+        $matching_event = $this->find_matching_event($raw_events, $event_name, $event_id);
         
         if (!$matching_event || empty($matching_event['bookmakers'])) {
             error_log('The Odds API: No matching event found or no bookmakers available');
             return [];
         }
         
+        if ($alternate_lines && OddsLines::is_lined_market($market_type)) {
+            $matching_event = $this->add_alternate_lines($matching_event, $market_type);
+        }
+        
         // Convert each bookmaker's data
         foreach ($matching_event['bookmakers'] as $bookmaker) {
             $bookmaker_name = $bookmaker['title'] ?? 'Unknown';
             $bookmaker_id = sanitize_title($bookmaker_name);
             
+            // Totals and handicaps carry every line the bookmaker prices, with the main line as the odds
+            if (OddsLines::is_lined_market($market_type)) {
+                $lines = $this->get_lines($bookmaker, $market_type, $matching_event['home_team'] ?? '', $matching_event['away_team'] ?? '');
+                
+                if (empty($lines['lines'])) {
+                    continue;
+                }
+                
+                $formatted_odds[$bookmaker_id] = [
+                    'bookmaker' => $bookmaker_name,
+                    'url' => $this->get_bookmaker_url($bookmaker_name),
+                    'odds' => $lines['main']['odds'],
+                    'points' => $lines['main']['points'],
+                    'line' => $lines['main']['line'],
+                    'lines' => $lines['lines'],
+                    'last_updated' => current_time('mysql')
+                ];
+                continue;
+            }
+            
             // Find the market data for this bookmaker
             $market_data = null;
             foreach ($bookmaker['markets'] ?? [] as $market) {
@@ -1362,6 +1445,144 @@ class TheOddsAPIScraper {
         return $formatted_odds;
     }
     
+    /**
+     * Add a bookmaker's alternate lines to an event from the event odds endpoint.
+     *
+     * The sport odds endpoint only returns each bookmaker's main line. The
+     * event odds endpoint is billed per region and market, so its response is
+     * cached per event and market. If the request fails the event is returned
+     * with its main lines only.
+     *
+     * @param array $event Event from the API.
+     * @param string $market_type Market type (over_under or handicap).
+     * @return array Event with alternate markets added to its bookmakers.
+     */
+    private function add_alternate_lines($event, $market_type) {
+        if (empty($event['id']) || empty($event['sport_key'])) {
+            return $event;
+        }
+        
+        $cache = new CacheManager();
+        $cache_key = "alternate_lines_{$event['id']}_{$market_type}";
+        $alternate_markets = $cache->get($cache_key);
+        
+        if (false === $alternate_markets) {
+            $url = $this->base_url . '/sports/' . $event['sport_key'] . '/events/' . rawurlencode($event['id']) . '/odds/?apiKey=' . $this->api_key . '&regions=us,uk,eu,au&markets=alternate_' . $this->get_api_market_key($market_type) . '&oddsFormat=decimal&dateFormat=iso';
+            
+            $response = wp_remote_get($url, [
+                'timeout' => 15,
+                'headers' => [
+                    'Accept' => 'application/json',
+                ],
+            ]);
+            
+            if (is_wp_error($response) || wp_remote_retrieve_response_code($response) !== 200) {
+                error_log('The Odds API: Could not load alternate lines for event ' . $event['id']);
+                return $event;
+            }
+            
+            $alternate = json_decode(wp_remote_retrieve_body($response), true);
+            $alternate_markets = [];
+            
+            foreach ($alternate['bookmakers'] ?? [] as $bookmaker) {
+                $alternate_markets[$bookmaker['title'] ?? ''] = $bookmaker['markets'] ?? [];
+            }
+            
+            $cache->set($cache_key, $alternate_markets);
+        }
+        
+        foreach ($event['bookmakers'] as &$bookmaker) {
+            $title = $bookmaker['title'] ?? '';
+            
+            if (!empty($alternate_markets[$title])) {
+                $bookmaker['markets'] = array_merge($bookmaker['markets'] ?? [], $alternate_markets[$title]);
+                // Bookmakers listed in several regions only need their alternate lines once
+                unset($alternate_markets[$title]);
+            }
+        }
+        unset($bookmaker);
+        
+        return $event;
+    }
+    
+    /**
+     * Group a bookmaker's totals or handicap prices by line.
+     *
+     * Totals are keyed by the total and handicaps by the home side's point.
+     * Lines missing a side are dropped since they can't be compared.
+     *
+     * @param array $bookmaker Bookmaker from the API.
+     * @param string $market_type Market type (over_under or handicap).
+     * @param string $home_team Home team name.
+     * @param string $away_team Away team name.
+     * @return array Main line and all lines, each with line, odds and points.
+     */
+    private function get_lines($bookmaker, $market_type, $home_team, $away_team) {
+        $api_market = $this->get_api_market_key($market_type);
+        $lines = [];
+        $main_line = null;
+        
+        foreach ($bookmaker['markets'] ?? [] as $market) {
+            $market_key = $market['key'] ?? '';
+            
+            if ($market_key !== $api_market && $market_key !== 'alternate_' . $api_market) {
+                continue;
+            }
+            
+            foreach ($market['outcomes'] ?? [] as $outcome) {
+                $name = $outcome['name'] ?? '';
+                
+                if (!isset($outcome['point']) || !is_numeric($outcome['point'])) {
+                    continue;
+                }
+                
+                $point = (float) $outcome['point'] + 0.0;
+                
+                if ($market_type === 'over_under') {
+                    $key = $this->convert_outcome_key($name, $market_type);
+                    $line = OddsLines::get_line_key($point);
+                } elseif ($name === $home_team) {
+                    $key = 'home_handicap';
+                    $line = OddsLines::get_line_key($point);
+                } elseif ($name === $away_team) {
+                    $key = 'away_handicap';
+                    $line = OddsLines::get_line_key(-$point);
+                } else {
+                    $key = false;
+                }
+                
+                if (!$key) {
+                    continue;
+                }
+                
+                $lines[$line]['line'] = $line;
+                $lines[$line]['odds'][$key] = $this->format_decimal_odds($this->convert_to_decimal($outcome['price'] ?? 0));
+                $lines[$line]['points'][$key] = $point;
+                
+                if ($market_key === $api_market) {
+                    $main_line = $line;
+                }
+            }
+        }
+        
+        $lines = array_filter($lines, function($line) {
+            return count($line['odds']) === 2;
+        });
+        
+        uksort($lines, function($a, $b) {
+            return (float) $a <=> (float) $b;
+        });
+        
+        if (empty($lines)) {
+            return ['main' => null, 'lines' => []];
+        }
+        
+        return [
+            'main' => $lines[$main_line] ?? reset($lines),
+            'lines' => array_values($lines),
+        ];
+    }
+    
     /**
      * Get API market key for our market type.
      *
@@ -103,6 +103,10 @@ class Plugin {
         // Initialize cache manager.
         $this->cache_manager = new Core\CacheManager();
         
+        // Sites activated before click tracking existed need the clicks table.
+        Core\ClickTracker::maybe_create_table();
+        Core\OddsHistory::maybe_create_table();
+        
         // Initialize admin controller.
         $this->admin_controller = new Admin\AdminController();
         
@@ -125,6 +129,9 @@ class Plugin {
      * @return void
      */
     private function register_hooks() {
+        // Load translations bundled with the plugin.
+        add_action('init', [$this, 'load_textdomain']);
+        
         // Enqueue scripts and styles.
         add_action('wp_enqueue_scripts', [$this, 'enqueue_frontend_assets']);
         add_action('admin_enqueue_scripts', [$this, 'enqueue_admin_assets']);
@@ -139,6 +146,17 @@ class Plugin {
         add_filter('cron_schedules', [$this, 'add_custom_cron_interval']);
     }
     
+    /**
+     * Load the plugin's translations from the languages directory.
+     *
+     * Translations installed in wp-content/languages take precedence.
+     *
+     * @return void
+     */
+    public function load_textdomain() {
+        load_plugin_textdomain('odds-comparison', false, dirname(ODDS_COMPARISON_PLUGIN_BASENAME) . '/languages');
+    }
+    
     /**
      * Enqueue frontend assets.
      *
@@ -157,11 +175,14 @@ class Plugin {
         wp_enqueue_script(
             'odds-comparison-frontend',
             ODDS_COMPARISON_PLUGIN_URL . 'assets/js/frontend.js',
-            ['jquery'],
+            ['jquery', 'wp-i18n'],
             ODDS_COMPARISON_VERSION,
             true
         );
         
+        // Load JSON translations for the strings in frontend.js.
+        wp_set_script_translations('odds-comparison-frontend', 'odds-comparison', ODDS_COMPARISON_PLUGIN_DIR . 'languages');
+        
         // Localize script with AJAX URL and nonce.
         wp_localize_script('odds-comparison-frontend', 'oddsComparison', [
             'ajaxUrl' => admin_url('admin-ajax.php'),
@@ -169,9 +190,31 @@ class Plugin {
             'nonce' => wp_create_nonce('wp_rest'),
             'defaultFormat' => get_option('odds_comparison_default_format', 'decimal'),
             'enabledMarkets' => $this->get_enabled_markets(),
+            'refreshInterval' => $this->get_refresh_interval(),
+            'cacheTtl' => (int) get_option('odds_comparison_cache_duration', 300),
+            'cacheVersion' => $this->cache_manager->get_version(),
+            'locale' => str_replace('_', '-', determine_locale()),
         ]);
     }
     
+    /**
+     * Get the odds refresh interval in seconds from the update frequency setting.
+     *
+     * Matches the cron schedule so visitors never poll faster than odds are fetched.
+     *
+     * @return int Interval in seconds.
+     */
+    private function get_refresh_interval() {
+        $frequency = get_option('odds_comparison_update_frequency', 'five_minutes');
+        $schedules = wp_get_schedules();
+        
+        if (isset($schedules[$frequency]['interval'])) {
+            return (int) $schedules[$frequency]['interval'];
+        }
+        
+        return 300;
+    }
+    
     /**
      * Get enabled markets for frontend.
      *
@@ -181,12 +224,23 @@ class Plugin {
         $markets = get_option('odds_comparison_markets', []);
         $enabled_markets = [];
         
+        // No markets configured yet - the REST API allows all, so offer the standard set
+        if (empty($markets)) {
+            $markets = [
+                'match_winner' => ['enabled' => true, 'label' => __('Match Winner', 'odds-comparison')],
+                'over_under' => ['enabled' => true, 'label' => __('Over/Under', 'odds-comparison')],
+                'both_teams_score' => ['enabled' => true, 'label' => __('Both Teams to Score', 'odds-comparison')],
+                'handicap' => ['enabled' => true, 'label' => __('Handicap', 'odds-comparison')],
+            ];
+        }
+        
         foreach ($markets as $market_id => $market) {
-            if ($market['enabled']) {
+            if (!empty($market['enabled'])) {
                 $enabled_markets[$market_id] = [
                     'id' => $market_id,
                     'label' => $market['label'],
-                    'enabled' => true
+                    'enabled' => true,
+                    'outcomes' => $this->block_controller->get_market_outcomes($market_id),
                 ];
             }
         }
@@ -218,11 +272,23 @@ class Plugin {
         wp_enqueue_script(
             'odds-comparison-admin',
             ODDS_COMPARISON_PLUGIN_URL . 'assets/js/admin.js',
-            ['jquery', 'wp-color-picker'],
+            ['jquery', 'jquery-ui-sortable', 'wp-color-picker', 'wp-i18n'],
             ODDS_COMPARISON_VERSION,
             true
         );
         
+        // Load JSON translations for the strings in admin.js.
+        wp_set_script_translations('odds-comparison-admin', 'odds-comparison', ODDS_COMPARISON_PLUGIN_DIR . 'languages');
+        
+        // Localize script with AJAX and REST details.
+        wp_localize_script('odds-comparison-admin', 'oddsComparisonAdmin', [
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'ajaxNonce' => wp_create_nonce('odds_comparison_nonce'),
+            'restUrl' => rest_url('odds-comparison/v1/'),
+            'nonce' => wp_create_nonce('wp_rest'),
+            'markets' => $this->get_enabled_markets(),
+        ]);
+        
         // Add color picker support.
         wp_enqueue_style('wp-color-picker');
     }
@@ -255,6 +321,13 @@ class Plugin {
     public function scheduled_odds_update() {
         $scraper = new Core\OddsScraper();
         $scraper->fetch_and_cache_odds();
+        
+        // Keep price history for the line movement charts.
+        Core\OddsHistory::snapshot_upcoming_events();
+        Core\OddsHistory::prune();
+        
+        // Drop clicks older than the click report's retention period.
+        Core\ClickTracker::prune();
     }
     
     /**
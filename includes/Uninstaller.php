@@ -42,6 +42,12 @@ class Uninstaller {
         
         $table_name = $wpdb->prefix . 'odds_comparison_data';
         $wpdb->query("DROP TABLE IF EXISTS $table_name");
+        
+        $clicks_table = $wpdb->prefix . 'odds_comparison_clicks';
+        $wpdb->query("DROP TABLE IF EXISTS $clicks_table");
+        
+        $history_table = $wpdb->prefix . 'odds_comparison_history';
+        $wpdb->query("DROP TABLE IF EXISTS $history_table");
     }
     
     /**
@@ -55,7 +61,14 @@ class Uninstaller {
         delete_option('odds_comparison_markets');
         delete_option('odds_comparison_default_format');
         delete_option('odds_comparison_cache_duration');
+        delete_option('odds_comparison_cache_version');
+        delete_option('odds_comparison_min_edge');
         delete_option('odds_comparison_update_frequency');
+        delete_option('odds_comparison_bookmaker_order');
+        delete_option('odds_comparison_bookmaker_tracking');
+        delete_option('odds_comparison_bookmaker_link_templates');
+        delete_option('odds_comparison_clicks_db_version');
+        delete_option('odds_comparison_history_db_version');
     }
     
     /**